@@ -1,24 +1,134 @@
+/**
+ * 解析逗号分隔的列表
+ * @param {string} value - 环境变量值
+ * @returns {Array<string>} 列表
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 解析逗号分隔的键值对（如 "oc_1:iflow,oc_2:claude"）
+ * @param {string} value - 环境变量值
+ * @returns {Object} 键值映射
+ */
+function parseMap(value) {
+  const map = {};
+  for (const item of parseList(value)) {
+    const index = item.lastIndexOf(':');
+    if (index > 0) {
+      map[item.substring(0, index).trim()] = item.substring(index + 1).trim();
+    }
+  }
+  return map;
+}
+
 module.exports = {
   feishu: {
     appId: process.env.FEISHU_APP_ID,
     appSecret: process.env.FEISHU_APP_SECRET,
     encryptKey: process.env.FEISHU_ENCRYPT_KEY,
     verificationToken: process.env.FEISHU_VERIFICATION_TOKEN,
+    botOpenId: process.env.FEISHU_BOT_OPEN_ID || '',
     hubbleUrl: 'wss://open.feishu.cn/open-apis/hubble-im/v1'
   },
   claude: {
     cliPath: process.env.CLAUDE_CLI_PATH || 'claude'
   },
+  iflow: {
+    cliPath: process.env.IFLOW_CLI_PATH || 'iflow',
+    superpowersEnabled: process.env.SUPERPOWERS_ENABLED !== 'false',
+    superpowersMode: process.env.SUPERPOWERS_MODE || 'yolo'
+  },
+  backend: {
+    default: (process.env.AGENT_BACKEND || 'claude').toLowerCase(),
+    chats: parseMap(process.env.AGENT_BACKEND_CHATS)
+  },
   execution: {
-    timeoutPerStep: parseInt(process.env.TIMEOUT_PER_STEP || '300')
+    yoloMode: process.env.YOLO_MODE !== 'false',
+    timeoutPerStep: parseInt(process.env.TIMEOUT_PER_STEP || '300'),
+    maxOutputSize: parseInt(process.env.MAX_OUTPUT_SIZE || '10485760')
+  },
+  project: {
+    roots: parseList(process.env.PROJECT_ROOTS),
+    defaultDir: process.env.PROJECT_DEFAULT_DIR || '',
+    chats: parseMap(process.env.PROJECT_CHATS)
+  },
+  workspace: {
+    enabled: process.env.WORKSPACE_ISOLATION === 'true',
+    root: process.env.WORKSPACE_ROOT || '', // 留空时为 <DATA_DIR>/workspaces
+    branchPrefix: process.env.WORKSPACE_BRANCH_PREFIX || 'feishu/'
+  },
+  changes: {
+    enabled: process.env.CHANGE_TRACKING_ENABLED !== 'false',
+    maxFiles: parseInt(process.env.CHANGE_SUMMARY_MAX_FILES || '20')
+  },
+  permission: {
+    enabled: process.env.PERMISSION_PROMPT_ENABLED !== 'false',
+    timeout: parseInt(process.env.PERMISSION_TIMEOUT || '120'),
+    port: parseInt(process.env.PERMISSION_BROKER_PORT || '0')
+  },
+  group: {
+    requireMention: process.env.GROUP_REQUIRE_MENTION !== 'false'
+  },
+  dedup: {
+    ttl: parseInt(process.env.DEDUP_TTL || '86400')
+  },
+  output: {
+    chunkSize: parseInt(process.env.OUTPUT_CHUNK_SIZE || '4000'),
+    maxChunks: parseInt(process.env.OUTPUT_MAX_CHUNKS || '5')
+  },
+  reply: {
+    enabled: process.env.REPLY_TO_MESSAGE !== 'false',
+    inThread: process.env.REPLY_IN_THREAD === 'true'
+  },
+  acl: {
+    adminUsers: parseList(process.env.ACL_ADMIN_USERS),
+    allowUsers: parseList(process.env.ACL_ALLOW_USERS),
+    denyUsers: parseList(process.env.ACL_DENY_USERS),
+    allowChats: parseList(process.env.ACL_ALLOW_CHATS),
+    denyChats: parseList(process.env.ACL_DENY_CHATS)
+  },
+  streaming: {
+    enabled: process.env.STREAMING_ENABLED !== 'false',
+    updateInterval: parseInt(process.env.STREAMING_UPDATE_INTERVAL || '1500')
+  },
+  queue: {
+    maxDepth: parseInt(process.env.QUEUE_MAX_DEPTH || '5')
+  },
+  scheduler: {
+    maxConcurrent: parseInt(process.env.SCHEDULER_MAX_CONCURRENT || '4'),
+    maxPerUser: parseInt(process.env.SCHEDULER_MAX_PER_USER || '2'),
+    maxPerChat: parseInt(process.env.SCHEDULER_MAX_PER_CHAT || '2')
   },
   progress: {
     interval: parseInt(process.env.PROGRESS_INTERVAL || '180'),
     enabled: process.env.PROGRESS_ENABLED !== 'false'
   },
+  attachments: {
+    maxImageSize: parseInt(process.env.ATTACHMENT_MAX_IMAGE_SIZE || '10485760'),
+    maxFileSize: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE || '20971520'),
+    allowedExtensions: parseList(process.env.ATTACHMENT_ALLOWED_EXTENSIONS ||
+      '.txt,.log,.md,.csv,.tsv,.json,.jsonl,.yaml,.yml,.xml,.html,.patch,.diff,.sql,.pdf,' +
+      '.js,.ts,.jsx,.tsx,.py,.java,.go,.rs,.c,.h,.cpp,.sh,.ini,.toml,.conf')
+      .map(ext => ext.toLowerCase())
+  },
+  artifacts: {
+    enabled: process.env.ARTIFACTS_ENABLED !== 'false',
+    maxFiles: parseInt(process.env.ARTIFACT_MAX_FILES || '5'),
+    maxSize: parseInt(process.env.ARTIFACT_MAX_SIZE || '20971520'),
+    denyPatterns: parseList(process.env.ARTIFACT_DENY_PATTERNS ||
+      '*.pem,*.key,*.p12,*.pfx,*.jks,*.keystore,*.env,id_rsa*,id_dsa*,id_ecdsa*,id_ed25519*,' +
+      '*credential*,*secret*,*password*,*.kdbx')
+  },
   session: {
     timeout: parseInt(process.env.SESSION_TIMEOUT || '3600'),
-    dir: process.env.SESSION_DIR || './data/sessions'
+    maxAge: parseInt(process.env.SESSION_MAX_AGE || '86400'),
+    cleanupInterval: parseInt(process.env.SESSION_CLEANUP_INTERVAL || '3600'),
+    dir: process.env.SESSION_DIR || '' // 留空时为 <DATA_DIR>/sessions
+  },
+  storage: {
+    dataDir: process.env.DATA_DIR || './data' // 运行时数据目录，相对路径基于项目根目录
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
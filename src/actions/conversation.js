@@ -0,0 +1,64 @@
+const CardActionRegistry = require('../modules/CardActionRegistry');
+const SessionManager = require('../modules/SessionManager');
+const logger = require('../utils/logger');
+
+/**
+ * 对话相关卡片动作（结果卡片上的按钮）: 继续、重新生成、新对话
+ */
+
+/**
+ * 以原对话发起人的身份提交消息
+ * 回调需要立即响应，消息在后台处理（会话忙时进入队列）
+ * @param {Object} ctx - 卡片动作上下文
+ * @param {string} text - 消息文本
+ */
+function submit(ctx, text) {
+  ctx.eventHandler.submitMessage({
+    chatId: ctx.chatId,
+    senderId: { open_id: ctx.openId },
+    text,
+    messageId: ctx.messageId,
+    threadId: ctx.threadId
+  }).catch((error) => {
+    logger.error('提交卡片动作消息失败', { action: ctx.action, sessionId: ctx.sessionId, error: error.message });
+  });
+}
+
+/**
+ * 获取按钮对应的执行记录
+ * @param {Object} ctx - 卡片动作上下文
+ * @returns {Promise<Object|null>} 执行记录
+ */
+async function getRecord(ctx) {
+  const session = await SessionManager.getSession(ctx.sessionId);
+  return session?.history?.[ctx.record] || null;
+}
+
+CardActionRegistry.register('continue', {
+  initiatorOnly: true,
+  handler: async (ctx) => {
+    submit(ctx, '继续');
+    return CardActionRegistry.toast('success', '▶️ 已发送「继续」');
+  }
+});
+
+CardActionRegistry.register('regenerate', {
+  initiatorOnly: true,
+  handler: async (ctx) => {
+    const record = await getRecord(ctx);
+    if (!record?.command) {
+      return CardActionRegistry.toast('warning', '找不到原来的问题，请重新发送');
+    }
+
+    submit(ctx, record.command);
+    return CardActionRegistry.toast('success', '🔄 正在重新生成');
+  }
+});
+
+CardActionRegistry.register('new', {
+  initiatorOnly: true,
+  handler: async (ctx) => {
+    await SessionManager.resetConversation(ctx.sessionId);
+    return CardActionRegistry.toast('success', '🆕 已开启新对话，之前的上下文不会再被引用');
+  }
+});
@@ -0,0 +1,8 @@
+/**
+ * 内置卡片动作 - 加载后自动注册到 CardActionRegistry
+ */
+require('./task');
+require('./conversation');
+require('./output');
+require('./permission');
+require('./workspace');
@@ -0,0 +1,25 @@
+const CardActionRegistry = require('../modules/CardActionRegistry');
+const SessionManager = require('../modules/SessionManager');
+const FeishuSender = require('../modules/FeishuSender');
+const logger = require('../utils/logger');
+
+/**
+ * 回复相关卡片动作（结果卡片上的按钮）: 以文件发送
+ */
+
+CardActionRegistry.register('send_file', {
+  handler: async (ctx) => {
+    const session = await SessionManager.getSession(ctx.sessionId);
+    const output = session?.history?.[ctx.record]?.output;
+    if (!output) {
+      return CardActionRegistry.toast('warning', '找不到这条回复，可能已过期');
+    }
+
+    // 上传可能较慢，在后台发送
+    const target = ctx.eventHandler.getReplyTarget(ctx.chatId, ctx.messageId, ctx.threadId);
+    FeishuSender.sendTextAsFile(target, output).catch((error) => {
+      logger.error('以文件发送回复失败', { sessionId: ctx.sessionId, error: error.message });
+    });
+    return CardActionRegistry.toast('success', '📎 正在以文件发送回复');
+  }
+});
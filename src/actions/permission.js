@@ -0,0 +1,25 @@
+const CardActionRegistry = require('../modules/CardActionRegistry');
+const PermissionBroker = require('../modules/PermissionBroker');
+
+/**
+ * 工具权限审批卡片动作: 允许、始终允许、拒绝
+ */
+
+const TOASTS = {
+  allow: '✅ 已允许',
+  always: '✅ 已允许，本对话中不再询问',
+  deny: '🚫 已拒绝'
+};
+
+CardActionRegistry.register('permission', {
+  initiatorOnly: true,
+  handler: async (ctx) => {
+    if (!TOASTS[ctx.decision]) {
+      return CardActionRegistry.toast('error', '未知的审批操作');
+    }
+
+    return PermissionBroker.decide(ctx.requestId, ctx.decision, ctx.operatorId)
+      ? CardActionRegistry.toast('success', TOASTS[ctx.decision])
+      : CardActionRegistry.toast('info', '该请求已处理或已过期');
+  }
+});
@@ -0,0 +1,15 @@
+const CardActionRegistry = require('../modules/CardActionRegistry');
+
+/**
+ * 任务相关卡片动作: 取消（进度卡片上的按钮）
+ */
+
+CardActionRegistry.register('cancel', {
+  initiatorOnly: true,
+  handler: async (ctx) => {
+    // 取消成功后由 EventHandler 在聊天中通知
+    return ctx.eventHandler.cancelTask(ctx.sessionId)
+      ? CardActionRegistry.toast('success', '已取消任务')
+      : CardActionRegistry.toast('info', '任务已结束，无需取消');
+  }
+});
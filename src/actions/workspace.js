@@ -0,0 +1,19 @@
+const CardActionRegistry = require('../modules/CardActionRegistry');
+const WorktreeManager = require('../modules/WorktreeManager');
+
+/**
+ * 工作区卡片动作: 确认丢弃（/discard 发送的确认卡片）
+ */
+
+CardActionRegistry.register('workspace_discard', {
+  initiatorOnly: true,
+  handler: async (ctx) => {
+    if (ctx.eventHandler.processingSessions.has(ctx.sessionId)) {
+      return CardActionRegistry.toast('warning', '当前有任务正在执行，请等待完成后再丢弃');
+    }
+
+    return await WorktreeManager.remove(ctx.sessionId, { force: true })
+      ? CardActionRegistry.toast('success', '🗑️ 已丢弃工作区，下次执行时将重新创建')
+      : CardActionRegistry.toast('info', '工作区已不存在');
+  }
+});
@@ -0,0 +1,86 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const AccessControl = require('../modules/AccessControl');
+
+/**
+ * 访问控制命令: /acl（仅管理员）
+ * 白名单和黑名单对所有聊天生效，只有全局管理员可以修改；群管理员只能设置当前群组的管理员
+ */
+
+const USAGE = [
+  '/acl list                      查看名单',
+  '/acl allow user <用户ID>       将用户加入白名单',
+  '/acl deny user <用户ID>        将用户加入黑名单',
+  '/acl allow chat [群组ID]       将群组加入白名单（默认当前群组）',
+  '/acl deny chat [群组ID]        将群组加入黑名单（默认当前群组）',
+  '/acl remove user|chat <ID>     从白名单和黑名单中移除',
+  '/acl admin add|remove <用户ID> 设置当前群组的管理员',
+  '',
+  '白名单和黑名单仅全局管理员可以修改'
+].join('\n');
+
+/**
+ * 格式化名单
+ * @param {Array<string>} list - 名单
+ * @returns {string} 文本
+ */
+function formatList(list) {
+  return list.length > 0 ? list.join(', ') : '（空）';
+}
+
+CommandRegistry.register('acl', {
+  description: '管理用户和群组的访问权限',
+  usage: '/acl list|allow|deny|remove|admin',
+  adminOnly: true,
+  handler: async (ctx) => {
+    const [action, type, id] = ctx.args;
+
+    if (!action || action === 'list') {
+      const acl = await AccessControl.describe(ctx.chatId);
+      await ctx.reply([
+        '🔐 访问控制名单',
+        `全局管理员: ${formatList(acl.adminUsers)}`,
+        `当前群组管理员: ${formatList(acl.chatAdmins)}`,
+        `用户白名单: ${formatList(acl.allowUsers)}`,
+        `用户黑名单: ${formatList(acl.denyUsers)}`,
+        `群组白名单: ${formatList(acl.allowChats)}`,
+        `群组黑名单: ${formatList(acl.denyChats)}`,
+        '',
+        '白名单均为空时所有人都可以使用'
+      ].join('\n'));
+      return;
+    }
+
+    if (['allow', 'deny', 'remove'].includes(action) && !AccessControl.isGlobalAdmin(ctx.senderId)) {
+      await ctx.reply('🚫 只有全局管理员可以修改白名单和黑名单，群管理员只能设置当前群组的管理员');
+      return;
+    }
+
+    if (action === 'allow' || action === 'deny') {
+      if (type === 'user' && id) {
+        await AccessControl.addToList(`${action}Users`, id);
+        await ctx.reply(`✅ 已将用户 ${id} 加入${action === 'allow' ? '白' : '黑'}名单`);
+        return;
+      }
+      if (type === 'chat') {
+        const chatId = id || ctx.chatId;
+        await AccessControl.addToList(`${action}Chats`, chatId);
+        await ctx.reply(`✅ 已将群组 ${chatId} 加入${action === 'allow' ? '白' : '黑'}名单`);
+        return;
+      }
+    }
+
+    if (action === 'remove' && (type === 'user' || type === 'chat') && id) {
+      const changed = await AccessControl.removeFromLists(type, id);
+      await ctx.reply(changed ? `✅ 已移除 ${id}` : `ℹ️ ${id} 不在运行时名单中（环境变量中的名单需修改配置）`);
+      return;
+    }
+
+    if (action === 'admin' && (type === 'add' || type === 'remove') && id) {
+      await AccessControl.setChatAdmin(ctx.chatId, id, type === 'add');
+      await ctx.reply(type === 'add' ? `✅ 已将 ${id} 设为当前群组管理员` : `✅ 已取消 ${id} 的群组管理员`);
+      return;
+    }
+
+    await ctx.reply(`用法:\n${USAGE}`);
+  }
+});
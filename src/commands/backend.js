@@ -0,0 +1,42 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const AdapterRegistry = require('../modules/AdapterRegistry');
+
+/**
+ * 后端相关命令: /backend
+ */
+
+CommandRegistry.register('backend', {
+  description: '查看或切换当前聊天使用的后端',
+  usage: '/backend [名称|default]',
+  adminOnly: true,
+  handler: async (ctx) => {
+    const name = ctx.args[0];
+    const available = AdapterRegistry.list().map(adapter => adapter.name).join(', ');
+
+    if (!name) {
+      const current = await AdapterRegistry.getBackendName(ctx.chatId);
+      await ctx.reply(`🔌 当前后端: ${current}\n可用后端: ${available}\n发送 /backend <名称> 切换，/backend default 恢复默认`);
+      return;
+    }
+
+    if (name.toLowerCase() === 'default') {
+      await AdapterRegistry.setBackend(ctx.chatId, null);
+      await ctx.reply(`✅ 已恢复默认后端: ${await AdapterRegistry.getBackendName(ctx.chatId)}`);
+      return;
+    }
+
+    const adapter = AdapterRegistry.get(name);
+    if (!adapter) {
+      await ctx.reply(`❓ 未知后端 ${name}，可用后端: ${available}`);
+      return;
+    }
+
+    if (!(await adapter.isAvailable())) {
+      await ctx.reply(`⚠️ ${adapter.displayName} CLI 不可用，请检查 ${adapter.cliPath} 是否已安装`);
+      return;
+    }
+
+    await AdapterRegistry.setBackend(ctx.chatId, adapter.name);
+    await ctx.reply(`✅ 已切换到 ${adapter.displayName}，之后的消息将由 ${adapter.displayName} 处理`);
+  }
+});
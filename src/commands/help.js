@@ -0,0 +1,13 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const FeishuSender = require('../modules/FeishuSender');
+
+/**
+ * 帮助命令: /help
+ */
+
+CommandRegistry.register('help', {
+  description: '查看使用说明和可用命令',
+  handler: async (ctx) => {
+    await FeishuSender.sendWelcomeMessage(ctx.replyTarget || ctx.chatId, CommandRegistry.list());
+  }
+});
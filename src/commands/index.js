@@ -0,0 +1,13 @@
+/**
+ * 内置命令 - 加载后自动注册到 CommandRegistry
+ */
+require('./session');
+require('./task');
+require('./backend');
+require('./project');
+require('./workspace');
+require('./mention');
+require('./permission');
+require('./acl');
+require('./metrics');
+require('./help');
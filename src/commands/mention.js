@@ -0,0 +1,34 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const ChatSettings = require('../modules/ChatSettings');
+const config = require('../../config/default');
+
+/**
+ * 群聊 @ 相关命令: /mention
+ */
+
+const describe = (required) => required ? '只处理 @ 机器人的消息' : '处理所有消息';
+
+CommandRegistry.register('mention', {
+  description: '查看或设置群聊中是否需要 @ 机器人',
+  usage: '/mention [on|off|default]',
+  adminOnly: true,
+  handler: async (ctx) => {
+    const option = (ctx.args[0] || '').toLowerCase();
+
+    if (!option) {
+      const required = await ctx.eventHandler.isMentionRequired(ctx.chatId);
+      await ctx.reply(`📣 当前群聊${describe(required)}\n发送 /mention on 要求 @，/mention off 不要求 @，/mention default 恢复默认`);
+      return;
+    }
+
+    const values = { on: true, off: false, default: null };
+    if (!(option in values)) {
+      await ctx.reply('❓ 用法: /mention [on|off|default]');
+      return;
+    }
+
+    await ChatSettings.update(ctx.chatId, { requireMention: values[option] });
+    const required = values[option] ?? config.group.requireMention;
+    await ctx.reply(`✅ 已设置：群聊中${describe(required)}（单聊不受影响）`);
+  }
+});
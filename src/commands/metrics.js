@@ -0,0 +1,16 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const ProgressManager = require('../modules/ProgressManager');
+const Metrics = require('../modules/Metrics');
+
+/**
+ * 运行指标命令: /metrics
+ */
+
+CommandRegistry.register('metrics', {
+  description: '查看服务运行指标',
+  adminOnly: true,
+  handler: async (ctx) => {
+    const uptime = ProgressManager.formatDuration(Date.now() - Metrics.startTime);
+    await ctx.reply(`📈 运行指标（统计 ${uptime}）\n${Metrics.format()}`);
+  }
+});
@@ -0,0 +1,27 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const SessionManager = require('../modules/SessionManager');
+
+/**
+ * 工具权限命令: /permissions
+ */
+
+CommandRegistry.register('permissions', {
+  description: '查看或清除本对话中始终允许的工具',
+  usage: '/permissions [clear]',
+  handler: async (ctx) => {
+    if (ctx.args[0] === 'clear') {
+      await SessionManager.clearPermissionRules(ctx.sessionId);
+      await ctx.reply('🔐 已清除始终允许的工具，之后使用这些工具时会重新询问');
+      return;
+    }
+
+    const session = await SessionManager.getSession(ctx.sessionId);
+    const rules = session?.permissionRules || [];
+    if (rules.length === 0) {
+      await ctx.reply('🔐 本对话中没有始终允许的工具，Claude 使用 Bash、Edit、Write 等工具前会发送审批卡片');
+      return;
+    }
+
+    await ctx.reply(`🔐 本对话中始终允许的工具:\n${rules.map(rule => `- ${rule}`).join('\n')}\n\n发送 /permissions clear 清除`);
+  }
+});
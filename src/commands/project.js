@@ -0,0 +1,52 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const SessionManager = require('../modules/SessionManager');
+const ProjectManager = require('../modules/ProjectManager');
+const WorktreeManager = require('../modules/WorktreeManager');
+const { resolveSenderId } = require('../utils/sessionIdGenerator');
+
+/**
+ * 项目目录命令: /cd
+ */
+
+CommandRegistry.register('cd', {
+  description: '查看或切换本对话的项目目录（后端在该目录中运行）',
+  usage: '/cd [路径|default]',
+  handler: async (ctx) => {
+    const session = await SessionManager.getOrCreateSession(ctx.sessionId, {
+      chat_id: ctx.chatId,
+      sender: { user_id: resolveSenderId(ctx.senderId) }
+    });
+    const current = ProjectManager.getWorkDir(ctx.chatId, session);
+    const input = ctx.args.join(' ');
+
+    if (!input) {
+      const roots = await ProjectManager.getRoots();
+      const allowed = roots.length > 0 ? roots.join('\n') : '（未配置，无法切换）';
+      await ctx.reply(`📁 当前项目目录: ${current || process.cwd()}\n\n允许的根目录:\n${allowed}\n\n发送 /cd <路径> 切换，/cd default 恢复默认`);
+      return;
+    }
+
+    const reset = input.toLowerCase() === 'default';
+    let dir;
+    try {
+      dir = reset ? null : await ProjectManager.resolve(input, current);
+    } catch (error) {
+      await ctx.reply(`⚠️ ${error.message}`);
+      return;
+    }
+
+    // 切换到其他仓库会重建工作区，先确认没有未提交的修改
+    const next = dir || ProjectManager.getWorkDir(ctx.chatId, { ...session, projectDir: null }) || process.cwd();
+    if (await WorktreeManager.wouldDiscardChanges(ctx.sessionId, next)) {
+      await ctx.reply('⚠️ 工作区中有未提交的修改，请先发送 /commit 提交或 /discard 丢弃后再切换到其他仓库');
+      return;
+    }
+
+    await ProjectManager.bind(ctx.sessionId, dir);
+    if (reset) {
+      await ctx.reply(`✅ 已恢复默认项目目录: ${next}\n已开启新对话`);
+      return;
+    }
+    await ctx.reply(`✅ 项目目录已切换到 ${dir}\n已开启新对话，之后的消息将在该目录中执行`);
+  }
+});
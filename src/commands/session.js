@@ -0,0 +1,38 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const SessionManager = require('../modules/SessionManager');
+
+/**
+ * 会话相关命令: /new、/history
+ */
+
+CommandRegistry.register('new', {
+  description: '开启新对话，之前的上下文不会再被引用',
+  aliases: ['reset'],
+  handler: async (ctx) => {
+    await SessionManager.resetConversation(ctx.sessionId);
+    await ctx.reply('🆕 已开启新对话，之前的上下文不会再被引用');
+  }
+});
+
+CommandRegistry.register('history', {
+  description: '查看最近的对话记录',
+  usage: '/history [条数]',
+  handler: async (ctx) => {
+    const limit = Math.min(Math.max(parseInt(ctx.args[0]) || 5, 1), 20);
+    const session = await SessionManager.getSession(ctx.sessionId);
+
+    if (!session || session.history.length === 0) {
+      await ctx.reply('📭 暂无对话记录');
+      return;
+    }
+
+    const records = session.history.slice(-limit);
+    const offset = session.history.length - records.length;
+    const lines = records.map((record, index) => {
+      const command = record.command.length > 50 ? `${record.command.substring(0, 50)}...` : record.command;
+      return `#${offset + index + 1} ${record.success ? '✅' : '❌'} ${record.timestamp}\n${command}`;
+    });
+
+    await ctx.reply(`📜 最近 ${records.length} 条记录（共 ${session.history.length} 条）\n\n${lines.join('\n\n')}`);
+  }
+});
@@ -0,0 +1,50 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const ProgressManager = require('../modules/ProgressManager');
+const JobScheduler = require('../modules/JobScheduler');
+
+/**
+ * 任务相关命令: /status、/cancel
+ */
+
+/**
+ * 格式化调度器状态（所有对话共享的运行名额）
+ * @returns {string} 状态
+ */
+function formatSchedulerState() {
+  const { running, waiting, limits } = JobScheduler.getState();
+  const limit = (value) => (value > 0 ? value : '不限');
+  return `全局: 运行中 ${running}/${limit(limits.maxConcurrent)}，排队 ${waiting}` +
+    `（每个用户 ${limit(limits.maxPerUser)}、每个聊天 ${limit(limits.maxPerChat)}）`;
+}
+
+CommandRegistry.register('status', {
+  description: '查看当前正在执行的任务',
+  handler: async (ctx) => {
+    const task = ctx.eventHandler.getRunningTask(ctx.sessionId);
+
+    if (!task) {
+      await ctx.reply(`💤 当前没有正在执行的任务\n${formatSchedulerState()}`);
+      return;
+    }
+
+    const prompt = task.prompt.length > 50 ? `${task.prompt.substring(0, 50)}...` : task.prompt;
+    const elapsed = ProgressManager.formatDuration(Date.now() - task.startTime);
+    const queued = ctx.eventHandler.getQueueLength(ctx.sessionId);
+    const backend = task.adapter ? `\n后端: ${task.adapter.displayName}` : '';
+    const position = JobScheduler.getPosition(ctx.sessionId);
+    const state = position > 0
+      ? `⏸️ 等待运行名额（第 ${position} 位）: ${prompt}`
+      : `⏳ 正在执行: ${prompt}`;
+    await ctx.reply(`${state}${backend}\n已用时: ${elapsed}\n排队中: ${queued} 条\n${formatSchedulerState()}`);
+  }
+});
+
+CommandRegistry.register('cancel', {
+  description: '取消当前正在执行的任务',
+  handler: async (ctx) => {
+    // 取消成功后由 EventHandler 在聊天中通知
+    if (!ctx.eventHandler.cancelTask(ctx.sessionId)) {
+      await ctx.reply('💤 当前没有正在执行的任务');
+    }
+  }
+});
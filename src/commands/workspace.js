@@ -0,0 +1,124 @@
+const CommandRegistry = require('../modules/CommandRegistry');
+const CardActionRegistry = require('../modules/CardActionRegistry');
+const SessionManager = require('../modules/SessionManager');
+const WorktreeManager = require('../modules/WorktreeManager');
+const FeishuSender = require('../modules/FeishuSender');
+const config = require('../../config/default');
+
+/**
+ * 工作区命令: /diff、/commit、/discard
+ */
+
+// 提交说明的最大长度（取自最近一次提问时截断）
+const MAX_SUBJECT_LENGTH = 72;
+
+/**
+ * 检查工作区命令能否执行，不能执行时回复原因
+ * @param {Object} ctx - 命令上下文
+ * @param {Object} [options] - { idle: 是否要求当前没有正在执行的任务 }
+ * @returns {Promise<Object|null>} 工作区
+ */
+async function requireWorkspace(ctx, { idle = false } = {}) {
+  if (!config.workspace.enabled) {
+    await ctx.reply('ℹ️ 未开启工作区隔离（WORKSPACE_ISOLATION），后端直接在项目目录中修改文件');
+    return null;
+  }
+
+  if (idle && ctx.eventHandler.processingSessions.has(ctx.sessionId)) {
+    await ctx.reply('⏳ 当前有任务正在执行，请等待完成或发送 /cancel 后再试');
+    return null;
+  }
+
+  const workspace = await WorktreeManager.get(ctx.sessionId);
+  if (!workspace) {
+    await ctx.reply('📭 本对话还没有工作区，在 git 仓库中执行一次任务后会自动创建');
+  }
+  return workspace;
+}
+
+CommandRegistry.register('diff', {
+  description: '查看本对话工作区中未提交的修改',
+  handler: async (ctx) => {
+    if (!(await requireWorkspace(ctx))) {
+      return;
+    }
+
+    const changes = await WorktreeManager.diff(ctx.sessionId);
+    if (!changes.stat) {
+      await ctx.reply(`✨ 工作区（分支 ${changes.branch}）没有未提交的修改`);
+      return;
+    }
+
+    const target = ctx.replyTarget || ctx.chatId;
+    const inline = changes.patch.length <= config.output.chunkSize;
+    const markdown = `**分支:** \`${changes.branch}\`\n\n\`\`\`\n${changes.stat}\n\`\`\`` +
+      (inline ? `\n\n\`\`\`diff\n${changes.patch.trimEnd()}\n\`\`\`` : '\n\n完整 diff 较长，见下方文件。');
+    await FeishuSender.sendMarkdownCard(target, '📝 工作区修改', markdown);
+
+    if (!inline) {
+      await FeishuSender.sendTextAsFile(target, changes.patch, `${ctx.sessionId}.diff`);
+    }
+  }
+});
+
+CommandRegistry.register('commit', {
+  description: '提交本对话工作区中的修改到对话分支',
+  usage: '/commit [提交说明]',
+  handler: async (ctx) => {
+    if (!(await requireWorkspace(ctx, { idle: true }))) {
+      return;
+    }
+
+    let message = ctx.args.join(' ').trim();
+    if (!message) {
+      const session = await SessionManager.getSession(ctx.sessionId);
+      const question = (session?.history?.[session.history.length - 1]?.command || '').split('\n')[0];
+      message = question.length > MAX_SUBJECT_LENGTH ? `${question.substring(0, MAX_SUBJECT_LENGTH)}...` : question;
+    }
+
+    const result = await WorktreeManager.commit(ctx.sessionId, message || '飞书对话中的修改');
+    if (!result) {
+      await ctx.reply('✨ 工作区没有需要提交的修改');
+      return;
+    }
+
+    await ctx.reply(`✅ 已提交 ${result.hash} 到分支 ${result.branch}\n\n${result.stat}`);
+  }
+});
+
+CommandRegistry.register('discard', {
+  description: '丢弃本对话的工作区和分支',
+  handler: async (ctx) => {
+    if (!(await requireWorkspace(ctx, { idle: true }))) {
+      return;
+    }
+
+    // 丢弃无法恢复，需要在卡片上确认
+    const value = { sessionId: ctx.sessionId, chatId: ctx.chatId, openId: ctx.senderId?.open_id };
+    await FeishuSender.sendCard(ctx.replyTarget || ctx.chatId, {
+      config: {
+        wide_screen_mode: true
+      },
+      header: {
+        template: 'red',
+        title: {
+          content: '🗑️ 丢弃工作区',
+          tag: 'plain_text'
+        }
+      },
+      elements: [
+        {
+          tag: 'div',
+          text: {
+            tag: 'lark_md',
+            content: `将删除工作区和分支 \`${WorktreeManager.getBranch(ctx.sessionId)}\`，未提交的修改和分支上的提交都无法恢复。`
+          }
+        },
+        {
+          tag: 'action',
+          actions: [CardActionRegistry.button('workspace_discard', '确认丢弃', value, 'danger')]
+        }
+      ]
+    });
+  }
+});
@@ -3,8 +3,13 @@ const WebSocketManager = require('./modules/WebSocketManager');
 const EventHandler = require('./modules/EventHandler');
 const ProgressManager = require('./modules/ProgressManager');
 const SessionManager = require('./modules/SessionManager');
-const ClaudeAdapter = require('./modules/ClaudeAdapter');
+const AttachmentManager = require('./modules/AttachmentManager');
+const AdapterRegistry = require('./modules/AdapterRegistry');
+const PermissionBroker = require('./modules/PermissionBroker');
+const WorktreeManager = require('./modules/WorktreeManager');
+const DedupStore = require('./modules/DedupStore');
 const logger = require('./utils/logger');
+const { killAllProcesses } = require('./utils/processRunner');
 const config = require('../config/default');
 
 /**
@@ -22,23 +27,38 @@ class BridgeService {
   async initialize() {
     logger.info('正在初始化飞书 Claude 桥接服务...');
 
-    // 检查 Claude CLI 是否可用
-    const claudeAvailable = await ClaudeAdapter.isAvailable();
-    if (!claudeAvailable) {
-      logger.warn('Claude CLI 不可用，某些功能可能无法正常工作');
-    } else {
-      const version = await ClaudeAdapter.getVersion();
-      logger.info('Claude CLI 版本', { version });
+    // 检查各后端 CLI 是否可用
+    for (const adapter of AdapterRegistry.list()) {
+      const available = await adapter.isAvailable();
+      if (!available) {
+        logger.warn(`${adapter.displayName} CLI 不可用，使用该后端的聊天将无法正常工作`);
+      } else {
+        const version = await adapter.getVersion();
+        logger.info(`${adapter.displayName} CLI 版本`, { version });
+      }
     }
 
     // 启动进度监控
     ProgressManager.start();
 
+    // 定期清理过期会话及其附件和工作区，并清理上次运行遗留的附件目录和工作区
+    SessionManager.startCleanup();
+    await AttachmentManager.cleanupStale();
+    await WorktreeManager.cleanupStale();
+
+    // 启动工具权限审批服务，Claude 需要授权的工具调用通过飞书卡片审批
+    if (config.permission.enabled) {
+      await PermissionBroker.start();
+    }
+
     // 注册事件处理器
     WebSocketManager.addEventHandler((event) => {
       EventHandler.handle(event);
     });
 
+    // 注册卡片回调处理器
+    WebSocketManager.setCardActionHandler((data) => EventHandler.handleCardAction(data));
+
     logger.info('飞书 Claude 桥接服务初始化完成');
   }
 
@@ -73,6 +93,9 @@ class BridgeService {
    * 停止服务
    */
   async stop() {
+    // CLI 进程在独立的进程组中运行，不会随服务退出，启动过程中退出时也要结束
+    await killAllProcesses();
+
     if (!this.isRunning) {
       return;
     }
@@ -84,10 +107,15 @@ class BridgeService {
 
     // 停止进度监控
     ProgressManager.stop();
+    SessionManager.stopCleanup();
+    await PermissionBroker.stop();
 
     // 清理过期会话
     await SessionManager.cleanupExpiredSessions();
 
+    // 写入等待合并的去重记录
+    await DedupStore.flush();
+
     this.isRunning = false;
     logger.info('✅ 飞书 iFlow 桥接服务已停止');
   }
@@ -100,9 +128,12 @@ class BridgeService {
     console.log('  飞书 Claude 桥接服务');
     console.log('========================================');
     console.log(`  环境模式: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`  默认后端: ${AdapterRegistry.getDefaultName()}`);
     console.log(`  Claude CLI: ${config.claude.cliPath}`);
+    console.log(`  iFlow CLI: ${config.iflow.cliPath}`);
     console.log(`  进度监控: ${config.progress.enabled ? `启用 (${config.progress.interval}秒)` : '禁用'}`);
     console.log(`  每步超时: ${config.execution.timeoutPerStep}秒`);
+    console.log(`  工具审批: ${PermissionBroker.isRunning() ? `启用 (${config.permission.timeout}秒超时)` : '禁用'}`);
     console.log('========================================\n');
   }
 }
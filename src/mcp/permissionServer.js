@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * 工具权限审批 MCP 服务（stdio）
+ *
+ * 由 Claude CLI 通过 --mcp-config 启动，并作为 --permission-prompt-tool 使用：
+ * Claude 需要使用未授权的工具（Bash、Edit、Write 等）时调用 approve 工具，
+ * 本服务将请求转发给桥接服务的 PermissionBroker，由用户在飞书卡片上允许或拒绝，
+ * 再把决定返回给 Claude。
+ *
+ * 桥接服务的地址和本次执行的令牌通过环境变量传入：
+ *   FEISHU_BRIDGE_PERMISSION_URL    PermissionBroker 的地址
+ *   FEISHU_BRIDGE_PERMISSION_TOKEN  本次执行的令牌
+ *
+ * 只实现 Claude CLI 用到的 MCP 方法（initialize / tools/list / tools/call / ping），
+ * 消息为逐行的 JSON-RPC 2.0。
+ */
+const http = require('http');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const TOOL_NAME = 'approve';
+
+const TOOL = {
+  name: TOOL_NAME,
+  description: '请求用户在飞书中审批工具调用',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool_name: { type: 'string', description: '请求使用的工具' },
+      input: { type: 'object', description: '工具参数' },
+      tool_use_id: { type: 'string' }
+    },
+    required: ['tool_name', 'input']
+  }
+};
+
+/**
+ * 写出一条 JSON-RPC 消息
+ * @param {Object} message - 消息
+ */
+function send(message) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+}
+
+/**
+ * 向桥接服务请求审批
+ * 桥接服务不可用时拒绝，避免未经确认执行操作
+ * @param {Object} request - { tool_name, input, tool_use_id }
+ * @returns {Promise<Object>} 决定 { behavior: 'allow', updatedInput } 或 { behavior: 'deny', message }
+ */
+function requestDecision(request) {
+  const url = process.env.FEISHU_BRIDGE_PERMISSION_URL;
+  const token = process.env.FEISHU_BRIDGE_PERMISSION_TOKEN;
+  const body = JSON.stringify(request);
+
+  return new Promise((resolve) => {
+    const deny = (reason) => resolve({ behavior: 'deny', message: `无法获取用户审批: ${reason}` });
+    if (!url || !token) {
+      deny('未配置桥接服务地址');
+      return;
+    }
+
+    const req = http.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        Authorization: `Bearer ${token}`
+      }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        try {
+          const decision = JSON.parse(data);
+          if (res.statusCode !== 200 || !decision.behavior) {
+            deny(decision.error || `HTTP ${res.statusCode}`);
+            return;
+          }
+          resolve(decision);
+        } catch (error) {
+          deny(error.message);
+        }
+      });
+    });
+
+    req.on('error', (error) => deny(error.message));
+    req.end(body);
+  });
+}
+
+/**
+ * 处理一条 JSON-RPC 消息
+ * @param {Object} message - 消息
+ */
+async function handle(message) {
+  const { id, method, params = {} } = message;
+
+  // 通知（如 notifications/initialized）不需要响应
+  if (id === undefined || id === null) {
+    return;
+  }
+
+  switch (method) {
+    case 'initialize':
+      send({
+        id,
+        result: {
+          protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'feishu-bridge-permission', version: '1.0.0' }
+        }
+      });
+      break;
+    case 'ping':
+      send({ id, result: {} });
+      break;
+    case 'tools/list':
+      send({ id, result: { tools: [TOOL] } });
+      break;
+    case 'tools/call': {
+      if (params.name !== TOOL_NAME) {
+        send({ id, error: { code: -32602, message: `未知工具: ${params.name}` } });
+        break;
+      }
+      const decision = await requestDecision(params.arguments || {});
+      send({ id, result: { content: [{ type: 'text', text: JSON.stringify(decision) }] } });
+      break;
+    }
+    default:
+      send({ id, error: { code: -32601, message: `不支持的方法: ${method}` } });
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+rl.on('line', (line) => {
+  if (!line.trim()) {
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    send({ id: null, error: { code: -32700, message: '无法解析的消息' } });
+    return;
+  }
+
+  handle(message).catch((error) => {
+    send({ id: message.id, error: { code: -32603, message: error.message } });
+  });
+});
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+const { dataPath } = require('../utils/dataDir');
+
+// 可以在运行时修改的名单
+const LIST_NAMES = ['allowUsers', 'denyUsers', 'allowChats', 'denyChats'];
+
+/**
+ * 从飞书 sender_id 中取出所有可用的用户 ID
+ * @param {Object|string} senderId - { open_id, user_id, union_id } 或单个 ID
+ * @returns {Array<string>} 用户 ID 列表
+ */
+function getSenderIds(senderId) {
+  if (!senderId) {
+    return [];
+  }
+  if (typeof senderId === 'string') {
+    return [senderId];
+  }
+  return [senderId.open_id, senderId.user_id, senderId.union_id].filter(Boolean);
+}
+
+/**
+ * 创建空的运行时名单
+ * @returns {Object} 名单
+ */
+function createEmptyState() {
+  return {
+    allowUsers: [],
+    denyUsers: [],
+    allowChats: [],
+    denyChats: [],
+    chatAdmins: {} // chatId -> [userId]
+  };
+}
+
+/**
+ * 访问控制 - 用户/群组白名单、黑名单与群管理员
+ *
+ * 判断规则（依次）：
+ * 1. 全局管理员（ACL_ADMIN_USERS）始终允许
+ * 2. 用户或群组在黑名单中则拒绝
+ * 3. 没有配置任何白名单时允许所有人
+ * 4. 用户在白名单、群组在白名单或用户是该群管理员时允许
+ *
+ * 环境变量中的名单始终生效；运行时通过 /acl 命令修改的名单保存在 <DATA_DIR>/acl.json
+ */
+class AccessControl {
+  constructor() {
+    this.state = createEmptyState();
+    this.ready = this.load();
+  }
+
+  /**
+   * 获取名单文件路径
+   * @returns {string} 文件路径
+   */
+  getFile() {
+    return dataPath('acl.json');
+  }
+
+  /**
+   * 从文件加载名单（替换内存中的名单）
+   */
+  async load() {
+    this.state = createEmptyState();
+    try {
+      const content = await fs.readFile(this.getFile(), 'utf-8');
+      this.state = { ...this.state, ...JSON.parse(content) };
+      logger.info('加载访问控制名单', { file: this.getFile() });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('加载访问控制名单失败', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 保存名单到文件
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.getFile()), { recursive: true });
+      await fs.writeFile(this.getFile(), JSON.stringify(this.state, null, 2), 'utf-8');
+    } catch (error) {
+      logger.error('保存访问控制名单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取生效的名单（环境变量 + 运行时名单）
+   * @param {string} listName - 名单名称
+   * @returns {Array<string>} 名单
+   */
+  getList(listName) {
+    return [...new Set([...config.acl[listName], ...this.state[listName]])];
+  }
+
+  /**
+   * 判断用户是否为全局管理员（ACL_ADMIN_USERS）
+   * 白名单和黑名单对所有聊天生效，只有全局管理员可以修改
+   * @param {Object|string} senderId - 发送者 ID
+   * @returns {boolean} 是否为全局管理员
+   */
+  isGlobalAdmin(senderId) {
+    return getSenderIds(senderId).some(id => config.acl.adminUsers.includes(id));
+  }
+
+  /**
+   * 判断用户是否为全局管理员或群管理员
+   * @param {string} chatId - 聊天 ID
+   * @param {Object|string} senderId - 发送者 ID
+   * @returns {Promise<boolean>} 是否为管理员
+   */
+  async isAdmin(chatId, senderId) {
+    await this.ready;
+    const chatAdmins = this.state.chatAdmins[chatId] || [];
+    return this.isGlobalAdmin(senderId) || getSenderIds(senderId).some(id => chatAdmins.includes(id));
+  }
+
+  /**
+   * 判断用户是否可以在该聊天中使用机器人
+   * @param {string} chatId - 聊天 ID
+   * @param {Object|string} senderId - 发送者 ID
+   * @returns {Promise<boolean>} 是否允许
+   */
+  async isAllowed(chatId, senderId) {
+    await this.ready;
+    const ids = getSenderIds(senderId);
+
+    if (this.isGlobalAdmin(senderId)) {
+      return true;
+    }
+
+    const denyUsers = this.getList('denyUsers');
+    if (ids.some(id => denyUsers.includes(id)) || this.getList('denyChats').includes(chatId)) {
+      return false;
+    }
+
+    const allowUsers = this.getList('allowUsers');
+    const allowChats = this.getList('allowChats');
+    if (allowUsers.length === 0 && allowChats.length === 0) {
+      return true;
+    }
+
+    return ids.some(id => allowUsers.includes(id)) ||
+      allowChats.includes(chatId) ||
+      await this.isAdmin(chatId, senderId);
+  }
+
+  /**
+   * 向名单中添加 ID
+   * 加入白名单时会从对应黑名单中移除，反之亦然
+   * @param {string} listName - allowUsers / denyUsers / allowChats / denyChats
+   * @param {string} id - 用户或群组 ID
+   */
+  async addToList(listName, id) {
+    await this.ready;
+    if (!LIST_NAMES.includes(listName)) {
+      throw new Error(`未知名单: ${listName}`);
+    }
+
+    const opposite = listName.startsWith('allow')
+      ? listName.replace('allow', 'deny')
+      : listName.replace('deny', 'allow');
+    this.state[opposite] = this.state[opposite].filter(item => item !== id);
+
+    if (!this.state[listName].includes(id)) {
+      this.state[listName].push(id);
+    }
+
+    await this.save();
+    logger.info('更新访问控制名单', { listName, id });
+  }
+
+  /**
+   * 从白名单和黑名单中移除 ID
+   * @param {string} type - user / chat
+   * @param {string} id - 用户或群组 ID
+   * @returns {Promise<boolean>} 是否有名单被修改
+   */
+  async removeFromLists(type, id) {
+    await this.ready;
+    const suffix = type === 'chat' ? 'Chats' : 'Users';
+    let changed = false;
+
+    for (const listName of [`allow${suffix}`, `deny${suffix}`]) {
+      const before = this.state[listName].length;
+      this.state[listName] = this.state[listName].filter(item => item !== id);
+      changed = changed || this.state[listName].length !== before;
+    }
+
+    if (changed) {
+      await this.save();
+      logger.info('从访问控制名单移除', { type, id });
+    }
+    return changed;
+  }
+
+  /**
+   * 设置群管理员
+   * @param {string} chatId - 聊天 ID
+   * @param {string} userId - 用户 ID
+   * @param {boolean} isAdmin - true 添加，false 移除
+   */
+  async setChatAdmin(chatId, userId, isAdmin) {
+    await this.ready;
+    const admins = (this.state.chatAdmins[chatId] || []).filter(id => id !== userId);
+    if (isAdmin) {
+      admins.push(userId);
+    }
+
+    if (admins.length > 0) {
+      this.state.chatAdmins[chatId] = admins;
+    } else {
+      delete this.state.chatAdmins[chatId];
+    }
+
+    await this.save();
+    logger.info('更新群管理员', { chatId, userId, isAdmin });
+  }
+
+  /**
+   * 获取名单概览
+   * @param {string} chatId - 当前聊天 ID
+   * @returns {Promise<Object>} 各名单内容
+   */
+  async describe(chatId) {
+    await this.ready;
+    return {
+      adminUsers: config.acl.adminUsers,
+      chatAdmins: this.state.chatAdmins[chatId] || [],
+      allowUsers: this.getList('allowUsers'),
+      denyUsers: this.getList('denyUsers'),
+      allowChats: this.getList('allowChats'),
+      denyChats: this.getList('denyChats')
+    };
+  }
+}
+
+module.exports = new AccessControl();
@@ -0,0 +1,92 @@
+const ClaudeAdapter = require('./ClaudeAdapter');
+const IFlowAdapter = require('./IFlowAdapter');
+const ChatSettings = require('./ChatSettings');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+/**
+ * 后端注册表 - 管理可用的 AgentAdapter，并为每个聊天选择后端
+ *
+ * 选择顺序：
+ * 1. 通过 /backend 命令为聊天设置的后端（保存在 ChatSettings）
+ * 2. AGENT_BACKEND_CHATS 中为聊天配置的后端
+ * 3. AGENT_BACKEND 默认后端
+ */
+class AdapterRegistry {
+  constructor() {
+    this.adapters = new Map(); // 后端名称 -> AgentAdapter
+    this.register(ClaudeAdapter);
+    this.register(IFlowAdapter);
+  }
+
+  /**
+   * 注册后端
+   * @param {AgentAdapter} adapter - 适配器实例
+   */
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * 获取后端
+   * @param {string} name - 后端名称
+   * @returns {AgentAdapter|null} 适配器
+   */
+  get(name) {
+    return this.adapters.get(String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * 获取所有已注册的后端
+   * @returns {Array<AgentAdapter>} 适配器列表
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * 获取默认后端名称（配置无效时回退到 claude）
+   * @returns {string} 后端名称
+   */
+  getDefaultName() {
+    if (this.adapters.has(config.backend.default)) {
+      return config.backend.default;
+    }
+    logger.warn('未知的默认后端，使用 claude', { backend: config.backend.default });
+    return 'claude';
+  }
+
+  /**
+   * 获取聊天使用的后端名称
+   * @param {string} chatId - 聊天 ID
+   * @returns {Promise<string>} 后端名称
+   */
+  async getBackendName(chatId) {
+    const settings = await ChatSettings.get(chatId);
+    const name = settings.backend || config.backend.chats[chatId];
+    return this.adapters.has(name) ? name : this.getDefaultName();
+  }
+
+  /**
+   * 获取聊天使用的后端
+   * @param {string} chatId - 聊天 ID
+   * @returns {Promise<AgentAdapter>} 适配器
+   */
+  async getAdapter(chatId) {
+    return this.adapters.get(await this.getBackendName(chatId));
+  }
+
+  /**
+   * 设置聊天使用的后端
+   * @param {string} chatId - 聊天 ID
+   * @param {string|null} name - 后端名称，null 表示恢复配置中的默认值
+   */
+  async setBackend(chatId, name) {
+    if (name && !this.get(name)) {
+      throw new Error(`未知后端: ${name}`);
+    }
+    await ChatSettings.update(chatId, { backend: name ? this.get(name).name : null });
+  }
+}
+
+module.exports = new AdapterRegistry();
@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+const { runProcess } = require('../utils/processRunner');
+
+/**
+ * 后端执行结果（各适配器统一返回的结构）
+ * @typedef {Object} AgentResult
+ * @property {boolean} success - 执行是否成功
+ * @property {boolean} [cancelled] - 是否被取消
+ * @property {boolean} isError - 后端是否报告了错误
+ * @property {string|null} subtype - 结果类型（后端不提供时为 null）
+ * @property {string} output - 最终回复文本
+ * @property {string} error - 标准错误输出
+ * @property {number} exitCode - 进程退出码
+ * @property {number} duration - 执行耗时（毫秒）
+ * @property {number|null} numTurns - 对话轮数
+ * @property {number|null} costUsd - 本次调用费用（美元）
+ * @property {Object|null} usage - token 用量
+ * @property {Array<{id: string, name: string, input: Object, isError: boolean}>} toolCalls - 工具调用列表
+ * @property {string} command - 用户提示词
+ * @property {string} sessionId - 桥接会话 ID
+ * @property {string|null} conversationId - 后端对话 ID（支持延续对话的后端才有）
+ * @property {string|null} workDir - CLI 的工作目录（未指定时为 null）
+ */
+
+/**
+ * 后端适配器基类 - 所有 CLI 后端（Claude、iFlow 等）实现的统一接口
+ *
+ * 子类需要实现：
+ *   execute(prompt, sessionId, options)  执行一次对话，返回 AgentResult
+ *
+ * 可选覆盖：
+ *   supportsResume            是否支持通过 conversationId 延续对话
+ *   supportsPermissionPrompt  是否支持通过 permissionPrompt 在飞书中审批工具调用
+ *   supportsAddDirs           是否支持通过 addDirs 访问工作目录之外的目录（图片和文件附件需要）
+ *   createConversationId()    为新对话生成 ID
+ *   isSessionNotFound()       判断失败是否因为要恢复的对话已不存在
+ *
+ * 基类提供 stream / cancel / isRunning / isAvailable / getVersion 的默认实现，
+ * 子类在 execute 中通过 trackProcess() 登记正在运行的进程即可支持取消。
+ *
+ * 流式事件统一使用 Claude stream-json 的格式：完整消息为
+ * { type: 'assistant' | 'user', message: { content: [...] } }，增量文本为
+ * { type: 'stream_event', event: { delta: { type: 'text_delta', text } } }，StreamingCard 据此更新卡片。
+ */
+class AgentAdapter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.name - 后端名称（/backend 命令中使用）
+   * @param {string} options.displayName - 显示名称
+   * @param {string} options.cliPath - CLI 可执行文件路径
+   */
+  constructor({ name, displayName, cliPath }) {
+    this.name = name;
+    this.displayName = displayName;
+    this.cliPath = cliPath;
+    this.supportsResume = false;
+    this.supportsPermissionPrompt = false;
+    this.supportsAddDirs = false;
+    this.runningProcesses = new Map(); // 会话 ID -> { child, kill, cancelled, startTime }
+  }
+
+  /**
+   * 执行一次对话
+   * @param {string} prompt - 用户提示词
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} options - 执行选项
+   * @param {string} [options.conversationId] - 后端对话 ID
+   * @param {boolean} [options.resume] - 是否延续已有对话
+   * @param {Array<string>} [options.addDirs] - 额外允许访问的目录（如附件目录）
+   * @param {string} [options.cwd] - CLI 的工作目录（对话绑定的项目目录）
+   * @param {Object} [options.permissionPrompt] - 工具权限审批参数（见 PermissionBroker.createPrompt）
+   * @param {string} [options.systemPrompt] - 补充给后端的说明（如声明要发送的文件的方式）
+   * @param {Function} [options.onEvent] - 流式事件回调
+   * @returns {Promise<AgentResult>} 执行结果
+   */
+  async execute(prompt, sessionId, options = {}) {
+    throw new Error(`${this.displayName} 适配器未实现 execute`);
+  }
+
+  /**
+   * 以流式方式执行，每产生一个事件回调一次
+   * @param {string} prompt - 用户提示词
+   * @param {string} sessionId - 会话 ID
+   * @param {Function} onEvent - 流式事件回调
+   * @param {Object} options - 执行选项（见 execute）
+   * @returns {Promise<AgentResult>} 执行结果
+   */
+  stream(prompt, sessionId, onEvent, options = {}) {
+    return this.execute(prompt, sessionId, { ...options, onEvent });
+  }
+
+  /**
+   * 为新对话生成后端对话 ID（不支持延续对话的后端返回 null）
+   * @returns {string|null} 对话 ID
+   */
+  createConversationId() {
+    return null;
+  }
+
+  /**
+   * 判断执行失败是否因为要恢复的对话已不存在
+   * @param {AgentResult} result - 执行结果
+   * @returns {boolean} 是否为对话丢失
+   */
+  isSessionNotFound(result) {
+    return false;
+  }
+
+  /**
+   * 登记正在运行的进程，execute 结束后调用返回的函数注销
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} processHandle - runProcess 返回的 { child, kill }
+   * @returns {{ running: Object, release: Function }} running.cancelled 表示是否已被取消
+   */
+  trackProcess(sessionId, { child, kill }) {
+    const running = { child, kill, cancelled: false, startTime: Date.now() };
+    this.runningProcesses.set(sessionId, running);
+
+    const release = () => {
+      if (this.runningProcesses.get(sessionId) === running) {
+        this.runningProcesses.delete(sessionId);
+      }
+    };
+
+    return { running, release };
+  }
+
+  /**
+   * 取消会话正在执行的进程
+   * @param {string} sessionId - 会话 ID
+   * @returns {boolean} 是否找到并取消了进程
+   */
+  cancel(sessionId) {
+    const running = this.runningProcesses.get(sessionId);
+    if (!running) {
+      return false;
+    }
+
+    running.cancelled = true;
+    running.kill();
+    logger.info(`取消 ${this.displayName} CLI 执行`, { sessionId, pid: running.child.pid });
+    return true;
+  }
+
+  /**
+   * 判断会话是否有正在执行的进程
+   * @param {string} sessionId - 会话 ID
+   * @returns {boolean} 是否正在执行
+   */
+  isRunning(sessionId) {
+    return this.runningProcesses.has(sessionId);
+  }
+
+  /**
+   * 检查 CLI 是否可用
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async isAvailable() {
+    try {
+      const { promise } = runProcess(this.cliPath, ['--version'], { timeout: 5000 });
+      const result = await promise;
+
+      // 如果有输出或者退出码为0，认为可用
+      return !result.timedOut && (result.exitCode === 0 || !!(result.stdout || result.stderr));
+    } catch (error) {
+      logger.error(`检查 ${this.displayName} CLI 可用性失败`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 获取 CLI 版本
+   * @returns {Promise<string>} 版本信息
+   */
+  async getVersion() {
+    try {
+      const { promise } = runProcess(this.cliPath, ['--version'], { timeout: 5000 });
+      const result = await promise;
+
+      if (result.timedOut) {
+        return 'unknown';
+      }
+      return (result.stdout + result.stderr).trim() || 'unknown';
+    } catch (error) {
+      logger.error(`获取 ${this.displayName} CLI 版本失败`, { error: error.message });
+      return 'unknown';
+    }
+  }
+
+  /**
+   * 辅助函数：睡眠
+   * @param {number} ms - 毫秒数
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = AgentAdapter;
@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// 回复中声明要发送的文件的标记，如 <artifact>dist/report.pdf</artifact>
+const ARTIFACT_PATTERN = /<artifact>\s*([^<\n]+?)\s*<\/artifact>/g;
+
+// 告诉后端如何声明要发送的文件
+const INSTRUCTIONS = [
+  '如果需要把生成的文件发送给用户，请在回复中为每个文件单独写一行 <artifact>文件路径</artifact>，',
+  '路径相对于当前工作目录。只有这样声明的文件才会发送到飞书；工作目录之外的文件、',
+  '以 . 开头的文件和目录以及密钥等敏感文件不会被发送。'
+].join('');
+
+/**
+ * 将通配符（* 和 ?）转换为正则表达式
+ * @param {string} pattern - 通配符
+ * @returns {RegExp} 不区分大小写的正则表达式
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 产物发送 - 按后端在回复中的声明发送生成的文件
+ *
+ * 后端需要用 <artifact>路径</artifact> 明确声明要发送的文件（说明通过系统提示词或提示词告知），
+ * 回复中提到的其他路径不会被发送。声明的文件必须满足：
+ *   - 解析符号链接后位于本次执行的工作目录之内
+ *   - 路径中没有以 . 开头的文件或目录（.env、.git、.ssh 等），文件名不匹配 ARTIFACT_DENY_PATTERNS
+ *   - 是不超过 ARTIFACT_MAX_SIZE 的普通文件
+ * 每次执行最多发送 ARTIFACT_MAX_FILES 个文件。对话没有绑定项目目录时（后端在服务自身的目录中运行，
+ * 其中有 data/、logs/ 等），声明的文件一律不发送。
+ */
+class ArtifactManager {
+  /**
+   * 获取告知后端声明方式的说明
+   * @returns {string} 说明
+   */
+  getInstructions() {
+    return INSTRUCTIONS;
+  }
+
+  /**
+   * 取出回复中声明的文件路径，并从回复中去掉声明标记
+   * @param {string} output - 回复内容
+   * @returns {{ output: string, paths: Array<string> }} 去掉标记后的回复和声明的路径（已去重）
+   */
+  extract(output = '') {
+    const paths = [];
+    const text = output.replace(ARTIFACT_PATTERN, (match, declared) => {
+      if (!paths.includes(declared)) {
+        paths.push(declared);
+      }
+      return '';
+    });
+
+    if (paths.length === 0) {
+      return { output, paths };
+    }
+
+    // 去掉只剩标记的行留下的空行
+    return { output: text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim(), paths };
+  }
+
+  /**
+   * 判断文件是否被禁止发送
+   * @param {string} relativePath - 相对于工作目录的路径
+   * @returns {boolean}
+   */
+  isDenied(relativePath) {
+    const segments = relativePath.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) {
+      return true;
+    }
+
+    const name = segments[segments.length - 1];
+    return config.artifacts.denyPatterns.some(pattern => globToRegExp(pattern).test(name));
+  }
+
+  /**
+   * 检查声明的文件
+   * @param {string} declared - 声明的路径
+   * @param {string} workDir - 工作目录（已解析符号链接）
+   * @returns {Promise<Object>} { path, name, size }
+   * @throws {Error} 不能发送时抛出，错误信息为原因
+   */
+  async check(declared, workDir) {
+    let filePath;
+    try {
+      filePath = await fs.realpath(path.resolve(workDir, declared));
+    } catch (error) {
+      throw new Error('文件不存在');
+    }
+
+    const relative = path.relative(workDir, filePath);
+    if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error('不在工作目录内');
+    }
+    if (this.isDenied(relative)) {
+      throw new Error('可能包含敏感信息');
+    }
+
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile()) {
+      throw new Error('不是文件');
+    }
+    if (stat.size > config.artifacts.maxSize) {
+      throw new Error(`超过大小限制（${Math.round(config.artifacts.maxSize / 1024 / 1024)} MB）`);
+    }
+
+    return { path: filePath, name: relative, size: stat.size };
+  }
+
+  /**
+   * 取出回复中声明的文件并逐个检查
+   * @param {string} output - 回复内容
+   * @param {string|null} workDir - 本次执行的项目目录，没有绑定时为 null
+   * @returns {Promise<Object>} { output, files, rejected }
+   *   output: 去掉声明标记后的回复
+   *   files: 可以发送的文件 [{ path, name, size }]
+   *   rejected: 不能发送的文件 [{ path, reason }]
+   */
+  async collect(output, workDir) {
+    const { output: text, paths } = this.extract(output);
+    const files = [];
+    const rejected = [];
+    if (paths.length === 0) {
+      return { output: text, files, rejected };
+    }
+    if (!workDir) {
+      rejected.push(...paths.map(declared => ({ path: declared, reason: '当前对话没有绑定项目目录' })));
+      logger.warn('没有项目目录，拒绝发送声明的文件', { rejected });
+      return { output: text, files, rejected };
+    }
+
+    const root = await fs.realpath(workDir);
+    for (const declared of paths) {
+      if (files.length >= config.artifacts.maxFiles) {
+        rejected.push({ path: declared, reason: `超过每次最多 ${config.artifacts.maxFiles} 个文件的限制` });
+        continue;
+      }
+
+      try {
+        const file = await this.check(declared, root);
+        if (!files.some(item => item.path === file.path)) {
+          files.push(file);
+        }
+      } catch (error) {
+        rejected.push({ path: declared, reason: error.message });
+      }
+    }
+
+    if (rejected.length > 0) {
+      logger.warn('拒绝发送声明的文件', { workDir: root, rejected });
+    }
+    return { output: text, files, rejected };
+  }
+}
+
+module.exports = new ArtifactManager();
@@ -0,0 +1,220 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FeishuSender = require('./FeishuSender');
+const SessionManager = require('./SessionManager');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+const { dataPath } = require('../utils/dataDir');
+
+// Content-Type -> 扩展名
+const IMAGE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff'
+};
+
+/**
+ * 附件管理 - 将聊天中的图片、文件下载到会话的临时目录，供后端 CLI 读取
+ *
+ * 每个会话的附件保存在 <DATA_DIR>/attachments/<sessionId>/，会话被删除或过期时一并清理。
+ * 单独发送的文件不会立即触发执行，而是作为待处理附件，在下一条消息的提示词中说明。
+ */
+class AttachmentManager {
+  constructor() {
+    this.pending = new Map(); // 会话 ID -> 待处理附件列表
+    SessionManager.addCleanupHandler((sessionId) => this.cleanupSession(sessionId));
+  }
+
+  /**
+   * 获取附件根目录
+   * @returns {string} 目录路径
+   */
+  getRoot() {
+    return dataPath('attachments');
+  }
+
+  /**
+   * 获取会话的附件目录
+   * @param {string} sessionId - 会话 ID
+   * @returns {string} 目录路径
+   */
+  getSessionDir(sessionId) {
+    return path.join(this.getRoot(), sessionId);
+  }
+
+  /**
+   * 判断会话是否已有附件目录
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<boolean>} 是否存在
+   */
+  async hasAttachments(sessionId) {
+    try {
+      await fs.access(this.getSessionDir(sessionId));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 下载图片消息中的图片
+   * @param {string} sessionId - 会话 ID
+   * @param {string} messageId - 消息 ID
+   * @param {string} imageKey - 图片的 image_key
+   * @returns {Promise<Object>} 附件 { type: 'image', name, path, size }
+   */
+  async saveImage(sessionId, messageId, imageKey) {
+    const dir = this.getSessionDir(sessionId);
+    await fs.mkdir(dir, { recursive: true });
+
+    // 下载完成后根据 Content-Type 补上扩展名
+    const baseName = String(imageKey).replace(/[^\w.-]/g, '_');
+    const tempPath = path.join(dir, `${baseName}.download`);
+    const { size, contentType } = await FeishuSender.downloadResource(
+      messageId, imageKey, 'image', tempPath, config.attachments.maxImageSize
+    );
+
+    const filePath = path.join(dir, `${baseName}${IMAGE_EXTENSIONS[contentType] || '.png'}`);
+    await fs.rename(tempPath, filePath);
+
+    logger.info('保存图片附件', { sessionId, filePath, size });
+    return { type: 'image', name: path.basename(filePath), path: filePath, size };
+  }
+
+  /**
+   * 判断文件扩展名是否允许
+   * @param {string} fileName - 文件名
+   * @returns {boolean} 是否允许
+   */
+  isAllowedFile(fileName) {
+    const allowed = config.attachments.allowedExtensions;
+    if (allowed.includes('*')) {
+      return true;
+    }
+    return allowed.includes(path.extname(fileName).toLowerCase());
+  }
+
+  /**
+   * 生成安全的本地文件名（去掉路径和特殊字符）
+   * @param {string} fileName - 原始文件名
+   * @returns {string} 文件名
+   */
+  sanitizeFileName(fileName) {
+    const name = path.basename(String(fileName || '')).replace(/[^\w.\-\u4e00-\u9fa5]/g, '_');
+    return name.replace(/^\.+/, '') || 'file';
+  }
+
+  /**
+   * 下载文件消息中的文件
+   * @param {string} sessionId - 会话 ID
+   * @param {string} messageId - 消息 ID
+   * @param {string} fileKey - 文件的 file_key
+   * @param {string} fileName - 原始文件名
+   * @returns {Promise<Object>} 附件 { type: 'file', name, path, size }
+   */
+  async saveFile(sessionId, messageId, fileKey, fileName) {
+    if (!this.isAllowedFile(fileName)) {
+      throw new Error(`不支持的文件类型 ${path.extname(fileName) || '(无扩展名)'}，允许: ${config.attachments.allowedExtensions.join(' ')}`);
+    }
+
+    const dir = this.getSessionDir(sessionId);
+    await fs.mkdir(dir, { recursive: true });
+
+    // 本地文件名加上消息 ID 前缀，不同消息中的同名文件不会互相覆盖
+    const name = this.sanitizeFileName(fileName);
+    const filePath = path.join(dir, `${String(messageId).replace(/[^\w-]/g, '_')}-${name}`);
+    const { size } = await FeishuSender.downloadResource(
+      messageId, fileKey, 'file', filePath, config.attachments.maxFileSize
+    );
+
+    logger.info('保存文件附件', { sessionId, filePath, size });
+    return { type: 'file', name, path: filePath, size };
+  }
+
+  /**
+   * 添加待处理附件（在下一次执行时说明）
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} attachment - 附件
+   */
+  addPending(sessionId, attachment) {
+    const list = (this.pending.get(sessionId) || []).filter(item => item.path !== attachment.path);
+    list.push(attachment);
+    this.pending.set(sessionId, list);
+  }
+
+  /**
+   * 取出并清空待处理附件
+   * @param {string} sessionId - 会话 ID
+   * @returns {Array<Object>} 附件列表
+   */
+  takePending(sessionId) {
+    const list = this.pending.get(sessionId) || [];
+    this.pending.delete(sessionId);
+    return list;
+  }
+
+  /**
+   * 生成附件说明，附加在提示词后
+   * @param {Array<Object>} attachments - 附件列表
+   * @returns {string} 说明文本，没有附件时为空字符串
+   */
+  formatForPrompt(attachments = []) {
+    if (attachments.length === 0) {
+      return '';
+    }
+
+    const lines = attachments.map(attachment => {
+      const label = attachment.type === 'image' ? '图片' : '文件';
+      const size = attachment.size >= 1024 ? `${(attachment.size / 1024).toFixed(1)} KB` : `${attachment.size} B`;
+      return `- ${label} ${attachment.name}（${size}）: ${attachment.path}`;
+    });
+    return `用户发送的附件已保存到本地，可以直接读取：\n${lines.join('\n')}`;
+  }
+
+  /**
+   * 删除会话的附件目录
+   * @param {string} sessionId - 会话 ID
+   */
+  async cleanupSession(sessionId) {
+    this.pending.delete(sessionId);
+    await fs.rm(this.getSessionDir(sessionId), { recursive: true, force: true });
+    logger.info('清理会话附件', { sessionId });
+  }
+
+  /**
+   * 清理长时间未更新的附件目录（例如服务重启前留下的目录）
+   * @param {number} maxAge - 最大保留时间（毫秒）
+   * @returns {Promise<number>} 清理的目录数
+   */
+  async cleanupStale(maxAge = config.session.maxAge * 1000) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.getRoot(), { withFileTypes: true });
+    } catch (error) {
+      return 0;
+    }
+
+    let count = 0;
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+      const dir = path.join(this.getRoot(), entry.name);
+      const stat = await fs.stat(dir);
+      if (Date.now() - stat.mtimeMs > maxAge) {
+        await fs.rm(dir, { recursive: true, force: true });
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      logger.info('清理过期附件目录', { count });
+    }
+    return count;
+  }
+}
+
+module.exports = new AttachmentManager();
@@ -0,0 +1,128 @@
+const AccessControl = require('./AccessControl');
+const logger = require('../utils/logger');
+
+/**
+ * 卡片动作注册表 - 管理卡片按钮及其回调（card.action.trigger）
+ *
+ * 其他模块通过 register() 注册动作，通过 button() 生成对应的按钮：
+ *
+ *   CardActionRegistry.register('ping', {
+ *     handler: async (ctx) => CardActionRegistry.toast('success', 'pong')
+ *   });
+ *   card.elements.push({ tag: 'action', actions: [CardActionRegistry.button('ping', 'Ping', { sessionId })] });
+ *
+ * 按钮的 value 中保存动作名和会话信息，handler 接收的上下文对象：
+ * {
+ *   action, sessionId, chatId, openId, threadId, messageId, ...  // 按钮 value 中的字段
+ *   operatorId,              // 点击者 open_id
+ *   eventHandler             // EventHandler 实例
+ * }
+ * handler 的返回值作为回调响应回传给飞书（如 toast 提示），需要在 3 秒内返回，耗时的操作不要等待完成。
+ */
+class CardActionRegistry {
+  constructor() {
+    this.actions = new Map(); // 动作名 -> 动作定义
+  }
+
+  /**
+   * 注册动作
+   * @param {string} name - 动作名
+   * @param {Object} definition - 动作定义
+   * @param {boolean} [definition.initiatorOnly] - 是否仅发起人（按钮 value 中的 openId）可以点击
+   * @param {Function} definition.handler - 处理函数 async (ctx) => 回调响应
+   */
+  register(name, definition) {
+    if (typeof definition?.handler !== 'function') {
+      throw new Error(`卡片动作 ${name} 缺少 handler`);
+    }
+
+    if (this.actions.has(name)) {
+      logger.warn('覆盖已注册的卡片动作', { action: name });
+    }
+
+    this.actions.set(name, {
+      name,
+      initiatorOnly: !!definition.initiatorOnly,
+      handler: definition.handler
+    });
+    logger.debug('注册卡片动作', { action: name });
+  }
+
+  /**
+   * 查找动作
+   * @param {string} name - 动作名
+   * @returns {Object|null} 动作定义
+   */
+  get(name) {
+    return this.actions.get(name) || null;
+  }
+
+  /**
+   * 生成触发动作的按钮
+   * @param {string} name - 动作名
+   * @param {string} text - 按钮文字
+   * @param {Object} [value] - 回调时带回的数据（会话信息等）
+   * @param {string} [type] - 按钮样式（default / primary / danger）
+   * @returns {Object} 按钮元素
+   */
+  button(name, text, value = {}, type = 'default') {
+    return {
+      tag: 'button',
+      type,
+      text: {
+        tag: 'plain_text',
+        content: text
+      },
+      value: { ...value, action: name }
+    };
+  }
+
+  /**
+   * 生成 toast 提示响应
+   * @param {string} type - 提示类型（success / info / warning / error）
+   * @param {string} content - 提示内容
+   * @returns {Object} 回调响应
+   */
+  toast(type, content) {
+    return { toast: { type, content } };
+  }
+
+  /**
+   * 分发卡片回调
+   * @param {Object} data - card.action.trigger 事件
+   * @param {Object} context - { eventHandler }
+   * @returns {Promise<Object>} 回调响应
+   */
+  async dispatch(data, context) {
+    const value = data.action?.value || {};
+    const operator = data.operator || {};
+    const definition = this.get(value.action);
+
+    if (!definition) {
+      logger.warn('未知的卡片动作', { action: value.action });
+      return this.toast('error', '未知操作');
+    }
+
+    // 按钮中没有发起人时无法确认身份，一律拒绝
+    if (definition.initiatorOnly && (!value.openId || value.openId !== operator.open_id)) {
+      return this.toast('warning', '只有发起人可以执行此操作');
+    }
+
+    const chatId = value.chatId || data.context?.open_chat_id;
+    if (chatId && !(await AccessControl.isAllowed(chatId, operator))) {
+      logger.warn('拒绝未授权的卡片操作', { action: definition.name, chatId, operatorId: operator.open_id });
+      return this.toast('error', '你没有使用此机器人的权限');
+    }
+
+    logger.info('执行卡片动作', { action: definition.name, sessionId: value.sessionId, operatorId: operator.open_id });
+
+    try {
+      return await definition.handler({ ...value, ...context, operatorId: operator.open_id });
+    } catch (error) {
+      logger.error('执行卡片动作失败', { action: definition.name, error: error.message, stack: error.stack });
+      return this.toast('error', `操作失败: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CardActionRegistry();
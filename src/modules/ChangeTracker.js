@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { runGit, getRepoRoot } = require('../utils/git');
+
+// 让 git 原样输出非 ASCII 文件名
+const GIT_OPTIONS = ['-c', 'core.quotePath=false'];
+
+/**
+ * 修改追踪 - 记录执行前后工作目录的 git 状态，汇总后端修改了哪些文件
+ *
+ * 快照使用临时索引文件（GIT_INDEX_FILE）把整个工作目录（包括未跟踪、未暂存的文件，遵循 .gitignore）
+ * 写成一个 tree 对象，不会改动仓库的索引、分支和工作目录；执行前后两个 tree 的差异即为本次执行的修改。
+ * 执行前已有的未提交修改不计入，但同一仓库中同时运行的其他对话的修改会被计入（开启工作区隔离可避免）。
+ */
+class ChangeTracker {
+  /**
+   * 记录目录所在 git 仓库的当前状态
+   * @param {string} dir - 工作目录
+   * @returns {Promise<Object|null>} 快照 { root, tree }，不在 git 仓库中或失败时为 null
+   */
+  async snapshot(dir) {
+    const root = await getRepoRoot(dir);
+    if (!root) {
+      return null;
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'feishu-snapshot-'));
+    const indexFile = path.join(tempDir, 'index');
+
+    try {
+      // 复制仓库的索引，复用其中的文件状态缓存，避免重新读取所有文件
+      // 普通仓库输出 .git/index 这样的相对路径，按 root 解析
+      const { stdout } = await runGit(['rev-parse', '--git-path', 'index'], { cwd: root });
+      await this.copyIndex(path.resolve(root, stdout.trim()), indexFile);
+
+      const env = { GIT_INDEX_FILE: indexFile };
+      await runGit(['add', '-A'], { cwd: root, env });
+      const { stdout: tree } = await runGit(['write-tree'], { cwd: root, env });
+
+      return { root, tree: tree.trim() };
+    } catch (error) {
+      logger.warn('记录工作目录快照失败', { dir, error: error.message });
+      return null;
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 复制索引文件并保留修改时间
+   * git 根据索引文件的修改时间判断缓存的文件状态是否可信，复制后时间变新会把
+   * 同一秒内写入、大小不变的文件误判为未修改
+   * @param {string} source - 仓库的索引文件
+   * @param {string} target - 临时索引文件
+   */
+  async copyIndex(source, target) {
+    try {
+      const stat = await fs.stat(source);
+      await fs.copyFile(source, target);
+      await fs.utimes(target, stat.atime, stat.mtime);
+    } catch (error) {
+      // 没有索引（如空仓库）或复制失败时从空索引开始
+      await fs.rm(target, { force: true });
+    }
+  }
+
+  /**
+   * 对比执行前的快照与当前状态
+   * @param {Object|null} before - 执行前的快照（见 snapshot）
+   * @returns {Promise<Object|null>} { files, patch }，没有修改或失败时为 null
+   *   files: [{ path, status, additions, deletions, binary }]，status 为 git 的 A / M / D / T
+   *   patch: 统一格式的 diff，过大无法获取时为空字符串
+   */
+  async collect(before) {
+    if (!before) {
+      return null;
+    }
+
+    const after = await this.snapshot(before.root);
+    if (!after || after.tree === before.tree) {
+      return null;
+    }
+
+    const range = ['--no-renames', before.tree, after.tree];
+    try {
+      const { stdout: nameStatus } = await runGit([...GIT_OPTIONS, 'diff', '--name-status', ...range], { cwd: before.root });
+      const { stdout: numstat } = await runGit([...GIT_OPTIONS, 'diff', '--numstat', ...range], { cwd: before.root });
+      const files = this.parseFiles(nameStatus, numstat);
+      if (files.length === 0) {
+        return null;
+      }
+
+      // patch 可能超过输出上限，此时只汇总文件列表
+      const { stdout: patch, exitCode } = await runGit([...GIT_OPTIONS, 'diff', ...range], {
+        cwd: before.root,
+        allowFailure: true
+      });
+
+      return { files, patch: exitCode === 0 ? patch : '' };
+    } catch (error) {
+      logger.warn('汇总文件修改失败', { root: before.root, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 合并 git diff --name-status 与 --numstat 的输出
+   * @param {string} nameStatus - --name-status 输出
+   * @param {string} numstat - --numstat 输出
+   * @returns {Array<Object>} 文件列表
+   */
+  parseFiles(nameStatus, numstat) {
+    const stats = new Map();
+    for (const line of numstat.split('\n').filter(Boolean)) {
+      const [additions, deletions, ...rest] = line.split('\t');
+      stats.set(rest.join('\t'), { additions, deletions });
+    }
+
+    return nameStatus.split('\n').filter(Boolean).map((line) => {
+      const [status, ...rest] = line.split('\t');
+      const filePath = rest.join('\t');
+      const stat = stats.get(filePath) || { additions: '0', deletions: '0' };
+      // 二进制文件的行数统计为 -
+      const binary = stat.additions === '-';
+
+      return {
+        path: filePath,
+        status: status.charAt(0),
+        additions: binary ? 0 : parseInt(stat.additions, 10),
+        deletions: binary ? 0 : parseInt(stat.deletions, 10),
+        binary
+      };
+    });
+  }
+}
+
+module.exports = new ChangeTracker();
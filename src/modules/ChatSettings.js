@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { dataPath } = require('../utils/dataDir');
+
+/**
+ * 聊天设置 - 按聊天（群组或单聊）保存的运行时设置，如使用的后端
+ *
+ * 设置保存在 <DATA_DIR>/chat-settings.json，结构为 { chatId: { key: value } }
+ */
+class ChatSettings {
+  constructor() {
+    this.settings = {};
+    this.ready = this.load();
+  }
+
+  /**
+   * 获取设置文件路径
+   * @returns {string} 文件路径
+   */
+  getFile() {
+    return dataPath('chat-settings.json');
+  }
+
+  /**
+   * 从文件加载设置（替换内存中的设置）
+   */
+  async load() {
+    this.settings = {};
+    try {
+      const content = await fs.readFile(this.getFile(), 'utf-8');
+      this.settings = JSON.parse(content);
+      logger.info('加载聊天设置', { file: this.getFile() });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('加载聊天设置失败', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 保存设置到文件
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.getFile()), { recursive: true });
+      await fs.writeFile(this.getFile(), JSON.stringify(this.settings, null, 2), 'utf-8');
+    } catch (error) {
+      logger.error('保存聊天设置失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取聊天设置
+   * @param {string} chatId - 聊天 ID
+   * @returns {Promise<Object>} 设置（没有设置时为空对象）
+   */
+  async get(chatId) {
+    await this.ready;
+    return { ...this.settings[chatId] };
+  }
+
+  /**
+   * 更新聊天设置，值为 undefined 或 null 的项会被删除
+   * @param {string} chatId - 聊天 ID
+   * @param {Object} updates - 要更新的设置
+   * @returns {Promise<Object>} 更新后的设置
+   */
+  async update(chatId, updates) {
+    await this.ready;
+    const current = { ...this.settings[chatId], ...updates };
+
+    for (const [key, value] of Object.entries(current)) {
+      if (value === undefined || value === null) {
+        delete current[key];
+      }
+    }
+
+    if (Object.keys(current).length > 0) {
+      this.settings[chatId] = current;
+    } else {
+      delete this.settings[chatId];
+    }
+
+    await this.save();
+    logger.info('更新聊天设置', { chatId, updates });
+    return { ...current };
+  }
+}
+
+module.exports = new ChatSettings();
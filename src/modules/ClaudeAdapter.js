@@ -1,104 +1,305 @@
-const { spawn } = require('child_process');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
+const { createJsonLineParser } = require('../utils/jsonLineParser');
+const { runProcess } = require('../utils/processRunner');
+const { generateClaudeSessionId } = require('../utils/sessionIdGenerator');
+const AgentAdapter = require('./AgentAdapter');
+
+/**
+ * Claude CLI 执行结果（AgentResult 的超集）
+ * @typedef {Object} ClaudeResult
+ * @property {boolean} success - 进程正常退出且 Claude 未报告错误
+ * @property {boolean} [cancelled] - 是否被取消
+ * @property {boolean} isError - Claude 报告的 is_error 标志
+ * @property {string|null} subtype - 结果类型（success / error_max_turns / error_during_execution 等）
+ * @property {string} output - Claude 的最终回复文本
+ * @property {string} error - 标准错误输出
+ * @property {number} exitCode - 进程退出码
+ * @property {number} duration - 执行耗时（毫秒）
+ * @property {number|null} numTurns - 对话轮数
+ * @property {number|null} costUsd - 本次调用费用（美元）
+ * @property {Object|null} usage - token 用量
+ * @property {Array<{id: string, name: string, input: Object, isError: boolean}>} toolCalls - 工具调用列表
+ * @property {string} command - 用户提示词
+ * @property {string} sessionId - 桥接会话 ID
+ * @property {string|null} claudeSessionId - Claude CLI 会话 ID
+ * @property {string|null} workDir - CLI 的工作目录（未指定时为 null）
+ */
 
 /**
  * Claude CLI 适配器
  * 负责调用 Claude CLI 并处理输入输出
+ * 始终以 stream-json 格式调用 CLI，输出解析为结构化的 ClaudeResult
  */
-class ClaudeAdapter {
+class ClaudeAdapter extends AgentAdapter {
   constructor() {
-    this.cliPath = config.claude.cliPath;
+    super({ name: 'claude', displayName: 'Claude', cliPath: config.claude.cliPath });
+    this.supportsResume = true;
+    this.supportsPermissionPrompt = true;
+    this.supportsAddDirs = true;
     this.timeoutPerStep = config.execution.timeoutPerStep;
+    this.maxOutputSize = config.execution.maxOutputSize;
+  }
+
+  /**
+   * 执行一次对话（AgentAdapter 接口）
+   * conversationId 即 Claude CLI 会话 ID
+   * @param {string} prompt - 用户提示词
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} options - 执行选项
+   * @param {string} [options.conversationId] - Claude CLI 会话 ID
+   * @param {boolean} [options.resume] - 是否恢复已有的 Claude 会话
+   * @param {Function} [options.onEvent] - 流式事件回调
+   * @returns {Promise<ClaudeResult>} 执行结果
+   */
+  async execute(prompt, sessionId, options = {}) {
+    const { conversationId, ...rest } = options;
+    const result = await this.executePrompt(prompt, sessionId, { ...rest, claudeSessionId: conversationId });
+
+    // 只有收到 result 事件（会话已落盘）时对话才能被延续
+    return { ...result, conversationId: result.subtype ? result.claudeSessionId : null };
+  }
+
+  /**
+   * 为新对话生成 Claude CLI 会话 ID
+   * @returns {string} UUID
+   */
+  createConversationId() {
+    return generateClaudeSessionId();
+  }
+
+  /**
+   * 构建 Claude CLI 命令参数
+   * 首轮对话使用 --session-id 指定 Claude 会话 ID，后续对话使用 --resume 延续上下文
+   * 提示词不在参数中，而是通过 stdin 传入（见 executePrompt）
+   *
+   * @param {Object} options - 执行选项
+   * @param {string} [options.claudeSessionId] - Claude CLI 会话 ID
+   * @param {boolean} [options.resume] - 是否恢复已有的 Claude 会话
+   * @param {Array<string>} [options.addDirs] - 额外允许访问的目录（如附件目录）
+   * @param {Object} [options.permissionPrompt] - 工具权限审批参数（见 PermissionBroker.createPrompt）
+   * @param {string} [options.systemPrompt] - 追加到默认系统提示词后面的内容
+   * @param {Function} [options.onEvent] - 流式事件回调，设置时输出增量文本
+   * @returns {Array} 命令参数数组
+   */
+  buildCommandArgs(options = {}) {
+    // stream-json 在 --print 模式下要求同时开启 --verbose
+    const args = ['--print', '--output-format', 'stream-json', '--verbose'];
+
+    // 流式更新卡片时输出增量文本（stream_event / text_delta）
+    if (typeof options.onEvent === 'function') {
+      args.push('--include-partial-messages');
+    }
+
+    if (options.claudeSessionId) {
+      args.push(options.resume ? '--resume' : '--session-id', options.claudeSessionId);
+    }
+
+    for (const dir of options.addDirs || []) {
+      args.push('--add-dir', dir);
+    }
+
+    // 未授权的工具调用交给审批 MCP 服务，由用户在飞书中允许或拒绝
+    if (options.permissionPrompt) {
+      args.push('--mcp-config', options.permissionPrompt.mcpConfig);
+      args.push('--permission-prompt-tool', options.permissionPrompt.toolName);
+    }
+
+    if (options.systemPrompt) {
+      args.push('--append-system-prompt', options.systemPrompt);
+    }
+
+    return args;
   }
 
   /**
    * 执行 Claude 对话
-   * 调用格式: claude "用户提示词"
+   * 调用格式: echo "用户提示词" | claude --print --output-format stream-json --verbose [--include-partial-messages] [--session-id <id> | --resume <id>]
+   *
+   * 提示词通过 stdin 传入、进程不经过 shell 启动，聊天内容中的 shell 元字符或以 - 开头的文本
+   * 都不会被解释为命令或 CLI 选项
    *
    * @param {string} prompt - 用户提示词
    * @param {string} sessionId - 会话 ID
-   * @returns {Promise<Object>} 执行结果
+   * @param {Object} options - 执行选项（见 buildCommandArgs）
+   * @param {string} [options.cwd] - CLI 的工作目录
+   * @param {Function} [options.onEvent] - 流式事件回调，每解析出一个事件回调一次
+   * @returns {Promise<ClaudeResult>} 执行结果
    */
-  async executePrompt(prompt, sessionId) {
-    return new Promise((resolve, reject) => {
-      const startTime = Date.now();
-
-      logger.info('执行 Claude CLI 调用', { prompt: prompt.substring(0, 100), sessionId });
-
-      // Claude CLI 调用格式: claude "prompt"
-      // 直接将 prompt 作为参数传递
-      const child = spawn(this.cliPath, [prompt], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true,
-        env: {
-          ...process.env,
-          CLAUDE_SESSION_ID: sessionId // 传递会话 ID
-        }
-      });
+  async executePrompt(prompt, sessionId, options = {}) {
+    const startTime = Date.now();
+    const args = this.buildCommandArgs(options);
+
+    logger.info('执行 Claude CLI 调用', {
+      prompt: prompt.substring(0, 100),
+      sessionId,
+      claudeSessionId: options.claudeSessionId,
+      resume: !!options.resume,
+      cwd: options.cwd
+    });
 
-      let stdout = '';
-      let stderr = '';
+    // 逐行解析流式事件
+    const events = [];
+    const lineParser = createJsonLineParser((event) => {
+      // 增量事件只用于更新卡片，结果取自完整消息
+      if (event.type !== 'stream_event') {
+        events.push(event);
+      }
+      if (typeof options.onEvent !== 'function') {
+        return;
+      }
+      try {
+        options.onEvent(event);
+      } catch (error) {
+        logger.error('处理 Claude 流式事件失败', { type: event.type, error: error.message });
+      }
+    }, (line) => {
+      logger.warn('无法解析的 Claude 流式输出', { line: line.substring(0, 200) });
+    });
 
-      // 收集标准输出
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
+    const { child, kill, promise } = runProcess(this.cliPath, args, {
+      input: prompt,
+      timeout: this.timeoutPerStep * 1000,
+      maxOutputSize: this.maxOutputSize,
+      cwd: options.cwd,
+      env: {
+        ...process.env,
+        CLAUDE_SESSION_ID: sessionId // 传递会话 ID
+      },
+      onStdout: (chunk) => lineParser.push(chunk)
+    });
+
+    const { running, release } = this.trackProcess(sessionId, { child, kill });
+
+    let processResult;
+    try {
+      processResult = await promise;
+    } catch (error) {
+      logger.error('Claude CLI 进程错误', {
+        prompt: prompt.substring(0, 100),
+        error: error.message
       });
+      throw error;
+    } finally {
+      release();
+    }
+
+    const duration = Date.now() - startTime;
+
+    if (processResult.timedOut) {
+      logger.error('Claude CLI 执行超时', { prompt: prompt.substring(0, 100), timeout: this.timeoutPerStep });
+      throw new Error(`Claude 执行超时 (${this.timeoutPerStep}秒)`);
+    }
+
+    if (processResult.outputLimitExceeded) {
+      logger.error('Claude CLI 输出超过上限', { prompt: prompt.substring(0, 100), maxOutputSize: this.maxOutputSize });
+      throw new Error(`Claude 输出超过上限 (${this.maxOutputSize} 字节)`);
+    }
 
-      // 收集错误输出
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
+    lineParser.flush();
+    const parsed = this.parseStreamEvents(events);
+    const code = processResult.exitCode;
+
+    const result = {
+      ...parsed,
+      success: code === 0 && !parsed.isError,
+      exitCode: code,
+      error: processResult.stderr,
+      duration,
+      command: prompt,
+      sessionId,
+      claudeSessionId: parsed.claudeSessionId || options.claudeSessionId || null,
+      workDir: options.cwd || null
+    };
+
+    if (running.cancelled) {
+      logger.info('Claude CLI 执行已取消', { sessionId, duration });
+      return { ...result, success: false, cancelled: true };
+    }
+
+    if (result.success) {
+      logger.info('Claude CLI 执行成功', {
+        promptLength: prompt.length,
+        outputLength: result.output.length,
+        numTurns: result.numTurns,
+        toolCalls: result.toolCalls.length,
+        costUsd: result.costUsd,
+        duration
       });
+    } else {
+      logger.error('Claude CLI 执行失败', {
+        prompt: prompt.substring(0, 100),
+        exitCode: code,
+        isError: result.isError,
+        subtype: result.subtype,
+        error: processResult.stderr
+      });
+    }
 
-      // 设置超时
-      const timeout = setTimeout(() => {
-        child.kill('SIGTERM');
-        logger.error('Claude CLI 执行超时', { prompt: prompt.substring(0, 100), timeout: this.timeoutPerStep });
-        reject(new Error(`Claude 执行超时 (${this.timeoutPerStep}秒)`));
-      }, this.timeoutPerStep * 1000);
-
-      // 处理进程退出
-      child.on('close', (code) => {
-        clearTimeout(timeout);
-        const duration = Date.now() - startTime;
-
-        const result = {
-          success: code === 0,
-          exitCode: code,
-          output: stdout,
-          error: stderr,
-          duration,
-          command: prompt,
-          sessionId
-        };
-
-        if (code === 0) {
-          logger.info('Claude CLI 执行成功', {
-            promptLength: prompt.length,
-            outputLength: stdout.length,
-            duration
-          });
-          resolve(result);
-        } else {
-          logger.error('Claude CLI 执行失败', {
-            prompt: prompt.substring(0, 100),
-            exitCode: code,
-            error: stderr
-          });
-          resolve(result); // 即使失败也返回结果，由上层处理
+    // 即使失败也返回结果，由上层处理
+    return result;
+  }
+
+  /**
+   * 将 stream-json 事件解析为结构化结果
+   * 最终文本、费用、轮数等取自 result 事件；工具调用取自 assistant 消息中的 tool_use 块
+   * 进程异常退出而没有 result 事件时，拼接已收到的 assistant 文本作为输出
+   * @param {Array} events - 流式事件列表
+   * @returns {Object} 部分 ClaudeResult 字段
+   */
+  parseStreamEvents(events) {
+    const toolCalls = [];
+    const toolCallsById = new Map();
+    const texts = [];
+    let claudeSessionId = null;
+    let resultEvent = null;
+
+    for (const event of events) {
+      if (event.session_id) {
+        claudeSessionId = event.session_id;
+      }
+
+      const blocks = event.message?.content || [];
+      if (event.type === 'assistant') {
+        for (const block of blocks) {
+          if (block.type === 'text') {
+            texts.push(block.text);
+          } else if (block.type === 'tool_use') {
+            const toolCall = { id: block.id, name: block.name, input: block.input || {}, isError: false };
+            toolCalls.push(toolCall);
+            toolCallsById.set(block.id, toolCall);
+          }
         }
-      });
+      } else if (event.type === 'user') {
+        for (const block of blocks) {
+          if (block.type === 'tool_result' && block.is_error && toolCallsById.has(block.tool_use_id)) {
+            toolCallsById.get(block.tool_use_id).isError = true;
+          }
+        }
+      } else if (event.type === 'result') {
+        resultEvent = event;
+      }
+    }
 
-      // 处理进程错误
-      child.on('error', (error) => {
-        clearTimeout(timeout);
-        logger.error('Claude CLI 进程错误', {
-          prompt: prompt.substring(0, 100),
-          error: error.message
-        });
-        reject(error);
-      });
-    });
+    return {
+      output: typeof resultEvent?.result === 'string' ? resultEvent.result : texts.join('\n'),
+      isError: resultEvent ? !!resultEvent.is_error : true,
+      subtype: resultEvent?.subtype || null,
+      numTurns: resultEvent?.num_turns ?? null,
+      costUsd: resultEvent?.total_cost_usd ?? null,
+      usage: resultEvent?.usage || null,
+      toolCalls,
+      claudeSessionId
+    };
+  }
+
+  /**
+   * 判断执行失败是否因为要恢复的 Claude 会话已不存在
+   * @param {Object} result - 执行结果
+   * @returns {boolean} 是否为会话丢失
+   */
+  isSessionNotFound(result) {
+    return !result.success && /no conversation found|session.*not found/i.test(result.error || '');
   }
 
   /**
@@ -106,14 +307,15 @@ class ClaudeAdapter {
    * @param {string} prompt - 用户提示词
    * @param {string} sessionId - 会话 ID
    * @param {number} maxRetries - 最大重试次数
+   * @param {Object} options - 执行选项（见 buildCommandArgs）
    * @returns {Promise<Object>} 执行结果
    */
-  async executeWithRetry(prompt, sessionId, maxRetries = 3) {
+  async executeWithRetry(prompt, sessionId, maxRetries = 3, options = {}) {
     let lastError = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        const result = await this.executePrompt(prompt, sessionId);
+        const result = await this.executePrompt(prompt, sessionId, options);
 
         if (result.success) {
           return result;
@@ -150,101 +352,6 @@ class ClaudeAdapter {
 
     throw lastError || new Error('执行失败');
   }
-
-  /**
-   * 检查 Claude CLI 是否可用
-   * @returns {Promise<boolean>} 是否可用
-   */
-  async isAvailable() {
-    try {
-      // 尝试执行一个简单的命令来检查 Claude CLI 是否可用
-      const child = spawn(this.cliPath, ['--version'], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true
-      });
-
-      return new Promise((resolve) => {
-        let hasOutput = false;
-
-        child.stdout.on('data', () => {
-          hasOutput = true;
-        });
-
-        child.stderr.on('data', () => {
-          hasOutput = true;
-        });
-
-        child.on('close', (code) => {
-          // 如果有输出或者退出码为0，认为可用
-          resolve(hasOutput || code === 0);
-        });
-
-        child.on('error', () => {
-          resolve(false);
-        });
-
-        // 超时保护
-        setTimeout(() => {
-          child.kill();
-          resolve(false);
-        }, 5000);
-      });
-    } catch (error) {
-      logger.error('检查 Claude CLI 可用性失败', { error: error.message });
-      return false;
-    }
-  }
-
-  /**
-   * 获取 Claude CLI 版本
-   * @returns {Promise<string>} 版本信息
-   */
-  async getVersion() {
-    try {
-      const child = spawn(this.cliPath, ['--version'], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true
-      });
-
-      return new Promise((resolve) => {
-        let output = '';
-
-        child.stdout.on('data', (data) => {
-          output += data.toString();
-        });
-
-        child.stderr.on('data', (data) => {
-          output += data.toString();
-        });
-
-        child.on('close', () => {
-          resolve(output.trim() || 'unknown');
-        });
-
-        child.on('error', () => {
-          resolve('unknown');
-        });
-
-        // 超时保护
-        setTimeout(() => {
-          child.kill();
-          resolve('unknown');
-        }, 5000);
-      });
-    } catch (error) {
-      logger.error('获取 Claude CLI 版本失败', { error: error.message });
-      return 'unknown';
-    }
-  }
-
-  /**
-   * 辅助函数：睡眠
-   * @param {number} ms - 毫秒数
-   * @returns {Promise<void>}
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = new ClaudeAdapter();
@@ -0,0 +1,159 @@
+const FeishuSender = require('./FeishuSender');
+const AccessControl = require('./AccessControl');
+const logger = require('../utils/logger');
+
+// 命令名格式：以 / 开头，后接字母开头的单词（如 /new、/history）
+// 像 /usr/bin/node 这样的路径不会被当作命令
+const COMMAND_PATTERN = /^\/([a-zA-Z][\w-]*)$/;
+
+/**
+ * 命令注册表 - 管理以 / 开头的聊天命令
+ *
+ * 其他模块通过 register() 注册命令，无需修改 EventHandler：
+ *
+ *   CommandRegistry.register('ping', {
+ *     description: '测试连通性',
+ *     handler: async (ctx) => ctx.reply('pong')
+ *   });
+ *
+ * handler 接收的上下文对象：
+ * {
+ *   command, args, chatId, senderId, sessionId, messageId, threadId,
+ *   replyTarget,             // 回复目标（引用命令消息，见 FeishuSender.createMessage）
+ *   eventHandler,            // EventHandler 实例
+ *   reply: (text) => Promise // 回复命令消息（未指定 replyTarget 时发送到当前聊天）
+ * }
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // 命令名 -> 命令定义
+    this.aliases = new Map();  // 别名 -> 命令名
+  }
+
+  /**
+   * 注册命令
+   * @param {string} name - 命令名（可带或不带 /）
+   * @param {Object} definition - 命令定义
+   * @param {string} definition.description - 命令说明
+   * @param {string} [definition.usage] - 用法示例
+   * @param {Array<string>} [definition.aliases] - 别名
+   * @param {boolean} [definition.adminOnly] - 是否仅管理员可用
+   * @param {Function} definition.handler - 处理函数 async (ctx) => void
+   */
+  register(name, definition) {
+    const commandName = this.normalizeName(name);
+
+    if (typeof definition?.handler !== 'function') {
+      throw new Error(`命令 /${commandName} 缺少 handler`);
+    }
+
+    if (this.commands.has(commandName)) {
+      logger.warn('覆盖已注册的命令', { command: commandName });
+    }
+
+    const command = {
+      name: commandName,
+      description: definition.description || '',
+      usage: definition.usage || `/${commandName}`,
+      aliases: (definition.aliases || []).map(alias => this.normalizeName(alias)),
+      adminOnly: !!definition.adminOnly,
+      handler: definition.handler
+    };
+
+    this.commands.set(commandName, command);
+    for (const alias of command.aliases) {
+      this.aliases.set(alias, commandName);
+    }
+
+    logger.debug('注册命令', { command: commandName, aliases: command.aliases });
+  }
+
+  /**
+   * 注销命令
+   * @param {string} name - 命令名
+   */
+  unregister(name) {
+    const command = this.commands.get(this.normalizeName(name));
+    if (!command) {
+      return;
+    }
+
+    this.commands.delete(command.name);
+    for (const alias of command.aliases) {
+      this.aliases.delete(alias);
+    }
+  }
+
+  /**
+   * 规范化命令名（去掉开头的 / 并转为小写）
+   * @param {string} name - 命令名
+   * @returns {string} 规范化后的命令名
+   */
+  normalizeName(name) {
+    return String(name).replace(/^\//, '').toLowerCase();
+  }
+
+  /**
+   * 判断文本是否为命令
+   * @param {string} text - 消息文本
+   * @returns {boolean} 是否为命令
+   */
+  isCommand(text) {
+    const firstToken = text.trim().split(/\s+/)[0];
+    return COMMAND_PATTERN.test(firstToken);
+  }
+
+  /**
+   * 查找命令（支持别名）
+   * @param {string} name - 命令名
+   * @returns {Object|null} 命令定义
+   */
+  get(name) {
+    const commandName = this.normalizeName(name);
+    const resolved = this.aliases.get(commandName) || commandName;
+    return this.commands.get(resolved) || null;
+  }
+
+  /**
+   * 获取所有已注册的命令
+   * @returns {Array} 命令定义列表
+   */
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * 分发命令
+   * @param {string} command - 命令（如 /new）
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} context - 命令上下文（chatId、sessionId 等）
+   */
+  async dispatch(command, args, context) {
+    const target = context.replyTarget || context.chatId;
+    const reply = (text) => FeishuSender.sendTextMessage(target, text);
+    const definition = this.get(command);
+
+    if (!definition) {
+      logger.info('未知命令', { command, chatId: context.chatId });
+      await reply(`❓ 未知命令 ${command}，发送 /help 查看可用命令`);
+      return;
+    }
+
+    if (definition.adminOnly && !(await AccessControl.isAdmin(context.chatId, context.senderId))) {
+      logger.warn('非管理员调用管理命令', { command: definition.name, chatId: context.chatId });
+      await reply(`🚫 /${definition.name} 仅管理员可用`);
+      return;
+    }
+
+    logger.info('执行命令', { command: definition.name, args, sessionId: context.sessionId });
+
+    try {
+      await definition.handler({ ...context, command: definition.name, args, reply });
+    } catch (error) {
+      logger.error('执行命令失败', { command: definition.name, error: error.message, stack: error.stack });
+      await FeishuSender.sendErrorMessage(target, `命令 /${definition.name} 执行失败: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CommandRegistry();
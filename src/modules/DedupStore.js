@@ -0,0 +1,154 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+const { dataPath } = require('../utils/dataDir');
+
+// 合并写入的等待时间（毫秒）：短时间内收到的多条消息只写一次文件
+const SAVE_DELAY = 1000;
+
+/**
+ * 事件去重 - 记录已处理的 message_id 和 event_id
+ *
+ * 长连接重连后飞书可能重复推送同一事件，重复的事件会被忽略，避免同一条消息执行两次。
+ * 记录在 DEDUP_TTL 秒后过期，保存在 <DATA_DIR>/dedup.json，服务重启后依然有效。
+ * 写入合并在 SAVE_DELAY 内进行，先写临时文件再重命名，写到一半退出也不会留下损坏的文件；
+ * 服务停止时调用 flush() 立即写入。
+ */
+class DedupStore {
+  constructor() {
+    this.seen = new Map(); // 键（message:<id> / event:<id>）-> 首次处理时间戳
+    this.saving = Promise.resolve(); // 串行化写入，避免并发写坏文件
+    this.saveTimer = null; // 等待中的合并写入
+    this.ready = this.load();
+  }
+
+  /**
+   * 获取记录文件路径
+   * @returns {string} 文件路径
+   */
+  getFile() {
+    return dataPath('dedup.json');
+  }
+
+  /**
+   * 从文件加载记录（替换内存中的记录，跳过已过期的记录）
+   */
+  async load() {
+    this.seen.clear();
+    try {
+      const content = await fs.readFile(this.getFile(), 'utf-8');
+      const now = Date.now();
+      for (const [key, timestamp] of Object.entries(JSON.parse(content))) {
+        if (now - timestamp < this.getTtl()) {
+          this.seen.set(key, timestamp);
+        }
+      }
+      logger.info('加载事件去重记录', { file: this.getFile(), count: this.seen.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('加载事件去重记录失败', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 安排保存：SAVE_DELAY 内的多次修改合并为一次写入
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * 立即保存记录到文件（保存前清理过期记录），取消等待中的合并写入
+   * @returns {Promise<void>} 写入完成
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    this.saving = this.saving.then(async () => {
+      this.prune();
+      const file = this.getFile();
+      const tempFile = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.seen)), 'utf-8');
+        await fs.rename(tempFile, file);
+      } catch (error) {
+        logger.error('保存事件去重记录失败', { error: error.message });
+        await fs.rm(tempFile, { force: true });
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * 记录保留时间（毫秒）
+   * @returns {number} 毫秒
+   */
+  getTtl() {
+    return config.dedup.ttl * 1000;
+  }
+
+  /**
+   * 清理过期记录
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, timestamp] of this.seen) {
+      if (now - timestamp >= this.getTtl()) {
+        this.seen.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 检查事件是否已处理过，未处理过时记录下来
+   * message_id 或 event_id 任意一个已记录即视为重复
+   * @param {Object} ids - { messageId, eventId }
+   * @returns {Promise<boolean>} 是否为重复事件
+   */
+  async checkAndRecord({ messageId, eventId }) {
+    await this.ready;
+
+    const keys = [];
+    if (messageId) {
+      keys.push(`message:${messageId}`);
+    }
+    if (eventId) {
+      keys.push(`event:${eventId}`);
+    }
+    if (keys.length === 0) {
+      return false;
+    }
+
+    // 检查和记录之间没有 await，同时到达的重复事件也只会有一个通过
+    const now = Date.now();
+    const isFresh = (key) => this.seen.has(key) && now - this.seen.get(key) < this.getTtl();
+    const duplicate = keys.some(isFresh);
+
+    for (const key of keys.filter(key => !isFresh(key))) {
+      this.seen.set(key, now);
+    }
+
+    this.scheduleSave();
+    return duplicate;
+  }
+
+  /**
+   * 清空所有记录
+   */
+  async clear() {
+    await this.ready;
+    this.seen.clear();
+    await this.flush();
+  }
+}
+
+module.exports = new DedupStore();
@@ -1,12 +1,32 @@
 const SessionManager = require('./SessionManager');
-const ClaudeAdapter = require('./ClaudeAdapter');
+const AdapterRegistry = require('./AdapterRegistry');
 const ResultAnalyzer = require('./ResultAnalyzer');
 const ProgressManager = require('./ProgressManager');
 const FeishuSender = require('./FeishuSender');
-const { extractSessionId } = require('../utils/sessionIdGenerator');
+const CommandRegistry = require('./CommandRegistry');
+const CardActionRegistry = require('./CardActionRegistry');
+const AccessControl = require('./AccessControl');
+const AttachmentManager = require('./AttachmentManager');
+const ChatSettings = require('./ChatSettings');
+const DedupStore = require('./DedupStore');
+const Metrics = require('./Metrics');
+const StreamingCard = require('./StreamingCard');
+const PermissionBroker = require('./PermissionBroker');
+const ProjectManager = require('./ProjectManager');
+const WorktreeManager = require('./WorktreeManager');
+const ChangeTracker = require('./ChangeTracker');
+const ArtifactManager = require('./ArtifactManager');
+const JobScheduler = require('./JobScheduler');
+const { extractSessionId, resolveSenderId } = require('../utils/sessionIdGenerator');
+const { parsePostContent } = require('../utils/postParser');
+const { isBotMentioned, resolveMentions } = require('../utils/mentions');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
 
+// 注册内置命令和卡片动作
+require('../commands');
+require('../actions');
+
 /**
  * 事件处理器 - 处理飞书消息事件
  * 
@@ -22,7 +42,11 @@ const logger = require('../utils/logger');
  */
 class EventHandler {
   constructor() {
-    this.processingSessions = new Set(); // 正在处理的会话 ID
+    this.processingSessions = new Map(); // 正在处理的会话 ID -> { chatId, prompt, startTime, cancelled }
+    this.messageQueues = new Map(); // 会话 ID -> 等待处理的消息队列（FIFO）
+
+    // 执行中或有排队消息的会话不会被过期清理
+    SessionManager.addBusyChecker((sessionId) => this.processingSessions.has(sessionId) || this.getQueueLength(sessionId) > 0);
   }
 
   /**
@@ -55,6 +79,14 @@ class EventHandler {
       }
 
       const message = data.message;
+      Metrics.increment('events.received');
+
+      // 忽略重连后重复推送的事件
+      if (await DedupStore.checkAndRecord({ messageId: message.message_id, eventId: data.event_id })) {
+        Metrics.increment('events.duplicate');
+        logger.warn('忽略重复的消息事件', { message_id: message.message_id, event_id: data.event_id });
+        return;
+      }
       
       // 解析消息内容
       let content;
@@ -81,51 +113,217 @@ class EventHandler {
         return;
       }
 
-      if (msgType !== 'text') {
-        logger.info('忽略非文本消息', { 
-          msg_type: msgType,
-          message_id: message.message_id,
-          expected: 'text'
+      // 群聊中只处理 @ 机器人的消息（可按聊天关闭）
+      const mentions = message.mentions || [];
+      const botOpenId = mentions.length > 0 ? await FeishuSender.getBotOpenId() : null;
+      if (message.chat_type === 'group' &&
+          await this.isMentionRequired(message.chat_id) &&
+          !isBotMentioned(mentions, botOpenId)) {
+        logger.info('忽略未 @ 机器人的群聊消息', {
+          chatId: message.chat_id,
+          message_id: message.message_id
         });
         return;
       }
 
-      if (!content.text) {
-        logger.warn('文本消息中没有 text 字段', { content });
+      // 提取文本、图片和文件（附件在权限检查通过后再下载）
+      const parts = this.parseMessageContent(msgType, content, mentions, botOpenId);
+      if (!parts) {
+        logger.info('忽略不支持的消息类型', {
+          msg_type: msgType,
+          message_id: message.message_id
+        });
         return;
       }
 
-      const text = content.text.trim();
-      if (!text) {
-        logger.info('忽略空文本消息');
+      const { text, imageKeys, files } = parts;
+      if (!text && imageKeys.length === 0 && files.length === 0) {
+        logger.info('忽略空消息');
         return;
       }
 
       const chatId = message.chat_id;
       const senderId = data.sender?.sender_id;
+      const threadId = this.getThreadKey(message);
+      const replyTarget = this.getReplyTarget(chatId, message.message_id, threadId);
 
       logger.info('收到有效消息', { 
         chatId, 
         senderId, 
+        threadId,
+        msgType,
         text: text.substring(0, 50),
+        images: imageKeys.length,
+        files: files.length,
         messageId: message.message_id
       });
 
-      // 检查是否正在处理该会话
-      const sessionId = extractSessionId(chatId, senderId);
-      if (this.processingSessions.has(sessionId)) {
-        logger.info('会话正在处理中，跳过', { sessionId });
+      // 检查访问权限（未授权的用户不能对话，也不能使用命令）
+      if (!(await AccessControl.isAllowed(chatId, senderId))) {
+        logger.warn('拒绝未授权的消息', { chatId, senderId });
+        await FeishuSender.sendTextMessage(replyTarget, '🚫 你没有使用此机器人的权限，请联系管理员');
+        return;
+      }
+
+      const sessionId = extractSessionId(chatId, senderId, threadId);
+
+      // 分发命令（命令不受会话占用限制，例如执行中也可以 /status）
+      if (imageKeys.length === 0 && files.length === 0 && CommandRegistry.isCommand(text)) {
+        const { command, args } = this.parseCommand(text);
+        await CommandRegistry.dispatch(command, args, {
+          chatId,
+          senderId,
+          sessionId,
+          threadId,
+          messageId: message.message_id,
+          replyTarget,
+          eventHandler: this
+        });
         return;
       }
 
-      // 处理消息
-      await this.processMessage(chatId, senderId, text, message.message_id);
+      // 后端无法访问附件目录时告知用户，而不是下载后丢弃
+      if (imageKeys.length > 0 || files.length > 0) {
+        const adapter = await AdapterRegistry.getAdapter(chatId);
+        if (!adapter.supportsAddDirs) {
+          logger.info('后端不支持附件', { chatId, backend: adapter.name });
+          await FeishuSender.sendTextMessage(
+            replyTarget,
+            `⚠️ ${adapter.displayName} 不支持图片和文件，请发送文字，或使用 /backend 切换到支持附件的后端`
+          );
+          return;
+        }
+      }
+
+      // 下载图片和文件到会话的附件目录
+      const attachments = await this.saveAttachments(sessionId, replyTarget, message.message_id, parts);
+      if (!attachments) {
+        return;
+      }
+
+      // 单独发送的文件不立即执行，在下一条消息的提示词中说明
+      if (!text && imageKeys.length === 0) {
+        for (const attachment of attachments) {
+          AttachmentManager.addPending(sessionId, attachment);
+        }
+        const names = attachments.map(attachment => attachment.name).join('、');
+        await FeishuSender.sendTextMessage(replyTarget, `📎 已收到文件 ${names}，请继续发送你的问题，文件会一并交给后端处理`);
+        return;
+      }
+
+      await this.submitMessage({
+        chatId, senderId, text, messageId: message.message_id, threadId, attachments
+      });
 
     } catch (error) {
       logger.error('处理消息事件失败', { error: error.message, stack: error.stack });
     }
   }
 
+  /**
+   * 获取用于划分对话的话题 ID
+   * 话题回复模式下每条新消息都会开启一个话题，话题内的后续消息（root_id 为该消息）属于同一个对话
+   * @param {Object} message - 飞书消息对象
+   * @returns {string|undefined} 话题 ID
+   */
+  getThreadKey(message) {
+    if (config.reply.enabled && config.reply.inThread) {
+      return message.root_id || message.message_id;
+    }
+    return message.thread_id;
+  }
+
+  /**
+   * 获取回复目标：引用回复触发的消息，话题回复模式或消息已在话题中时在话题内回复
+   * @param {string} chatId - 聊天 ID
+   * @param {string} messageId - 触发的消息 ID
+   * @param {string} [threadId] - 话题 ID（见 getThreadKey）
+   * @returns {string|Object} 聊天 ID（关闭回复时）或 { chatId, replyTo, replyInThread }
+   */
+  getReplyTarget(chatId, messageId, threadId) {
+    if (!config.reply.enabled || !messageId) {
+      return chatId;
+    }
+    return { chatId, replyTo: messageId, replyInThread: config.reply.inThread || !!threadId };
+  }
+
+  /**
+   * 群聊是否只处理 @ 机器人的消息
+   * 聊天设置（/mention 命令）优先，否则使用 GROUP_REQUIRE_MENTION
+   * @param {string} chatId - 聊天 ID
+   * @returns {Promise<boolean>} 是否需要 @
+   */
+  async isMentionRequired(chatId) {
+    const settings = await ChatSettings.get(chatId);
+    return settings.requireMention ?? config.group.requireMention;
+  }
+
+  /**
+   * 从消息内容中提取文本、图片和文件
+   * @ 提及的占位符替换为 @姓名，@ 机器人的占位符会被删除
+   * @param {string} msgType - 消息类型
+   * @param {Object} content - 解析后的消息内容
+   * @param {Array} [mentions] - 消息的 @ 提及列表
+   * @param {string} [botOpenId] - 机器人的 open_id
+   * @returns {Object|null} { text, imageKeys, files: [{ fileKey, fileName }] }，不支持的消息类型返回 null
+   */
+  parseMessageContent(msgType, content, mentions = [], botOpenId = null) {
+    if (msgType === 'text') {
+      return { text: resolveMentions(content.text || '', mentions, botOpenId), imageKeys: [], files: [] };
+    }
+
+    // 富文本：展开为带代码块和链接的文本，内嵌图片按图片消息处理
+    if (msgType === 'post') {
+      return { ...parsePostContent(content, mentions, botOpenId), files: [] };
+    }
+
+    if (msgType === 'image') {
+      return { text: '', imageKeys: content.image_key ? [content.image_key] : [], files: [] };
+    }
+
+    if (msgType === 'file') {
+      const files = content.file_key ? [{ fileKey: content.file_key, fileName: content.file_name }] : [];
+      return { text: '', imageKeys: [], files };
+    }
+
+    return null;
+  }
+
+  /**
+   * 下载消息中的图片和文件
+   * 任意一个下载失败（如超过大小上限、文件类型不允许）时通知用户并返回 null
+   * @param {string} sessionId - 会话 ID
+   * @param {string|Object} replyTarget - 失败时通知的目标（见 getReplyTarget）
+   * @param {string} messageId - 消息 ID
+   * @param {Object} parts - parseMessageContent 的结果
+   * @returns {Promise<Array<Object>|null>} 附件列表
+   */
+  async saveAttachments(sessionId, replyTarget, messageId, { imageKeys, files }) {
+    const attachments = [];
+
+    for (const imageKey of imageKeys) {
+      try {
+        attachments.push(await AttachmentManager.saveImage(sessionId, messageId, imageKey));
+      } catch (error) {
+        logger.error('保存图片失败', { sessionId, imageKey, error: error.message });
+        await FeishuSender.sendTextMessage(replyTarget, `⚠️ 图片下载失败: ${error.message}`);
+        return null;
+      }
+    }
+
+    for (const { fileKey, fileName } of files) {
+      try {
+        attachments.push(await AttachmentManager.saveFile(sessionId, messageId, fileKey, fileName));
+      } catch (error) {
+        logger.error('保存文件失败', { sessionId, fileName, error: error.message });
+        await FeishuSender.sendTextMessage(replyTarget, `⚠️ 文件 ${fileName} 接收失败: ${error.message}`);
+        return null;
+      }
+    }
+
+    return attachments;
+  }
+
   /**
    * 处理消息已读事件
    * @param {Object} data - 飞书事件对象
@@ -139,34 +337,274 @@ class EventHandler {
     // 消息已读事件不需要特殊处理，这里只记录日志
   }
 
+  /**
+   * 获取会话正在执行的任务
+   * @param {string} sessionId - 会话 ID
+   * @returns {Object|null} { chatId, prompt, startTime, cancelled }
+   */
+  getRunningTask(sessionId) {
+    return this.processingSessions.get(sessionId) || null;
+  }
+
+  /**
+   * 获取会话排队中的消息数
+   * @param {string} sessionId - 会话 ID
+   * @returns {number} 排队消息数
+   */
+  getQueueLength(sessionId) {
+    return this.messageQueues.get(sessionId)?.length || 0;
+  }
+
+  /**
+   * 将消息加入会话队列，并告知用户排队位置
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} item - 消息 { chatId, senderId, text, messageId, threadId, attachments }
+   * @returns {Promise<number>} 排队位置，队列已满时返回 -1
+   */
+  async enqueueMessage(sessionId, item) {
+    const queue = this.messageQueues.get(sessionId) || [];
+
+    if (queue.length >= config.queue.maxDepth) {
+      logger.warn('会话队列已满，拒绝消息', { sessionId, maxDepth: config.queue.maxDepth });
+      await FeishuSender.sendTextMessage(this.getReplyTarget(item.chatId, item.messageId, item.threadId), `⚠️ 排队消息已达上限（${config.queue.maxDepth} 条），请等待当前任务完成后再发送`);
+      return -1;
+    }
+
+    queue.push(item);
+    this.messageQueues.set(sessionId, queue);
+
+    logger.info('会话正在处理中，消息已排队', { sessionId, position: queue.length });
+    await FeishuSender.sendTextMessage(this.getReplyTarget(item.chatId, item.messageId, item.threadId), `📥 已加入队列（第 ${queue.length} 位），当前任务完成后将自动处理`);
+    return queue.length;
+  }
+
+  /**
+   * 处理会话队列中的下一条消息
+   * @param {string} sessionId - 会话 ID
+   */
+  processNextInQueue(sessionId) {
+    const queue = this.messageQueues.get(sessionId);
+    if (!queue || queue.length === 0) {
+      return;
+    }
+
+    const next = queue.shift();
+    if (queue.length === 0) {
+      this.messageQueues.delete(sessionId);
+    }
+
+    logger.info('处理排队消息', { sessionId, remaining: queue.length });
+    // processMessage 会同步占用会话，并自行处理异常
+    this.processMessage(next.chatId, next.senderId, next.text, next.messageId, next.threadId, next.attachments);
+  }
+
+  /**
+   * 提交消息：会话正在处理中（或已有排队消息）时加入队列，保证按顺序处理，否则立即处理
+   * 卡片按钮也通过它以原对话的身份发送消息
+   * @param {Object} item - 消息 { chatId, senderId, text, messageId, threadId, attachments }
+   */
+  async submitMessage(item) {
+    const sessionId = extractSessionId(item.chatId, item.senderId, item.threadId);
+
+    if (this.processingSessions.has(sessionId) || this.getQueueLength(sessionId) > 0) {
+      await this.enqueueMessage(sessionId, item);
+      return;
+    }
+
+    await this.processMessage(item.chatId, item.senderId, item.text, item.messageId, item.threadId, item.attachments);
+  }
+
+  /**
+   * 取消会话正在执行的任务：结束后端 CLI 进程树
+   * 会话占用在 processMessage 结束（进程退出）后释放，之后才处理排队的消息，取消结果也由它通知到聊天
+   * @param {string} sessionId - 会话 ID
+   * @returns {boolean} 是否有任务被取消
+   */
+  cancelTask(sessionId) {
+    const task = this.processingSessions.get(sessionId);
+    if (!task) {
+      return false;
+    }
+
+    task.cancelled = true;
+    JobScheduler.cancel(sessionId);
+    PermissionBroker.cancelSession(sessionId);
+    if (task.adapter) {
+      task.adapter.cancel(sessionId);
+    }
+
+    logger.info('任务已取消', { sessionId, elapsed: Date.now() - task.startTime });
+    return true;
+  }
+
+  /**
+   * 处理卡片按钮回调
+   * @param {Object} data - card.action.trigger 事件对象
+   * @returns {Object} 回调响应（toast 提示）
+   */
+  async handleCardAction(data) {
+    logger.info('【EventHandler】处理卡片回调', {
+      action: data.action?.value?.action,
+      sessionId: data.action?.value?.sessionId,
+      operatorId: data.operator?.open_id
+    });
+
+    return await CardActionRegistry.dispatch(data, { eventHandler: this });
+  }
+
   /**
    * 处理消息
    * @param {string} chatId - 会话 ID
    * @param {string} senderId - 发送者 ID
    * @param {string} text - 消息文本
    * @param {string} messageId - 消息 ID
+   * @param {string} [threadId] - 话题 ID（见 getThreadKey）
+   * @param {Array<Object>} [attachments] - 已下载的附件
    */
-  async processMessage(chatId, senderId, text, messageId) {
-    const sessionId = extractSessionId(chatId, senderId);
+  async processMessage(chatId, senderId, text, messageId, threadId, attachments = []) {
+    const sessionId = extractSessionId(chatId, senderId, threadId);
+    const replyTarget = this.getReplyTarget(chatId, messageId, threadId);
     
+    // 将用户消息作为 prompt 发送给后端，附件（包括之前单独发送的文件）路径附加在后面
+    attachments = [...AttachmentManager.takePending(sessionId), ...attachments];
+    const prompt = this.buildPrompt(text.trim(), attachments);
+    const task = {
+      chatId,
+      prompt: text.trim() || `[${attachments.length} 个附件]`,
+      startTime: Date.now(),
+      cancelled: false,
+      adapter: null
+    };
+    let card = null;
+    let permissionPrompt = null;
+    let job = null;
+
     try {
-      this.processingSessions.add(sessionId);
-      
-      // 发送正在处理的消息
-      await FeishuSender.sendTextMessage(chatId, '🤖 Claude 正在思考，请稍候...');
+      this.processingSessions.set(sessionId, task);
+
+      // 选择该聊天使用的后端
+      task.adapter = await AdapterRegistry.getAdapter(chatId);
+      card = new StreamingCard(replyTarget, {
+        sessionId,
+        openId: senderId?.open_id,
+        backendName: task.adapter.displayName
+      });
+
+      // 发送进度卡片（附带取消按钮），执行过程中实时更新
+      await card.start();
+
+      // 获取会话（不存在则创建），用于延续之前的对话
+      const session = await SessionManager.getOrCreateSession(sessionId, {
+        chat_id: chatId,
+        sender: { user_id: resolveSenderId(senderId) },
+        message: { content: prompt }
+      });
+      await SessionManager.touchSession(sessionId);
+      logger.info('准备调用后端', {
+        sessionId,
+        backend: task.adapter.name,
+        promptLength: prompt.length,
+        claudeSessionId: session.claudeSessionId
+      });
+
+      // 等待运行名额，排队时在进度卡片上显示排队位置
+      job = await JobScheduler.acquire(
+        { sessionId, chatId, userId: resolveSenderId(senderId) },
+        { onPosition: (position) => card.setQueued(position) }
+      );
+      if (!job || task.cancelled) {
+        await card.finish('cancelled');
+        return;
+      }
+      await card.setRunning();
+
+      // 使用该聊天的后端执行
+      const executeOptions = config.streaming.enabled
+        ? { onEvent: (event) => card.handleEvent(event) }
+        : {};
+      // 在对话绑定的项目目录中运行，开启工作区隔离时改为在对话的 git worktree 中运行
+      const workDir = await ProjectManager.ensureWorkDir(chatId, session);
+      if (workDir) {
+        executeOptions.cwd = workDir;
+      }
+      // 没有项目目录时后端在服务自身的目录中运行，不为服务自身的仓库创建工作区
+      if (config.workspace.enabled && workDir) {
+        const isolated = await WorktreeManager.prepare(sessionId, workDir);
+        if (isolated) {
+          executeOptions.cwd = isolated;
+        }
+      }
+      if (await AttachmentManager.hasAttachments(sessionId)) {
+        executeOptions.addDirs = [AttachmentManager.getSessionDir(sessionId)];
+      }
+      // 需要授权的工具调用发送审批卡片给发起人
+      if (config.permission.enabled && task.adapter.supportsPermissionPrompt) {
+        permissionPrompt = PermissionBroker.createPrompt(sessionId, {
+          chatId,
+          openId: senderId?.open_id,
+          target: replyTarget,
+          backendName: task.adapter.displayName,
+          workDir: executeOptions.cwd || null
+        });
+        if (permissionPrompt) {
+          executeOptions.permissionPrompt = permissionPrompt;
+        }
+      }
+      // 告知后端如何声明要发送的文件
+      if (config.artifacts.enabled) {
+        executeOptions.systemPrompt = ArtifactManager.getInstructions();
+      }
+      // 记录执行前的 git 状态，执行后汇总后端修改的文件（没有项目目录时不追踪服务自身的仓库）
+      const snapshot = config.changes.enabled && executeOptions.cwd
+        ? await ChangeTracker.snapshot(executeOptions.cwd)
+        : null;
+
+      // 准备期间已被取消
+      if (task.cancelled) {
+        await card.finish('cancelled');
+        return;
+      }
 
-      // 将用户消息直接作为 prompt 发送给 Claude
-      const prompt = text.trim();
-      logger.info('准备调用 Claude', { sessionId, promptLength: prompt.length });
+      const result = await this.executeInConversation(task.adapter, prompt, sessionId, session, executeOptions);
 
-      // 使用 ClaudeAdapter 执行
-      const result = await ClaudeAdapter.executePrompt(prompt, sessionId);
+      if (result.cancelled || task.cancelled) {
+        await card.finish('cancelled');
+        return;
+      }
+
+      result.changes = await ChangeTracker.collect(snapshot);
+
+      // 取出回复中声明要发送的文件，只发送项目目录内允许发送的文件（没有项目目录时不发送）
+      if (config.artifacts.enabled) {
+        const { output, files, rejected } = await ArtifactManager.collect(result.output, executeOptions.cwd || null);
+        result.output = output;
+        result.artifacts = { files, rejected };
+      }
+
+      await card.finish(result.success ? 'success' : 'failed');
       
       // 分析结果
       const analysis = ResultAnalyzer.analyze(result);
+
+      // 记录执行历史
+      await SessionManager.addExecutionRecord(sessionId, {
+        command: task.prompt,
+        output: result.output,
+        success: result.success,
+        nextPhase: analysis.nextPhase
+      });
       
-      // 发送结果
-      await FeishuSender.sendExecutionResult(chatId, result);
+      // 发送结果，附带继续、重新生成等按钮
+      await FeishuSender.sendExecutionResult(replyTarget, result, {
+        buttons: this.buildResultButtons(result, {
+          sessionId,
+          chatId,
+          openId: senderId?.open_id,
+          threadId,
+          messageId,
+          record: session.history.length - 1
+        })
+      });
 
       // 如果有进度信息，继续监控
       if (analysis.hasProgress) {
@@ -175,10 +613,101 @@ class EventHandler {
 
     } catch (error) {
       logger.error('处理消息失败', { sessionId, error: error.message, stack: error.stack });
-      await FeishuSender.sendErrorMessage(chatId, error.message);
+      if (card) {
+        await card.finish('failed');
+      }
+      await FeishuSender.sendErrorMessage(replyTarget, error.message);
     } finally {
-      this.processingSessions.delete(sessionId);
+      PermissionBroker.release(permissionPrompt);
+      JobScheduler.release(job);
+      await SessionManager.touchSession(sessionId).catch((error) => {
+        logger.error('刷新会话活动时间失败', { sessionId, error: error.message });
+      });
+
+      // 被取消的任务也在这里（进程已退出后）释放会话占用，再处理排队的消息
+      if (this.processingSessions.get(sessionId) === task) {
+        this.processingSessions.delete(sessionId);
+      }
+
+      if (!this.processingSessions.has(sessionId)) {
+        this.processNextInQueue(sessionId);
+      }
+    }
+  }
+
+  /**
+   * 生成结果卡片上的按钮
+   * @param {Object} result - 执行结果
+   * @param {Object} value - 按钮回调带回的数据 { sessionId, chatId, openId, threadId, messageId, record }
+   * @returns {Array<Object>} 按钮
+   */
+  buildResultButtons(result, value) {
+    const buttons = [
+      CardActionRegistry.button('continue', '继续', value, 'primary'),
+      CardActionRegistry.button('regenerate', '重新生成', value),
+      CardActionRegistry.button('new', '新对话', value)
+    ];
+    if (result.output) {
+      buttons.push(CardActionRegistry.button('send_file', '以文件发送', value));
+    }
+    return buttons;
+  }
+
+  /**
+   * 生成发送给后端的提示词
+   * @param {string} text - 用户消息文本
+   * @param {Array<Object>} attachments - 附件列表
+   * @returns {string} 提示词
+   */
+  buildPrompt(text, attachments = []) {
+    if (attachments.length === 0) {
+      return text;
     }
+
+    const request = text || '请查看以下附件。';
+    return `${request}\n\n${AttachmentManager.formatForPrompt(attachments)}`;
+  }
+
+  /**
+   * 在会话对应的后端对话中执行 prompt
+   * 后端支持延续对话且已有对话 ID 时延续；对话丢失或首次对话时创建新的对话
+   * @param {AgentAdapter} adapter - 后端适配器
+   * @param {string} prompt - 用户提示词
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} session - 会话对象
+   * @param {Object} options - 其他执行选项（如 onEvent）
+   * @returns {Promise<Object>} 执行结果
+   */
+  async executeInConversation(adapter, prompt, sessionId, session, options = {}) {
+    if (!adapter.supportsResume) {
+      return await adapter.execute(prompt, sessionId, options);
+    }
+
+    if (session.claudeSessionId) {
+      const result = await adapter.execute(prompt, sessionId, {
+        ...options,
+        conversationId: session.claudeSessionId,
+        resume: true
+      });
+
+      if (!adapter.isSessionNotFound(result)) {
+        return result;
+      }
+
+      logger.warn('后端对话已失效，开启新对话', { sessionId, conversationId: session.claudeSessionId });
+    }
+
+    const result = await adapter.execute(prompt, sessionId, {
+      ...options,
+      conversationId: adapter.createConversationId()
+    });
+
+    // 仅在后端确认对话已保存后记录映射
+    if (result.conversationId) {
+      await SessionManager.updateSession(sessionId, { claudeSessionId: result.conversationId });
+    }
+
+    return result;
   }
 
   /**
@@ -2,13 +2,10 @@ const { Client } = require('@larksuiteoapi/node-sdk');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-
-// 创建飞书客户端
-const feishuClient = new Client({
-  appId: config.feishu.appId,
-  appSecret: config.feishu.appSecret
-});
+const { splitMessage } = require('../utils/messageSplitter');
+const { renderMarkdown } = require('../utils/markdownRenderer');
 
 // 支持的文件类型映射（从扩展名映射到飞书 API 支持的 file_type）
 const SUPPORTED_FILE_TYPES = {
@@ -43,33 +40,150 @@ const MEDIA_TYPES = {
   '.webm': 'video'
 };
 
+// 修改的文件状态（git diff --name-status）显示文字
+const CHANGE_STATUS_LABELS = {
+  A: '🆕',
+  M: '✏️',
+  D: '🗑️',
+  T: '✏️'
+};
+
+// 结果卡片中显示的执行命令（用户的提示词）最大长度
+const MAX_COMMAND_LENGTH = 100;
+
+/**
+ * 取出发送目标中的聊天 ID
+ * @param {string|Object} target - 聊天 ID 或回复目标 { chatId, replyTo, replyInThread }
+ * @returns {string} 聊天 ID
+ */
+function getChatId(target) {
+  return typeof target === 'string' ? target : target?.chatId;
+}
+
 /**
  * 飞书消息发送器
+ *
+ * 发送方法的第一个参数为发送目标：
+ * - 聊天 ID 字符串：在聊天中发送新消息
+ * - { chatId, replyTo, replyInThread }：回复 replyTo 指定的消息，replyInThread 为 true 时在话题中回复
  */
 class FeishuSender {
+  constructor() {
+    this.client = null; // 首次使用时创建，测试中可通过 setClient 替换
+    this.botOpenId = null; // 机器人的 open_id，首次获取后缓存
+  }
+
+  /**
+   * 获取飞书客户端
+   * @returns {Client} 飞书客户端
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new Client({
+        appId: config.feishu.appId,
+        appSecret: config.feishu.appSecret
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * 替换飞书客户端（用于测试或自定义客户端）
+   * @param {Object} client - 与 @larksuiteoapi/node-sdk Client 接口一致的对象
+   */
+  setClient(client) {
+    this.client = client;
+    this.botOpenId = null;
+  }
+
+  /**
+   * 获取机器人的 open_id（优先使用 FEISHU_BOT_OPEN_ID，否则调用机器人信息接口）
+   * 获取失败时返回 null，下次调用会重试
+   * @returns {Promise<string|null>} open_id
+   */
+  async getBotOpenId() {
+    if (config.feishu.botOpenId) {
+      return config.feishu.botOpenId;
+    }
+    if (this.botOpenId) {
+      return this.botOpenId;
+    }
+
+    try {
+      const response = await this.getClient().request({
+        method: 'GET',
+        url: '/open-apis/bot/v3/info'
+      });
+      this.botOpenId = response?.bot?.open_id || null;
+      if (this.botOpenId) {
+        logger.info('获取机器人信息成功', { openId: this.botOpenId, name: response.bot.app_name });
+      } else {
+        logger.warn('机器人信息中没有 open_id', { code: response?.code, msg: response?.msg });
+      }
+    } catch (error) {
+      logger.error('获取机器人信息失败', { error: error.message });
+    }
+
+    return this.botOpenId;
+  }
+
+  /**
+   * 发送消息：指定了 replyTo 时回复该消息，否则在聊天中发送新消息
+   * 回复失败（如原消息已被撤回）时改为直接发送到聊天
+   * @param {string|Object} target - 聊天 ID 或回复目标 { chatId, replyTo, replyInThread }
+   * @param {string} msgType - 消息类型（text / interactive / image / file ...）
+   * @param {string} content - 序列化后的消息内容
+   * @returns {Promise<Object>} 接口响应（data 中含 message_id）
+   */
+  async createMessage(target, msgType, content) {
+    const { chatId, replyTo, replyInThread } = typeof target === 'string' ? { chatId: target } : target;
+
+    if (replyTo) {
+      try {
+        return await this.getClient().im.message.reply({
+          path: {
+            message_id: replyTo
+          },
+          data: {
+            msg_type: msgType,
+            content,
+            reply_in_thread: !!replyInThread
+          }
+        });
+      } catch (error) {
+        if (!chatId) {
+          throw error;
+        }
+        logger.warn('回复消息失败，改为直接发送', { chatId, replyTo, error: error.message });
+      }
+    }
+
+    return await this.getClient().im.message.create({
+      params: {
+        receive_id_type: 'chat_id',
+      },
+      data: {
+        receive_id: chatId,
+        msg_type: msgType,
+        content
+      }
+    });
+  }
+
   /**
    * 发送文本消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} content - 消息内容
    * @returns {Promise<Object>} 发送结果
    */
-  async sendTextMessage(chatId, content) {
+  async sendTextMessage(target, content) {
     try {
-      const response = await feishuClient.im.message.create({
-        params: {
-          receive_id_type: 'chat_id',
-        },
-        data: {
-          receive_id: chatId,
-          msg_type: 'text',
-          content: JSON.stringify({ text: content })
-        }
-      });
+      const response = await this.createMessage(target, 'text', JSON.stringify({ text: content }));
 
-      logger.info('发送文本消息成功', { chatId, messageId: response.data.message_id });
+      logger.info('发送文本消息成功', { chatId: getChatId(target), messageId: response.data.message_id });
       return response.data;
     } catch (error) {
-      logger.error('发送文本消息失败', { chatId, error: error.message });
+      logger.error('发送文本消息失败', { chatId: getChatId(target), error: error.message });
       throw error;
     }
   }
@@ -91,7 +205,7 @@ class FeishuSender {
       
       logger.info('开始上传图片', { imagePath, fileName, size: imageBuffer.length });
 
-      const response = await feishuClient.im.v1.image.create({
+      const response = await this.getClient().im.v1.image.create({
         data: {
           image_type: imageType,
           image: imageBuffer,
@@ -128,7 +242,7 @@ class FeishuSender {
       
       logger.info('开始上传文件', { filePath, fileName, size: fileBuffer.length, fileType });
 
-      const response = await feishuClient.im.file.create({
+      const response = await this.getClient().im.file.create({
         data: {
           file_type: fileType,
           file_name: fileName,
@@ -147,108 +261,72 @@ class FeishuSender {
 
   /**
    * 发送图片消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} imageKey - 图片的 image_key
    * @returns {Promise<Object>} 发送结果
    */
-  async sendImageMessage(chatId, imageKey) {
+  async sendImageMessage(target, imageKey) {
     try {
-      const response = await feishuClient.im.message.create({
-        params: {
-          receive_id_type: 'chat_id',
-        },
-        data: {
-          receive_id: chatId,
-          msg_type: 'image',
-          content: JSON.stringify({ image_key: imageKey })
-        }
-      });
+      const response = await this.createMessage(target, 'image', JSON.stringify({ image_key: imageKey }));
 
-      logger.info('发送图片消息成功', { chatId, messageId: response.data.message_id, imageKey });
+      logger.info('发送图片消息成功', { chatId: getChatId(target), messageId: response.data.message_id, imageKey });
       return response.data;
     } catch (error) {
-      logger.error('发送图片消息失败', { chatId, imageKey, error: error.message });
+      logger.error('发送图片消息失败', { chatId: getChatId(target), imageKey, error: error.message });
       throw error;
     }
   }
 
   /**
    * 发送文件消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} fileKey - 文件的 file_key
    * @returns {Promise<Object>} 发送结果
    */
-  async sendFileMessage(chatId, fileKey) {
+  async sendFileMessage(target, fileKey) {
     try {
-      const response = await feishuClient.im.message.create({
-        params: {
-          receive_id_type: 'chat_id',
-        },
-        data: {
-          receive_id: chatId,
-          msg_type: 'file',
-          content: JSON.stringify({ file_key: fileKey })
-        }
-      });
+      const response = await this.createMessage(target, 'file', JSON.stringify({ file_key: fileKey }));
 
-      logger.info('发送文件消息成功', { chatId, messageId: response.data.message_id, fileKey });
+      logger.info('发送文件消息成功', { chatId: getChatId(target), messageId: response.data.message_id, fileKey });
       return response.data;
     } catch (error) {
-      logger.error('发送文件消息失败', { chatId, fileKey, error: error.message });
+      logger.error('发送文件消息失败', { chatId: getChatId(target), fileKey, error: error.message });
       throw error;
     }
   }
 
   /**
    * 发送音频消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} fileKey - 音频文件的 file_key
    * @returns {Promise<Object>} 发送结果
    */
-  async sendAudioMessage(chatId, fileKey) {
+  async sendAudioMessage(target, fileKey) {
     try {
-      const response = await feishuClient.im.message.create({
-        params: {
-          receive_id_type: 'chat_id',
-        },
-        data: {
-          receive_id: chatId,
-          msg_type: 'audio',
-          content: JSON.stringify({ file_key: fileKey })
-        }
-      });
+      const response = await this.createMessage(target, 'audio', JSON.stringify({ file_key: fileKey }));
 
-      logger.info('发送音频消息成功', { chatId, messageId: response.data.message_id, fileKey });
+      logger.info('发送音频消息成功', { chatId: getChatId(target), messageId: response.data.message_id, fileKey });
       return response.data;
     } catch (error) {
-      logger.error('发送音频消息失败', { chatId, fileKey, error: error.message });
+      logger.error('发送音频消息失败', { chatId: getChatId(target), fileKey, error: error.message });
       throw error;
     }
   }
 
   /**
    * 发送视频消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} fileKey - 视频文件的 file_key
    * @returns {Promise<Object>} 发送结果
    */
-  async sendVideoMessage(chatId, fileKey) {
+  async sendVideoMessage(target, fileKey) {
     try {
-      const response = await feishuClient.im.message.create({
-        params: {
-          receive_id_type: 'chat_id',
-        },
-        data: {
-          receive_id: chatId,
-          msg_type: 'media',
-          content: JSON.stringify({ file_key: fileKey })
-        }
-      });
+      const response = await this.createMessage(target, 'media', JSON.stringify({ file_key: fileKey }));
 
-      logger.info('发送视频消息成功', { chatId, messageId: response.data.message_id, fileKey });
+      logger.info('发送视频消息成功', { chatId: getChatId(target), messageId: response.data.message_id, fileKey });
       return response.data;
     } catch (error) {
-      logger.error('发送视频消息失败', { chatId, fileKey, error: error.message });
+      logger.error('发送视频消息失败', { chatId: getChatId(target), fileKey, error: error.message });
       throw error;
     }
   }
@@ -282,47 +360,47 @@ class FeishuSender {
 
   /**
    * 上传并发送图片
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} imagePath - 图片文件路径
    * @param {string} imageType - 图片类型 (message/avatar)
    * @returns {Promise<Object>} 发送结果
    */
-  async sendImage(chatId, imagePath, imageType = 'message') {
+  async sendImage(target, imagePath, imageType = 'message') {
     const imageKey = await this.uploadImage(imagePath, imageType);
-    return await this.sendImageMessage(chatId, imageKey);
+    return await this.sendImageMessage(target, imageKey);
   }
 
   /**
    * 上传并发送文件
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} filePath - 文件路径
    * @returns {Promise<Object>} 发送结果
    */
-  async sendFile(chatId, filePath) {
+  async sendFile(target, filePath) {
     const fileType = this.getFileType(filePath);
     
     if (fileType === 'image') {
-      return await this.sendImage(chatId, filePath);
+      return await this.sendImage(target, filePath);
     } else if (fileType === 'audio') {
       const fileKey = await this.uploadFile(filePath);
-      return await this.sendAudioMessage(chatId, fileKey);
+      return await this.sendAudioMessage(target, fileKey);
     } else if (fileType === 'video') {
       const fileKey = await this.uploadFile(filePath);
-      return await this.sendVideoMessage(chatId, fileKey);
+      return await this.sendVideoMessage(target, fileKey);
     } else {
       const fileKey = await this.uploadFile(filePath);
-      return await this.sendFileMessage(chatId, fileKey);
+      return await this.sendFileMessage(target, fileKey);
     }
   }
 
   /**
    * 发送富文本消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} title - 标题
    * @param {string} content - 内容
    * @returns {Promise<Object>} 发送结果
    */
-  async sendRichTextMessage(chatId, title, content) {
+  async sendRichTextMessage(target, title, content) {
     try {
       // content 现在是一个二维数组，每个子数组代表一个文本元素
       // 需要将其转换为飞书卡片格式
@@ -358,25 +436,16 @@ class FeishuSender {
         ]
       });
 
-      logger.info('准备发送富文本消息', { chatId, title, contentPreview: content.slice(0, 2).map(l => l[0].text).join(' ') + '...' });
+      logger.info('准备发送富文本消息', { chatId: getChatId(target), title, contentPreview: content.slice(0, 2).map(l => l[0].text).join(' ') + '...' });
 
       // 根据飞书 SDK v1.58.0 的正确 API 调用方式
-      const response = await feishuClient.im.message.create({
-        params: {
-          receive_id_type: 'chat_id',
-        },
-        data: {
-          receive_id: chatId,
-          msg_type: 'interactive',
-          content: cardContent
-        }
-      });
+      const response = await this.createMessage(target, 'interactive', cardContent);
 
-      logger.info('发送富文本消息成功', { chatId, messageId: response.data.message_id });
+      logger.info('发送富文本消息成功', { chatId: getChatId(target), messageId: response.data.message_id });
       return response.data;
     } catch (error) {
-      logger.error('发送富文本消息失败', { 
-        chatId, 
+      logger.error('发送富文本消息失败', {
+        chatId: getChatId(target),
         error: error.message,
         code: error.code,
         errorData: error.response?.data,
@@ -387,29 +456,208 @@ class FeishuSender {
   }
 
   /**
-   * 格式化执行结果为富文本
+   * 发送交互式卡片
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
+   * @param {Object} card - 卡片内容（config/header/elements）
+   * @returns {Promise<Object>} 发送结果（含 message_id）
+   */
+  async sendCard(target, card) {
+    try {
+      const response = await this.createMessage(target, 'interactive', JSON.stringify(card));
+
+      logger.info('发送卡片消息成功', { chatId: getChatId(target), messageId: response.data.message_id });
+      return response.data;
+    } catch (error) {
+      logger.error('发送卡片消息失败', { chatId: getChatId(target), error: error.message, errorData: error.response?.data });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新已发送的交互式卡片（卡片需开启 config.update_multi）
+   * @param {string} messageId - 卡片消息 ID
+   * @param {Object} card - 新的卡片内容
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateCard(messageId, card) {
+    try {
+      const response = await this.getClient().im.message.patch({
+        path: {
+          message_id: messageId
+        },
+        data: {
+          content: JSON.stringify(card)
+        }
+      });
+
+      logger.debug('更新卡片消息成功', { messageId });
+      return response.data;
+    } catch (error) {
+      logger.error('更新卡片消息失败', { messageId, error: error.message, errorData: error.response?.data });
+      throw error;
+    }
+  }
+
+  /**
+   * 下载消息中的资源（图片、文件）到本地
+   * 超过大小上限时中止下载并删除已写入的部分
+   * @param {string} messageId - 消息 ID
+   * @param {string} fileKey - 资源的 image_key / file_key
+   * @param {string} type - 资源类型（image / file）
+   * @param {string} filePath - 保存路径
+   * @param {number} maxSize - 最大字节数
+   * @returns {Promise<{ filePath: string, size: number, contentType: string }>} 下载结果
+   */
+  async downloadResource(messageId, fileKey, type, filePath, maxSize) {
+    const response = await this.getClient().im.messageResource.get({
+      path: {
+        message_id: messageId,
+        file_key: fileKey
+      },
+      params: {
+        type
+      }
+    });
+
+    const headers = response.headers || {};
+    const contentType = String(headers['content-type'] || '').split(';')[0].trim();
+    const contentLength = parseInt(headers['content-length']);
+    if (contentLength > maxSize) {
+      throw new Error(`文件大小 ${contentLength} 字节超过上限 ${maxSize} 字节`);
+    }
+
+    const stream = response.getReadableStream();
+    let size = 0;
+
+    try {
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        stream.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > maxSize) {
+            stream.destroy(new Error(`文件大小超过上限 ${maxSize} 字节`));
+          }
+        });
+        stream.on('error', (error) => {
+          output.destroy();
+          reject(error);
+        });
+        output.on('error', reject);
+        output.on('finish', resolve);
+        stream.pipe(output);
+      });
+    } catch (error) {
+      fs.rmSync(filePath, { force: true });
+      logger.error('下载消息资源失败', { messageId, fileKey, error: error.message });
+      throw error;
+    }
+
+    logger.info('下载消息资源成功', { messageId, fileKey, size, contentType });
+    return { filePath, size, contentType };
+  }
+
+  /**
+   * 格式化执行统计信息（耗时、轮数、工具调用、费用）
+   * @param {Object} result - 执行结果（ClaudeResult）
+   * @returns {string} 统计信息，没有可用字段时为空字符串
+   */
+  formatExecutionStats(result) {
+    const stats = [];
+
+    if (result.duration !== undefined) {
+      stats.push(`耗时 ${(result.duration / 1000).toFixed(1)} 秒`);
+    }
+    if (result.numTurns !== null && result.numTurns !== undefined) {
+      stats.push(`${result.numTurns} 轮对话`);
+    }
+    if (result.toolCalls && result.toolCalls.length > 0) {
+      stats.push(`${result.toolCalls.length} 次工具调用`);
+    }
+    if (result.costUsd !== null && result.costUsd !== undefined) {
+      stats.push(`费用 $${result.costUsd.toFixed(4)}`);
+    }
+
+    return stats.join(' · ');
+  }
+
+  /**
+   * 汇总工具调用（按工具名计数）
+   * @param {Array} toolCalls - 工具调用列表
+   * @returns {string} 如 "Bash ×2, Edit ×1"
+   */
+  formatToolCalls(toolCalls = []) {
+    const counts = new Map();
+    for (const toolCall of toolCalls) {
+      counts.set(toolCall.name, (counts.get(toolCall.name) || 0) + 1);
+    }
+    return Array.from(counts.entries())
+      .map(([name, count]) => `${name} ×${count}`)
+      .join(', ');
+  }
+
+  /**
+   * 判断执行结果是否成功（进程成功且 Claude 未报告错误）
    * @param {Object} result - 执行结果
+   * @returns {boolean} 是否成功
+   */
+  isSuccessfulResult(result) {
+    return result.success && !result.isError;
+  }
+
+  /**
+   * 格式化执行结果为富文本
+   * @param {Object} result - 执行结果（ClaudeResult）
+   * @param {string} [output] - 显示的回复内容，默认为完整回复（长回复由 sendExecutionResult 拆分后传入第一段）
    * @returns {string} 格式化后的内容
    */
-  formatExecutionResult(result) {
+  formatExecutionResult(result, output = result.output) {
     let content = '';
     
     // 执行状态
-    const statusIcon = result.success ? '✅' : '❌';
-    const statusText = result.success ? '执行成功' : '执行失败';
+    const success = this.isSuccessfulResult(result);
+    const statusIcon = success ? '✅' : '❌';
+    const statusText = success ? '执行成功' : '执行失败';
     content += `${statusIcon} ${statusText}\n`;
+
+    // 执行统计
+    const stats = this.formatExecutionStats(result);
+    if (stats) {
+      content += `${stats}\n`;
+    }
+
+    // 工作目录（对话绑定了项目目录时）
+    if (result.workDir) {
+      content += `📁 ${result.workDir}\n`;
+    }
     
     // 命令
     if (result.command) {
-      content += `\n**执行命令:**\n${result.command}\n`;
+      const command = result.command.length > MAX_COMMAND_LENGTH
+        ? `${result.command.substring(0, MAX_COMMAND_LENGTH)}...`
+        : result.command;
+      content += `\n**执行命令:**\n${command}\n`;
+    }
+
+    // 工具调用
+    if (result.toolCalls && result.toolCalls.length > 0) {
+      content += `\n**工具调用:** ${this.formatToolCalls(result.toolCalls)}\n`;
+    }
+
+    // 修改的文件
+    if (result.changes) {
+      content += `\n${this.formatChanges(result.changes)}\n`;
     }
     
-    // 输出
-    if (result.output) {
-      const outputText = result.output.length > 500
-        ? result.output.substring(0, 500) + '...'
-        : result.output;
-      content += `\n**执行输出:**\n\`\`\`\n${outputText}\n\`\`\`\n`;
+    // 输出（Claude 的最终回复，按 Markdown 显示）
+    if (output) {
+      content += `\n**执行输出:**\n${output}\n`;
+    }
+
+    // 失败原因
+    if (!success && result.subtype && result.subtype !== 'success') {
+      content += `\n**失败原因:** ${result.subtype}\n`;
+    } else if (!success && !result.output && result.error) {
+      content += `\n**错误信息:**\n\`\`\`\n${result.error.substring(0, 500)}\n\`\`\`\n`;
     }
     
     // 下一阶段
@@ -425,118 +673,177 @@ class FeishuSender {
     return content;
   }
 
+  /**
+   * 格式化本次执行修改的文件（每个文件一行，超过 CHANGE_SUMMARY_MAX_FILES 时省略其余文件）
+   * @param {Object} changes - 修改（见 ChangeTracker.collect）
+   * @returns {string} 格式化后的内容
+   */
+  formatChanges({ files, patch }) {
+    const additions = files.reduce((sum, file) => sum + file.additions, 0);
+    const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+    const lines = [`**修改的文件:** ${files.length} 个（+${additions} -${deletions}）`];
+
+    const shown = files.slice(0, config.changes.maxFiles);
+    for (const file of shown) {
+      const stat = file.binary ? '二进制' : `+${file.additions} -${file.deletions}`;
+      lines.push(`${CHANGE_STATUS_LABELS[file.status] || file.status} ${file.path}（${stat}）`);
+    }
+    if (files.length > shown.length) {
+      lines.push(`…另有 ${files.length - shown.length} 个文件`);
+    }
+    if (patch) {
+      lines.push('完整 diff 见随后发送的文件');
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * 发送执行结果
-   * @param {string} chatId - 聊天 ID
-   * @param {Object} result - 执行结果
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
+   * @param {Object} result - 执行结果（ClaudeResult）
+   * @param {Object} [options] - 选项
+   * @param {Array<Object>} [options.buttons] - 结果卡片底部的按钮（见 CardActionRegistry.button）
    * @returns {Promise<Object>} 发送结果
    */
-  async sendExecutionResult(chatId, result) {
-    const title = result.success ? '✅ 执行成功' : '❌ 执行失败';
-    const content = this.formatExecutionResult(result);
-    
-    // 将文本内容转换为富文本格式
-    const richContent = [
-      [
-        { tag: 'text', text: `${title}\n`, style: 'bold' }
-      ],
-      [
-        { tag: 'text', text: content }
-      ]
-    ];
-    
-    // 检测并上传多媒体文件
-    if (result.output) {
-      const filePattern = /(?:[a-zA-Z]:\\|\/)?[\w\-\\\/\.]+\.\w+/g;
-      const files = result.output.match(filePattern) || [];
-      
-      // 1. 图片文件
-      const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.bmp'];
-      const imageFiles = files.filter(file => {
-        const ext = file.toLowerCase();
-        return imageExtensions.some(imgExt => ext.endsWith(imgExt));
-      });
-      
-      for (const imagePath of imageFiles) {
-        try {
-          if (fs.existsSync(imagePath)) {
-            const imageKey = await this.uploadImage(imagePath, 'message');
-            await this.sendImageMessage(chatId, imageKey);
-            logger.info('图片发送成功', { imagePath, imageKey });
-          }
-        } catch (error) {
-          logger.error('上传图片失败', { imagePath, error: error.message });
-        }
-      }
-      
-      // 2. 音频文件
-      const audioExtensions = ['.mp3', '.wav', '.aac', '.ogg', '.flac', '.m4a'];
-      const audioFiles = files.filter(file => {
-        const ext = file.toLowerCase();
-        return audioExtensions.some(audioExt => ext.endsWith(audioExt));
-      });
-      
-      for (const audioPath of audioFiles) {
-        try {
-          if (fs.existsSync(audioPath)) {
-            const fileKey = await this.uploadFile(audioPath);
-            await this.sendAudioMessage(chatId, fileKey);
-            logger.info('音频发送成功', { audioPath, fileKey });
-          }
-        } catch (error) {
-          logger.error('上传音频失败', { audioPath, error: error.message });
-        }
+  async sendExecutionResult(target, result, { buttons = [] } = {}) {
+    const title = this.isSuccessfulResult(result) ? '✅ 执行成功' : '❌ 执行失败';
+
+    // 长回复拆分为多段：第一段随结果卡片发送，其余按顺序发送；段数过多时作为 .md 文件发送
+    const chunks = splitMessage(result.output || '', config.output.chunkSize);
+    const sendAsFile = chunks.length > config.output.maxChunks;
+    let output = chunks[0];
+    if (sendAsFile) {
+      output += `\n\n📎 回复较长（共 ${result.output.length} 字），完整内容见随后发送的文件`;
+    } else if (chunks.length > 1) {
+      output += `\n\n（回复较长，共 ${chunks.length} 段）`;
+    }
+    // 结果卡片：执行统计在上，回复按 Markdown 渲染为卡片元素
+    const summary = this.formatExecutionResult(result, '');
+
+    const response = await this.sendMarkdownCard(target, title, output, {
+      template: this.isSuccessfulResult(result) ? 'green' : 'red',
+      summary,
+      buttons
+    });
+
+    if (sendAsFile) {
+      await this.sendTextAsFile(target, result.output);
+    } else {
+      for (let i = 1; i < chunks.length; i++) {
+        await this.sendMarkdownCard(target, `📄 回复（${i + 1}/${chunks.length}）`, chunks[i]);
       }
-      
-      // 3. 视频文件
-      const videoExtensions = ['.mp4', '.avi', '.mov', '.mkv', '.flv', '.webm'];
-      const videoFiles = files.filter(file => {
-        const ext = file.toLowerCase();
-        return videoExtensions.some(videoExt => ext.endsWith(videoExt));
-      });
-      
-      for (const videoPath of videoFiles) {
-        try {
-          if (fs.existsSync(videoPath)) {
-            const fileKey = await this.uploadFile(videoPath);
-            await this.sendVideoMessage(chatId, fileKey);
-            logger.info('视频发送成功', { videoPath, fileKey });
-          }
-        } catch (error) {
-          logger.error('上传视频失败', { videoPath, error: error.message });
-        }
+    }
+
+    // 后端声明的文件
+    if (result.artifacts) {
+      await this.sendArtifacts(target, result.artifacts);
+    }
+
+    // 完整的修改内容以 .diff 文件发送
+    if (result.changes?.patch) {
+      await this.sendTextAsFile(target, result.changes.patch, `changes-${Date.now()}.diff`);
+    }
+
+    return response;
+  }
+
+  /**
+   * 发送后端声明的文件（见 ArtifactManager.collect），并说明未发送的文件及原因
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
+   * @param {Object} artifacts - { files, rejected }
+   */
+  async sendArtifacts(target, { files, rejected }) {
+    const failed = [...rejected];
+    for (const file of files) {
+      try {
+        await this.sendFile(target, file.path);
+        logger.info('文件发送成功', { filePath: file.path, size: file.size });
+      } catch (error) {
+        logger.error('发送文件失败', { filePath: file.path, error: error.message });
+        failed.push({ path: file.name, reason: `发送失败: ${error.message}` });
       }
-      
-      // 4. 办公文档文件
-      const docExtensions = ['.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.pdf', '.txt', '.csv', '.md'];
-      const docFiles = files.filter(file => {
-        const ext = file.toLowerCase();
-        return docExtensions.some(docExt => ext.endsWith(docExt));
-      });
-      
-      for (const docPath of docFiles) {
-        try {
-          if (fs.existsSync(docPath)) {
-            const fileKey = await this.uploadFile(docPath);
-            await this.sendFileMessage(chatId, fileKey);
-            logger.info('文档发送成功', { docPath, fileKey });
-          }
-        } catch (error) {
-          logger.error('上传文档失败', { docPath, error: error.message });
+    }
+
+    if (failed.length > 0) {
+      const lines = failed.map(item => `- ${item.path}: ${item.reason}`);
+      await this.sendTextMessage(target, `⚠️ 以下文件未发送:\n${lines.join('\n')}`);
+    }
+  }
+
+  /**
+   * 发送 Markdown 内容的卡片（标题、表格、代码块等转换为对应的卡片元素）
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
+   * @param {string} title - 卡片标题
+   * @param {string} markdown - Markdown 内容
+   * @param {Object} [options] - 选项
+   * @param {string} [options.template] - 标题颜色，默认 blue
+   * @param {string} [options.summary] - 显示在内容上方的摘要（lark_md）
+   * @param {Array<Object>} [options.buttons] - 显示在卡片底部的按钮
+   * @returns {Promise<Object>} 发送结果（含 message_id）
+   */
+  async sendMarkdownCard(target, title, markdown, { template = 'blue', summary, buttons = [] } = {}) {
+    const elements = [];
+    if (summary) {
+      elements.push({ tag: 'div', text: { tag: 'lark_md', content: summary.trim() } });
+    }
+
+    const body = renderMarkdown(markdown);
+    if (elements.length > 0 && body.length > 0) {
+      elements.push({ tag: 'hr' });
+    }
+    elements.push(...body);
+
+    if (buttons.length > 0) {
+      elements.push({ tag: 'action', actions: buttons });
+    }
+
+    return await this.sendCard(target, {
+      config: {
+        wide_screen_mode: true
+      },
+      header: {
+        template,
+        title: {
+          content: title,
+          tag: 'plain_text'
         }
-      }
+      },
+      elements
+    });
+  }
+
+  /**
+   * 将文本保存为文件上传并发送（用于过长的回复、diff 等）
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
+   * @param {string} text - 文本内容
+   * @param {string} [fileName] - 文件名，默认为 reply-<时间戳>.md
+   * @returns {Promise<Object|null>} 发送结果，上传失败时通知用户并返回 null
+   */
+  async sendTextAsFile(target, text, fileName = `reply-${Date.now()}.md`) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-reply-'));
+    const filePath = path.join(dir, path.basename(fileName));
+
+    try {
+      fs.writeFileSync(filePath, text, 'utf-8');
+      const fileKey = await this.uploadFile(filePath);
+      return await this.sendFileMessage(target, fileKey);
+    } catch (error) {
+      logger.error('发送回复文件失败', { chatId: getChatId(target), error: error.message });
+      await this.sendTextMessage(target, `⚠️ 文件 ${path.basename(fileName)} 发送失败: ${error.message}`);
+      return null;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
     }
-    
-    return await this.sendRichTextMessage(chatId, title, richContent);
   }
 
   /**
    * 发送进度摘要
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {Object} summary - 进度摘要
    * @returns {Promise<Object>} 发送结果
    */
-  async sendProgressSummary(chatId, summary) {
+  async sendProgressSummary(target, summary) {
     let content = [];
     
     // 标题
@@ -573,16 +880,16 @@ class FeishuSender {
       ]);
     }
     
-    return await this.sendRichTextMessage(chatId, '📊 任务进度摘要', content);
+    return await this.sendRichTextMessage(target, '📊 任务进度摘要', content);
   }
 
   /**
    * 发送错误消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
    * @param {string} error - 错误信息
    * @returns {Promise<Object>} 发送结果
    */
-  async sendErrorMessage(chatId, error) {
+  async sendErrorMessage(target, error) {
     const content = [
       [
         { tag: 'text', text: '❌ 发生错误\n', style: 'bold' }
@@ -591,40 +898,37 @@ class FeishuSender {
         { tag: 'text', text: error }
       ]
     ];
-    return await this.sendRichTextMessage(chatId, '❌ 发生错误', content);
+    return await this.sendRichTextMessage(target, '❌ 发生错误', content);
   }
 
   /**
    * 发送欢迎消息
-   * @param {string} chatId - 聊天 ID
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 createMessage）
+   * @param {Array} commands - 可用命令列表 [{ usage, description }]
    * @returns {Promise<Object>} 发送结果
    */
-  async sendWelcomeMessage(chatId) {
+  async sendWelcomeMessage(target, commands = []) {
     const content = [
       [
-        { tag: 'text', text: '👋 欢迎使用飞书 iFlow 桥接服务\n', style: 'bold' }
-      ],
-      [
-        { tag: 'text', text: '发送消息即可调用 iFlow CLI 执行任务。' }
-      ],
-      [
-        { tag: 'text', text: '\n功能特性:' }
-      ],
-      [
-        { tag: 'text', text: '• 自动识别执行结果并继续处理' }
-      ],
-      [
-        { tag: 'text', text: '• 支持 YOLO 模式（自动确认）' }
+        { tag: 'text', text: '👋 欢迎使用飞书 Claude 桥接服务\n', style: 'bold' }
       ],
       [
-        { tag: 'text', text: '• 默认启用 superpowers 技能' }
-      ],
-      [
-        { tag: 'text', text: '• 长时间任务自动输出进度摘要' }
+        { tag: 'text', text: '直接发送消息即可与 Claude 对话，同一聊天中的后续消息会延续上下文。' }
       ]
     ];
+
+    if (commands.length > 0) {
+      content.push([
+        { tag: 'text', text: '\n可用命令:', style: 'bold' }
+      ]);
+      for (const command of commands) {
+        content.push([
+          { tag: 'text', text: `• ${command.usage}  ${command.description}${command.adminOnly ? '（仅管理员）' : ''}` }
+        ]);
+      }
+    }
     
-    return await this.sendRichTextMessage(chatId, '👋 欢迎', content);
+    return await this.sendRichTextMessage(target, '👋 欢迎', content);
   }
 }
 
@@ -1,112 +1,194 @@
-const { spawn } = require('child_process');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
+const { runProcess } = require('../utils/processRunner');
+const AgentAdapter = require('./AgentAdapter');
 
 /**
  * iFlow CLI 适配器
+ * iFlow CLI 只输出纯文本：输出以增量文本事件（stream_event / text_delta）推送，不支持延续对话，
+ * 也不能访问工作目录之外的附件目录（图片和文件消息会被拒绝）
  */
-class IFlowAdapter {
+class IFlowAdapter extends AgentAdapter {
   constructor() {
-    this.cliPath = config.iflow.cliPath;
+    super({ name: 'iflow', displayName: 'iFlow', cliPath: config.iflow.cliPath });
     this.superpowersEnabled = config.iflow.superpowersEnabled;
     this.superpowersMode = config.iflow.superpowersMode;
     this.yoloMode = config.execution.yoloMode;
     this.timeoutPerStep = config.execution.timeoutPerStep;
+    this.maxOutputSize = config.execution.maxOutputSize;
+  }
+
+  /**
+   * 启动 iFlow CLI 进程并等待结束（不经过 shell，输入通过 stdin 传入）
+   * @param {Array} args - 命令参数
+   * @param {Object} options - 选项
+   * @param {string} [options.input] - 写入 stdin 的内容
+   * @param {Object} [options.env] - 环境变量
+   * @param {string} [options.cwd] - 工作目录
+   * @param {string} [options.sessionId] - 会话 ID（传入后可通过 cancel 取消）
+   * @param {Function} [options.onStdout] - 标准输出回调
+   * @returns {Promise<Object>} { success, cancelled, exitCode, output, error, duration }
+   */
+  async runCli(args, options = {}) {
+    const startTime = Date.now();
+    const handle = runProcess(this.cliPath, args, {
+      input: options.input,
+      env: options.env,
+      cwd: options.cwd,
+      timeout: this.timeoutPerStep * 1000,
+      maxOutputSize: this.maxOutputSize,
+      onStdout: options.onStdout
+    });
+
+    const tracked = options.sessionId ? this.trackProcess(options.sessionId, handle) : null;
+    let result;
+    try {
+      result = await handle.promise;
+    } finally {
+      if (tracked) {
+        tracked.release();
+      }
+    }
+
+    if (tracked && tracked.running.cancelled) {
+      return {
+        success: false,
+        cancelled: true,
+        exitCode: result.exitCode,
+        output: result.stdout,
+        error: result.stderr,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (result.timedOut) {
+      throw new Error(`iFlow 执行超时 (${this.timeoutPerStep}秒)`);
+    }
+    if (result.outputLimitExceeded) {
+      throw new Error(`iFlow 输出超过上限 (${this.maxOutputSize} 字节)`);
+    }
+
+    return {
+      success: result.exitCode === 0,
+      exitCode: result.exitCode,
+      output: result.stdout,
+      error: result.stderr,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * 执行一次对话（AgentAdapter 接口）
+   * @param {string} prompt - 用户提示词
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} options - 执行选项
+   * @param {string} [options.cwd] - 工作目录
+   * @param {string} [options.systemPrompt] - 补充说明（iFlow CLI 没有系统提示词参数，附加在提示词后面）
+   * @param {Function} [options.onEvent] - 流式事件回调
+   * @returns {Promise<AgentResult>} 执行结果
+   */
+  async execute(prompt, sessionId, options = {}) {
+    const args = this.buildCommandArgs(options);
+
+    logger.info('执行 iFlow CLI 调用', { prompt: prompt.substring(0, 100), sessionId });
+
+    const onStdout = typeof options.onEvent === 'function'
+      ? (chunk) => {
+        try {
+          options.onEvent({
+            type: 'stream_event',
+            event: { type: 'content_block_delta', delta: { type: 'text_delta', text: chunk } }
+          });
+        } catch (error) {
+          logger.error('处理 iFlow 流式输出失败', { error: error.message });
+        }
+      }
+      : undefined;
+
+    const result = await this.runCli(args, {
+      input: options.systemPrompt ? `${prompt}\n\n${options.systemPrompt}` : prompt,
+      sessionId,
+      onStdout,
+      cwd: options.cwd,
+      env: {
+        ...process.env,
+        IFLOW_SESSION_ID: sessionId // 传递会话 ID
+      }
+    });
+
+    if (result.cancelled) {
+      logger.info('iFlow CLI 执行已取消', { sessionId, duration: result.duration });
+    } else if (result.success) {
+      logger.info('iFlow CLI 执行成功', { outputLength: result.output.length, duration: result.duration });
+    } else {
+      logger.error('iFlow CLI 执行失败', { exitCode: result.exitCode, error: result.error });
+    }
+
+    return {
+      ...result,
+      output: result.output.trim(),
+      isError: !result.success,
+      subtype: null,
+      numTurns: null,
+      costUsd: null,
+      usage: null,
+      toolCalls: [],
+      command: prompt,
+      sessionId,
+      conversationId: null,
+      workDir: options.cwd || null
+    };
   }
 
   /**
    * 执行 Skill 调用
    * 注意：iFlow CLI 中的 Skill 调用需要通过特殊的命令格式
-   * 格式: iflow <skill-name> [arguments]
+   * 格式: echo "<skill-name> [arguments]" | iflow [--yolo]
    * 
    * @param {string} skillInput - Skill 输入内容
    * @param {string} sessionId - 会话 ID
    * @returns {Promise<Object>} 执行结果
    */
   async executeSkill(skillInput, sessionId) {
-    return new Promise((resolve, reject) => {
-      const startTime = Date.now();
-      
-      logger.info('执行 iFlow Skill 调用', { skillInput, sessionId });
-
-      // 构建命令: 直接将 skillInput 作为 iflow CLI 的参数
-      // iFlow CLI 会自动识别并调用相应的 Skill
-      const args = [skillInput];
-
-      // 添加 YOLO 模式参数（如果启用）
-      if (this.yoloMode) {
-        args.push('--yolo');
-      }
+    logger.info('执行 iFlow Skill 调用', { skillInput, sessionId });
+
+    // skillInput 通过 stdin 传入，iFlow CLI 会自动识别并调用相应的 Skill
+    const args = [];
 
-      const child = spawn(this.cliPath, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true,
+    // 添加 YOLO 模式参数（如果启用）
+    if (this.yoloMode) {
+      args.push('--yolo');
+    }
+
+    try {
+      const result = await this.runCli(args, {
+        input: skillInput,
         env: {
           ...process.env,
           IFLOW_SESSION_ID: sessionId // 传递会话 ID
         }
       });
 
-      let stdout = '';
-      let stderr = '';
-
-      // 收集标准输出
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      // 收集错误输出
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      // 设置超时
-      const timeout = setTimeout(() => {
-        child.kill('SIGTERM');
-        logger.error('iFlow Skill 执行超时', { skillInput, timeout: this.timeoutPerStep });
-        reject(new Error(`Skill 执行超时 (${this.timeoutPerStep}秒)`));
-      }, this.timeoutPerStep * 1000);
-
-      // 处理进程退出
-      child.on('close', (code) => {
-        clearTimeout(timeout);
-        const duration = Date.now() - startTime;
-
-        const result = {
-          success: code === 0,
-          exitCode: code,
-          output: stdout,
-          error: stderr,
-          duration,
-          command: skillInput,
-          sessionId
-        };
-
-        if (code === 0) {
-          logger.info('iFlow Skill 执行成功', { skillInput, duration });
-          resolve(result);
-        } else {
-          logger.error('iFlow Skill 执行失败', { skillInput, exitCode: code, error: stderr });
-          resolve(result); // 即使失败也返回结果，由上层处理
-        }
-      });
+      if (result.success) {
+        logger.info('iFlow Skill 执行成功', { skillInput, duration: result.duration });
+      } else {
+        logger.error('iFlow Skill 执行失败', { skillInput, exitCode: result.exitCode, error: result.error });
+      }
 
-      // 处理进程错误
-      child.on('error', (error) => {
-        clearTimeout(timeout);
-        logger.error('iFlow Skill 进程错误', { skillInput, error: error.message });
-        reject(error);
-      });
-    });
+      // 即使失败也返回结果，由上层处理
+      return { ...result, command: skillInput, sessionId };
+    } catch (error) {
+      logger.error('iFlow Skill 进程错误', { skillInput, error: error.message });
+      throw error;
+    }
   }
 
   /**
-   * 构建 iFlow CLI 命令参数
-   * @param {string} input - 输入命令
+   * 构建 iFlow CLI 命令参数（输入内容通过 stdin 传入，不在参数中）
    * @param {Object} options - 执行选项
    * @returns {Array} 命令参数数组
    */
-  buildCommandArgs(input, options = {}) {
+  buildCommandArgs(options = {}) {
     const args = [];
 
     // 添加 YOLO 模式参数 (自动确认所有操作)
@@ -114,80 +196,35 @@ class IFlowAdapter {
       args.push('--yolo');
     }
 
-    // 添加输入命令
-    args.push(input);
-
     return args;
   }
 
   /**
-   * 执行 iFlow CLI 命令
+   * 执行 iFlow CLI 命令（不关联会话）
    * @param {string} input - 输入命令
    * @param {Object} options - 执行选项
    * @returns {Promise<Object>} 执行结果
    */
-  async execute(input, options = {}) {
-    return new Promise((resolve, reject) => {
-      const startTime = Date.now();
-      const args = this.buildCommandArgs(input, options);
-
-      logger.info('执行 iFlow CLI 命令', { command: input, args });
-
-      const child = spawn(this.cliPath, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true
-      });
-
-      let stdout = '';
-      let stderr = '';
+  async executeCommand(input, options = {}) {
+    const args = this.buildCommandArgs(options);
 
-      // 收集标准输出
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+    logger.info('执行 iFlow CLI 命令', { command: input, args });
 
-      // 收集错误输出
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+    try {
+      const result = await this.runCli(args, { input });
 
-      // 设置超时
-      const timeout = setTimeout(() => {
-        child.kill('SIGTERM');
-        logger.error('iFlow CLI 执行超时', { command: input, timeout: this.timeoutPerStep });
-        reject(new Error(`命令执行超时 (${this.timeoutPerStep}秒)`));
-      }, this.timeoutPerStep * 1000);
-
-      // 处理进程退出
-      child.on('close', (code) => {
-        clearTimeout(timeout);
-        const duration = Date.now() - startTime;
-
-        const result = {
-          success: code === 0,
-          exitCode: code,
-          output: stdout,
-          error: stderr,
-          duration,
-          command: input
-        };
-
-        if (code === 0) {
-          logger.info('iFlow CLI 执行成功', { command: input, duration });
-          resolve(result);
-        } else {
-          logger.error('iFlow CLI 执行失败', { command: input, exitCode: code, error: stderr });
-          resolve(result); // 即使失败也返回结果，由上层处理
-        }
-      });
+      if (result.success) {
+        logger.info('iFlow CLI 执行成功', { command: input, duration: result.duration });
+      } else {
+        logger.error('iFlow CLI 执行失败', { command: input, exitCode: result.exitCode, error: result.error });
+      }
 
-      // 处理进程错误
-      child.on('error', (error) => {
-        clearTimeout(timeout);
-        logger.error('iFlow CLI 进程错误', { command: input, error: error.message });
-        reject(error);
-      });
-    });
+      // 即使失败也返回结果，由上层处理
+      return { ...result, command: input };
+    } catch (error) {
+      logger.error('iFlow CLI 进程错误', { command: input, error: error.message });
+      throw error;
+    }
   }
 
   /**
@@ -202,7 +239,7 @@ class IFlowAdapter {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        const result = await this.execute(input, options);
+        const result = await this.executeCommand(input, options);
         
         if (result.success) {
           return result;
@@ -273,41 +310,6 @@ class IFlowAdapter {
 
     return results;
   }
-
-  /**
-   * 检查 iFlow CLI 是否可用
-   * @returns {Promise<boolean>} 是否可用
-   */
-  async isAvailable() {
-    try {
-      const result = await this.execute('--version');
-      return result.success || result.output.includes('iflow');
-    } catch (error) {
-      return false;
-    }
-  }
-
-  /**
-   * 获取 iFlow CLI 版本
-   * @returns {Promise<string>} 版本信息
-   */
-  async getVersion() {
-    try {
-      const result = await this.execute('--version');
-      return result.output.trim();
-    } catch (error) {
-      return 'unknown';
-    }
-  }
-
-  /**
-   * 辅助函数：睡眠
-   * @param {number} ms - 毫秒数
-   * @returns {Promise<void>}
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = new IFlowAdapter();
\ No newline at end of file
@@ -0,0 +1,238 @@
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+const Metrics = require('./Metrics');
+
+/**
+ * 任务调度器 - 限制同时运行的后端 CLI 进程数
+ *
+ * 每次执行前通过 acquire() 申请运行名额，结束后 release() 归还。限制包括：
+ *   SCHEDULER_MAX_CONCURRENT  全局同时运行的任务数
+ *   SCHEDULER_MAX_PER_USER    每个用户同时运行的任务数
+ *   SCHEDULER_MAX_PER_CHAT    每个聊天同时运行的任务数（群聊中不同用户、不同话题各有会话）
+ * 为 0 时不限制。
+ *
+ * 没有名额时任务按聊天排队：同一聊天内先到先得，聊天之间轮转，刚运行过任务的聊天排到最后，
+ * 避免一个繁忙的聊天占满名额。排队位置按轮转顺序计算，变化时通过 onPosition 通知。
+ */
+class JobScheduler {
+  constructor() {
+    this.running = new Map(); // 任务 ID -> 任务
+    this.waiting = new Map(); // 聊天 ID -> 排队的任务（FIFO）
+    this.chatOrder = []; // 有排队任务的聊天，按轮转顺序
+    this.counter = 0;
+  }
+
+  /**
+   * 申请运行名额，有名额时立即返回，否则排队等待
+   * @param {Object} owner - { sessionId, chatId, userId }
+   * @param {Object} [options] - 选项
+   * @param {Function} [options.onPosition] - 排队位置变化时回调 (position)
+   * @returns {Promise<Object|null>} 任务（结束后传给 release），排队期间被取消时为 null
+   */
+  acquire({ sessionId, chatId, userId }, { onPosition } = {}) {
+    return new Promise((resolve) => {
+      const job = {
+        id: ++this.counter,
+        sessionId,
+        chatId,
+        userId,
+        enqueueTime: Date.now(),
+        startTime: null,
+        position: 0,
+        onPosition,
+        resolve
+      };
+
+      if (!this.waiting.has(chatId)) {
+        this.waiting.set(chatId, []);
+        this.chatOrder.push(chatId);
+      }
+      this.waiting.get(chatId).push(job);
+      this.dispatch();
+
+      if (!job.startTime) {
+        Metrics.increment('scheduler.queued');
+        logger.info('任务排队等待运行名额', { sessionId, chatId, position: job.position, running: this.running.size });
+      }
+    });
+  }
+
+  /**
+   * 归还运行名额（可重复调用），并启动下一个排队的任务
+   * @param {Object|null} job - acquire 返回的任务
+   */
+  release(job) {
+    if (!job || !this.running.delete(job.id)) {
+      return;
+    }
+    this.dispatch();
+  }
+
+  /**
+   * 取消会话排队中的任务，acquire 返回 null
+   * @param {string} sessionId - 会话 ID
+   * @returns {boolean} 是否有排队的任务被取消
+   */
+  cancel(sessionId) {
+    for (const [chatId, queue] of this.waiting) {
+      const index = queue.findIndex(job => job.sessionId === sessionId);
+      if (index < 0) {
+        continue;
+      }
+
+      const [job] = queue.splice(index, 1);
+      if (queue.length === 0) {
+        this.removeChat(chatId);
+      }
+      job.resolve(null);
+      this.notifyPositions();
+
+      logger.info('取消排队中的任务', { sessionId, chatId });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 获取会话的排队位置
+   * @param {string} sessionId - 会话 ID
+   * @returns {number} 排队位置（从 1 开始），没有排队时为 0
+   */
+  getPosition(sessionId) {
+    const job = this.getWaitingJobs().find(item => item.sessionId === sessionId);
+    return job ? job.position : 0;
+  }
+
+  /**
+   * 获取调度状态
+   * @returns {Object} { running, waiting, chats, limits }
+   */
+  getState() {
+    return {
+      running: this.running.size,
+      waiting: this.getWaitingJobs().length,
+      chats: this.chatOrder.length,
+      limits: { ...config.scheduler }
+    };
+  }
+
+  /**
+   * 按轮转顺序列出排队的任务：依次取每个聊天的第 1 个任务，再依次取第 2 个，以此类推
+   * @returns {Array<Object>} 任务
+   */
+  getWaitingJobs() {
+    const queues = this.chatOrder.map(chatId => this.waiting.get(chatId));
+    const total = queues.reduce((sum, queue) => sum + queue.length, 0);
+    const jobs = [];
+    for (let round = 0; jobs.length < total; round++) {
+      for (const queue of queues) {
+        if (round < queue.length) {
+          jobs.push(queue[round]);
+        }
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * 判断任务现在能否运行
+   * @param {Object} job - 任务
+   * @returns {boolean}
+   */
+  canRun(job) {
+    const { maxConcurrent, maxPerUser, maxPerChat } = config.scheduler;
+    const running = Array.from(this.running.values());
+
+    if (maxConcurrent > 0 && running.length >= maxConcurrent) {
+      return false;
+    }
+    if (maxPerChat > 0 && running.filter(item => item.chatId === job.chatId).length >= maxPerChat) {
+      return false;
+    }
+    if (maxPerUser > 0 && job.userId && running.filter(item => item.userId === job.userId).length >= maxPerUser) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 按轮转顺序启动可以运行的任务，直到没有名额
+   */
+  dispatch() {
+    let started = true;
+    while (started) {
+      started = false;
+
+      for (let i = 0; i < this.chatOrder.length; i++) {
+        const chatId = this.chatOrder[i];
+        const queue = this.waiting.get(chatId);
+        // 同一聊天内跳过已达到个人上限的用户
+        const index = queue.findIndex(job => this.canRun(job));
+        if (index < 0) {
+          continue;
+        }
+
+        const [job] = queue.splice(index, 1);
+        // 运行过任务的聊天排到最后
+        this.removeChat(chatId);
+        if (queue.length > 0) {
+          this.waiting.set(chatId, queue);
+          this.chatOrder.push(chatId);
+        }
+
+        this.start(job);
+        started = true;
+        break;
+      }
+    }
+
+    this.notifyPositions();
+  }
+
+  /**
+   * 启动任务
+   * @param {Object} job - 任务
+   */
+  start(job) {
+    job.startTime = Date.now();
+    job.position = 0;
+    this.running.set(job.id, job);
+
+    const waited = job.startTime - job.enqueueTime;
+    if (waited > 0) {
+      logger.info('排队任务开始运行', { sessionId: job.sessionId, chatId: job.chatId, waited });
+    }
+    job.resolve(job);
+  }
+
+  /**
+   * 从轮转顺序中移除聊天
+   * @param {string} chatId - 聊天 ID
+   */
+  removeChat(chatId) {
+    this.waiting.delete(chatId);
+    this.chatOrder = this.chatOrder.filter(item => item !== chatId);
+  }
+
+  /**
+   * 重新计算排队位置，通知位置有变化的任务
+   */
+  notifyPositions() {
+    this.getWaitingJobs().forEach((job, index) => {
+      if (job.position === index + 1) {
+        return;
+      }
+
+      job.position = index + 1;
+      if (typeof job.onPosition === 'function') {
+        try {
+          job.onPosition(job.position);
+        } catch (error) {
+          logger.error('通知排队位置失败', { sessionId: job.sessionId, error: error.message });
+        }
+      }
+    });
+  }
+}
+
+module.exports = new JobScheduler();
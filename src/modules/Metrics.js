@@ -0,0 +1,73 @@
+/**
+ * 运行指标 - 进程内的计数器，服务重启后清零
+ *
+ *   Metrics.increment('events.duplicate');
+ *   Metrics.get('events.duplicate'); // 1
+ */
+
+// 指标说明（/metrics 中显示）
+const DESCRIPTIONS = {
+  'events.received': '收到的消息事件',
+  'events.duplicate': '忽略的重复消息事件',
+  'permission.requested': '发出的工具权限审批',
+  'permission.allow': '允许的工具权限审批',
+  'permission.deny': '拒绝的工具权限审批',
+  'permission.timeout': '超时的工具权限审批',
+  'permission.cancelled': '随任务结束的工具权限审批',
+  'permission.auto_allowed': '按始终允许规则放行的工具调用',
+  'scheduler.queued': '因并发上限排队的任务'
+};
+
+class Metrics {
+  constructor() {
+    this.counters = new Map(); // 指标名 -> 计数
+    this.startTime = Date.now();
+  }
+
+  /**
+   * 计数器加一（或指定值）
+   * @param {string} name - 指标名
+   * @param {number} [value] - 增量
+   */
+  increment(name, value = 1) {
+    this.counters.set(name, (this.counters.get(name) || 0) + value);
+  }
+
+  /**
+   * 获取计数
+   * @param {string} name - 指标名
+   * @returns {number} 计数
+   */
+  get(name) {
+    return this.counters.get(name) || 0;
+  }
+
+  /**
+   * 获取所有指标
+   * @returns {Object} 指标名 -> 计数
+   */
+  snapshot() {
+    return Object.fromEntries(this.counters);
+  }
+
+  /**
+   * 格式化为可读文本
+   * @returns {string} 每行一个指标
+   */
+  format() {
+    const names = Array.from(new Set([...Object.keys(DESCRIPTIONS), ...this.counters.keys()])).sort();
+    return names
+      .map(name => `${DESCRIPTIONS[name] || name}: ${this.get(name)}`)
+      .join('\n');
+  }
+
+  /**
+   * 清空所有计数
+   */
+  reset() {
+    this.counters.clear();
+    this.startTime = Date.now();
+  }
+}
+
+module.exports = new Metrics();
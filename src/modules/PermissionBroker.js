@@ -0,0 +1,487 @@
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const FeishuSender = require('./FeishuSender');
+const SessionManager = require('./SessionManager');
+const CardActionRegistry = require('./CardActionRegistry');
+const Metrics = require('./Metrics');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// 审批 MCP 服务（由 Claude CLI 启动）
+const SERVER_SCRIPT = path.join(__dirname, '../mcp/permissionServer.js');
+const SERVER_NAME = 'feishu';
+const PROMPT_TOOL = `mcp__${SERVER_NAME}__approve`;
+
+// 请求体大小上限
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// 卡片中显示的工具参数最大长度
+const MAX_INPUT_LENGTH = 1500;
+
+// 命令串联、管道、后台运行、命令替换、变量展开、重定向和换行
+const SHELL_OPERATOR_PATTERN = /[;&|`<>$\n\r]/;
+
+// 会执行任意其他命令的解释器和包装命令，按命令名允许等于允许一切
+const WRAPPER_COMMANDS = new Set([
+  'sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'csh', 'tcsh',
+  'env', 'xargs', 'find', 'sudo', 'su', 'doas', 'nohup', 'timeout', 'nice', 'ionice', 'time',
+  'exec', 'eval', 'command', 'builtin', 'source', '.', 'watch', 'parallel', 'strace',
+  'python', 'node', 'nodejs', 'deno', 'bun', 'perl', 'ruby', 'php', 'lua', 'awk', 'gawk',
+  'npx', 'pnpx', 'bunx'
+]);
+
+// git 的全局选项可以改写 pager、hook 等配置来执行任意命令
+const GIT_CONFIG_OPTION_PATTERN = /^(-c|--config-env|--exec-path)/;
+
+// 修改文件的工具，规则限定在执行目录内
+const FILE_EDIT_TOOLS = new Set(['Edit', 'Write', 'MultiEdit', 'NotebookEdit']);
+
+// 各结果的卡片标题与颜色，以及返回给 Claude 的拒绝原因
+const OUTCOMES = {
+  allow: { template: 'green', title: '✅ 已允许' },
+  always: { template: 'green', title: '✅ 已允许（始终允许）' },
+  deny: { template: 'red', title: '🚫 已拒绝', message: '用户在飞书中拒绝了该操作' },
+  timeout: { template: 'grey', title: '⏰ 审批超时，已拒绝', message: '等待用户审批超时，操作已被拒绝' },
+  cancelled: { template: 'grey', title: '🛑 任务已结束', message: '任务已取消或结束' }
+};
+
+/**
+ * 工具权限审批 - 作为 Claude CLI 的 permission prompt 处理器
+ *
+ * Claude 需要使用未授权的工具时，经由审批 MCP 服务（src/mcp/permissionServer.js）
+ * 向本地 HTTP 服务发起请求，这里向发起人发送允许/拒绝卡片并等待点击：
+ *
+ *   Claude CLI --permission-prompt-tool--> permissionServer --HTTP--> PermissionBroker --卡片--> 用户
+ *
+ * 每次执行通过 createPrompt() 生成独立的令牌，令牌对应发起执行的聊天和用户。
+ * 用户选择"始终允许"后，规则保存在会话中，之后同类请求直接允许。
+ */
+class PermissionBroker {
+  constructor() {
+    this.server = null;
+    this.url = null;
+    this.contexts = new Map(); // 令牌 -> { sessionId, chatId, openId, target, backendName, workDir }
+    this.pending = new Map(); // 请求 ID -> 等待审批的请求
+    this.counter = 0;
+  }
+
+  /**
+   * 启动本地 HTTP 服务（仅监听 127.0.0.1）
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.server) {
+      return;
+    }
+
+    const server = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch((error) => {
+        logger.error('处理工具权限请求失败', { error: error.message, stack: error.stack });
+        this.sendJson(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(config.permission.port, '127.0.0.1', resolve);
+    });
+
+    this.server = server;
+    this.url = `http://127.0.0.1:${server.address().port}/permission`;
+    logger.info('工具权限审批服务已启动', { url: this.url });
+  }
+
+  /**
+   * 停止服务，拒绝所有等待中的请求
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    for (const id of Array.from(this.pending.keys())) {
+      this.decide(id, 'cancelled');
+    }
+    this.contexts.clear();
+
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    await new Promise(resolve => server.close(resolve));
+    logger.info('工具权限审批服务已停止');
+  }
+
+  /**
+   * 是否已启动
+   * @returns {boolean}
+   */
+  isRunning() {
+    return !!this.server;
+  }
+
+  /**
+   * 为一次执行生成 Claude CLI 的审批参数
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} context - { chatId, openId, target, backendName, workDir } 审批卡片发送到 target，仅 openId 可以审批，
+   *   文件修改的"始终允许"限定在 workDir 内
+   * @returns {Object|null} { token, mcpConfig, toolName }，服务未启动时为 null
+   */
+  createPrompt(sessionId, context) {
+    if (!this.server) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.contexts.set(token, { sessionId, ...context });
+
+    return {
+      token,
+      toolName: PROMPT_TOOL,
+      mcpConfig: JSON.stringify({
+        mcpServers: {
+          [SERVER_NAME]: {
+            command: process.execPath,
+            args: [SERVER_SCRIPT],
+            env: {
+              FEISHU_BRIDGE_PERMISSION_URL: this.url,
+              FEISHU_BRIDGE_PERMISSION_TOKEN: token
+            }
+          }
+        }
+      })
+    };
+  }
+
+  /**
+   * 执行结束后释放令牌，仍在等待的请求按已结束处理
+   * @param {Object|null} prompt - createPrompt() 的返回值
+   */
+  release(prompt) {
+    if (!prompt) {
+      return;
+    }
+
+    this.contexts.delete(prompt.token);
+    for (const [id, request] of this.pending) {
+      if (request.token === prompt.token) {
+        this.decide(id, 'cancelled');
+      }
+    }
+  }
+
+  /**
+   * 取消会话中所有等待审批的请求（任务被取消时调用）
+   * @param {string} sessionId - 会话 ID
+   */
+  cancelSession(sessionId) {
+    for (const [id, request] of this.pending) {
+      if (request.context.sessionId === sessionId) {
+        this.decide(id, 'cancelled');
+      }
+    }
+  }
+
+  /**
+   * 生成"始终允许"规则：Bash 按命令名区分（如 Bash(git)），文件修改工具限定在执行目录
+   * （如 Edit(/path/to/project)），其他工具按工具名
+   * 以下情况不生成规则，只能单次允许：
+   * - 含有 shell 运算符或变量展开的命令，避免允许过 git status 之后 git status && rm -rf ~ 也被放行
+   * - 解释器和包装命令（bash -c、env、xargs、python -c 等）以及带环境变量前缀、git -c 的命令
+   * - 没有执行目录或目标文件不在执行目录内的文件修改
+   * @param {string} toolName - 工具名
+   * @param {Object} input - 工具参数
+   * @param {string|null} [workDir] - 执行目录
+   * @returns {string|null} 规则，不能始终允许时为 null
+   */
+  getRuleKey(toolName, input = {}, workDir = null) {
+    if (toolName === 'Bash' && typeof input.command === 'string') {
+      return this.getBashRuleKey(input.command);
+    }
+
+    if (FILE_EDIT_TOOLS.has(toolName)) {
+      const file = input.file_path || input.notebook_path;
+      if (!workDir || typeof file !== 'string') {
+        return null;
+      }
+      const root = path.resolve(workDir);
+      const relative = path.relative(root, path.resolve(root, file));
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+      }
+      return `${toolName}(${root})`;
+    }
+
+    return toolName;
+  }
+
+  /**
+   * 生成 Bash 命令的规则
+   * @param {string} command - 命令
+   * @returns {string|null} 规则，不能始终允许时为 null
+   */
+  getBashRuleKey(command) {
+    if (SHELL_OPERATOR_PATTERN.test(command)) {
+      return null;
+    }
+
+    const [name, ...args] = command.trim().split(/\s+/);
+    if (!name || name.includes('=')) {
+      return null;
+    }
+
+    // /usr/bin/python3.11 这类写法按 python 判断
+    const base = path.basename(name).replace(/[\d.]+$/, '');
+    if (WRAPPER_COMMANDS.has(base) || WRAPPER_COMMANDS.has(path.basename(name))) {
+      return null;
+    }
+    if (base === 'git' && args.some((arg) => GIT_CONFIG_OPTION_PATTERN.test(arg))) {
+      return null;
+    }
+
+    return `Bash(${name})`;
+  }
+
+  /**
+   * 处理审批 MCP 服务的 HTTP 请求
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  async handleHttpRequest(req, res) {
+    if (req.method !== 'POST' || req.url !== '/permission') {
+      this.sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const context = this.contexts.get(token);
+    if (!context) {
+      logger.warn('拒绝无效令牌的工具权限请求');
+      this.sendJson(res, 401, { error: '无效的令牌' });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      this.sendJson(res, 400, { error: `无效的请求: ${error.message}` });
+      return;
+    }
+
+    if (!body.tool_name) {
+      this.sendJson(res, 400, { error: '缺少 tool_name' });
+      return;
+    }
+
+    const { id, decision } = await this.requestPermission(token, context, body);
+
+    // CLI 已退出（如被取消）时连接已断开，请求随之结束
+    if (id) {
+      res.once('close', () => {
+        if (this.pending.has(id)) {
+          this.decide(id, 'cancelled');
+        }
+      });
+    }
+
+    this.sendJson(res, 200, await decision);
+  }
+
+  /**
+   * 读取请求体
+   * @param {http.IncomingMessage} req - 请求
+   * @returns {Promise<string>} 请求体
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          reject(new Error('请求体过大'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * 发送 JSON 响应
+   * @param {http.ServerResponse} res - 响应
+   * @param {number} status - 状态码
+   * @param {Object} body - 响应内容
+   */
+  sendJson(res, status, body) {
+    if (res.headersSent || res.writableEnded) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * 请求审批：命中"始终允许"规则时直接允许，否则发送审批卡片并等待
+   * @param {string} token - 令牌
+   * @param {Object} context - 执行上下文
+   * @param {Object} request - { tool_name, input, tool_use_id }
+   * @returns {Promise<{id: string|null, decision: Promise<Object>}>} 请求 ID 与最终决定
+   */
+  async requestPermission(token, context, request) {
+    const toolName = request.tool_name;
+    const input = request.input || {};
+    const rule = this.getRuleKey(toolName, input, context.workDir);
+    const session = await SessionManager.getSession(context.sessionId);
+
+    if (rule && session?.permissionRules?.includes(rule)) {
+      logger.info('按始终允许规则放行工具调用', { sessionId: context.sessionId, rule });
+      Metrics.increment('permission.auto_allowed');
+      return { id: null, decision: Promise.resolve({ behavior: 'allow', updatedInput: input }) };
+    }
+
+    const id = `perm_${Date.now()}_${++this.counter}`;
+    const decision = new Promise((resolve) => {
+      this.pending.set(id, { id, token, context, toolName, input, rule, resolve, messageId: null, timer: null });
+    });
+    const pending = this.pending.get(id);
+
+    Metrics.increment('permission.requested');
+    logger.info('请求工具权限审批', { id, sessionId: context.sessionId, toolName, rule });
+
+    pending.timer = setTimeout(() => this.decide(id, 'timeout'), config.permission.timeout * 1000);
+
+    try {
+      const response = await FeishuSender.sendCard(context.target, this.buildCard(pending));
+      pending.messageId = response?.message_id || null;
+
+      // 发送卡片期间请求已结束（如任务被取消）
+      if (pending.messageId && !this.pending.has(id)) {
+        FeishuSender.updateCard(pending.messageId, this.buildCard(pending, 'cancelled')).catch(() => {});
+      }
+    } catch (error) {
+      // 卡片发不出去就无法审批，直接拒绝
+      logger.error('发送审批卡片失败', { id, error: error.message });
+      this.decide(id, 'deny');
+    }
+
+    return { id, decision };
+  }
+
+  /**
+   * 处理审批决定
+   * @param {string} id - 请求 ID
+   * @param {string} outcome - allow / always / deny / timeout / cancelled
+   * @param {string} [operatorId] - 审批人 open_id
+   * @returns {boolean} 请求是否仍在等待（已处理或已过期时为 false）
+   */
+  decide(id, outcome, operatorId) {
+    const pending = this.pending.get(id);
+    if (!pending || !OUTCOMES[outcome]) {
+      return false;
+    }
+
+    this.pending.delete(id);
+    clearTimeout(pending.timer);
+    Metrics.increment(`permission.${outcome === 'always' ? 'allow' : outcome}`);
+    logger.info('工具权限审批结果', { id, sessionId: pending.context.sessionId, toolName: pending.toolName, outcome, operatorId });
+
+    if (outcome === 'allow' || outcome === 'always') {
+      pending.resolve({ behavior: 'allow', updatedInput: pending.input });
+    } else {
+      pending.resolve({ behavior: 'deny', message: OUTCOMES[outcome].message });
+    }
+
+    if (outcome === 'always' && pending.rule) {
+      SessionManager.addPermissionRule(pending.context.sessionId, pending.rule).catch((error) => {
+        logger.error('保存工具权限规则失败', { sessionId: pending.context.sessionId, error: error.message });
+      });
+    }
+
+    // 更新卡片为最终状态，不阻塞审批结果的返回
+    if (pending.messageId) {
+      FeishuSender.updateCard(pending.messageId, this.buildCard(pending, outcome)).catch(() => {});
+    }
+
+    return true;
+  }
+
+  /**
+   * 格式化工具参数：Bash 显示命令，文件类工具显示路径，其他显示 JSON
+   * @param {string} toolName - 工具名
+   * @param {Object} input - 工具参数
+   * @returns {string} Markdown
+   */
+  formatToolInput(toolName, input) {
+    const truncate = (text) => (text.length > MAX_INPUT_LENGTH ? `${text.substring(0, MAX_INPUT_LENGTH)}\n...` : text);
+
+    if (toolName === 'Bash' && input.command) {
+      const description = input.description ? `${input.description}\n` : '';
+      return `${description}\`\`\`bash\n${truncate(input.command)}\n\`\`\``;
+    }
+
+    const file = input.file_path || input.notebook_path;
+    if (file) {
+      return `文件: \`${file}\``;
+    }
+
+    return `\`\`\`json\n${truncate(JSON.stringify(input, null, 2))}\n\`\`\``;
+  }
+
+  /**
+   * 构建审批卡片
+   * @param {Object} pending - 等待审批的请求
+   * @param {string} [outcome] - 审批结果，未审批时省略
+   * @returns {Object} 卡片
+   */
+  buildCard(pending, outcome) {
+    const { context, toolName, input, rule } = pending;
+    const header = outcome
+      ? OUTCOMES[outcome]
+      : { template: 'orange', title: `🔐 ${context.backendName || 'Claude'} 请求使用 ${toolName}` };
+    const elements = [
+      { tag: 'markdown', content: this.formatToolInput(toolName, input) }
+    ];
+
+    if (!outcome) {
+      const value = { requestId: pending.id, sessionId: context.sessionId, chatId: context.chatId, openId: context.openId };
+      const scope = rule
+        ? `"始终允许"对本对话中的 ${rule} 生效`
+        : '该操作只能单次允许';
+      elements.push({
+        tag: 'note',
+        elements: [{
+          tag: 'plain_text',
+          content: `${config.permission.timeout} 秒内未处理将自动拒绝；${scope}`
+        }]
+      });
+
+      const actions = [CardActionRegistry.button('permission', '允许', { ...value, decision: 'allow' }, 'primary')];
+      if (rule) {
+        actions.push(CardActionRegistry.button('permission', '始终允许', { ...value, decision: 'always' }));
+      }
+      actions.push(CardActionRegistry.button('permission', '拒绝', { ...value, decision: 'deny' }, 'danger'));
+      elements.push({ tag: 'action', actions });
+    }
+
+    return {
+      config: {
+        wide_screen_mode: true,
+        update_multi: true
+      },
+      header: {
+        template: header.template,
+        title: {
+          content: header.title,
+          tag: 'plain_text'
+        }
+      },
+      elements
+    };
+  }
+}
+
+module.exports = new PermissionBroker();
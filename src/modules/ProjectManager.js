@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SessionManager = require('./SessionManager');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+/**
+ * 项目目录 - 决定后端 CLI 在哪个目录中运行
+ *
+ * 每个对话可以通过 /cd 绑定一个项目目录（保存在会话的 projectDir 中），
+ * 目录必须位于 PROJECT_ROOTS 允许的根目录之内。没有绑定时依次使用
+ * PROJECT_CHATS 中为该聊天配置的目录、PROJECT_DEFAULT_DIR，都没有配置时使用服务自身的工作目录。
+ */
+class ProjectManager {
+  /**
+   * 获取允许的根目录（解析符号链接后的绝对路径，不存在的根目录会被忽略）
+   * @returns {Promise<Array<string>>} 根目录
+   */
+  async getRoots() {
+    const roots = [];
+    for (const root of config.project.roots) {
+      try {
+        roots.push(await fs.realpath(path.resolve(root)));
+      } catch (error) {
+        logger.warn('项目根目录不存在', { root, error: error.message });
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * 判断目录是否位于某个根目录之内（含根目录本身）
+   * @param {string} dir - 绝对路径
+   * @param {Array<string>} roots - 根目录
+   * @returns {boolean}
+   */
+  isWithinRoots(dir, roots) {
+    return roots.some((root) => {
+      const relative = path.relative(root, dir);
+      return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    });
+  }
+
+  /**
+   * 解析 /cd 的目标目录
+   * 相对路径相对于当前目录（没有当前目录时相对于第一个根目录）；
+   * 解析符号链接后必须是已存在的目录且位于允许的根目录之内
+   * @param {string} input - 用户输入的路径
+   * @param {string|null} currentDir - 当前目录
+   * @returns {Promise<string>} 绝对路径
+   */
+  async resolve(input, currentDir) {
+    const roots = await this.getRoots();
+    if (roots.length === 0) {
+      throw new Error('未配置允许的项目根目录（PROJECT_ROOTS），无法切换目录');
+    }
+
+    const base = currentDir && this.isWithinRoots(currentDir, roots) ? currentDir : roots[0];
+    const target = path.resolve(base, input);
+
+    let dir;
+    try {
+      dir = await fs.realpath(target);
+    } catch (error) {
+      throw new Error(`目录不存在: ${target}`);
+    }
+
+    if (!(await fs.stat(dir)).isDirectory()) {
+      throw new Error(`不是目录: ${dir}`);
+    }
+
+    if (!this.isWithinRoots(dir, roots)) {
+      throw new Error(`${dir} 不在允许的根目录内`);
+    }
+
+    return dir;
+  }
+
+  /**
+   * 获取对话的工作目录
+   * @param {string} chatId - 聊天 ID
+   * @param {Object|null} session - 会话
+   * @returns {string|null} 目录，为 null 时使用服务自身的工作目录
+   */
+  getWorkDir(chatId, session) {
+    const dir = session?.projectDir || config.project.chats[chatId] || config.project.defaultDir;
+    return dir ? path.resolve(dir) : null;
+  }
+
+  /**
+   * 获取对话的工作目录并确认其仍然存在
+   * @param {string} chatId - 聊天 ID
+   * @param {Object|null} session - 会话
+   * @returns {Promise<string|null>} 目录
+   */
+  async ensureWorkDir(chatId, session) {
+    const dir = this.getWorkDir(chatId, session);
+    if (!dir) {
+      return null;
+    }
+
+    try {
+      if ((await fs.stat(dir)).isDirectory()) {
+        return dir;
+      }
+    } catch (error) {
+      // 按不存在处理
+    }
+    throw new Error(`项目目录不存在: ${dir}，请使用 /cd 重新选择`);
+  }
+
+  /**
+   * 绑定对话的项目目录
+   * Claude CLI 的对话按目录保存，切换目录后无法延续之前的对话，因此同时开启新对话
+   * @param {string} sessionId - 会话 ID
+   * @param {string|null} dir - 目录（已通过 resolve 校验），为 null 时解除绑定
+   * @returns {Promise<Object>} 更新后的会话
+   */
+  async bind(sessionId, dir) {
+    logger.info('绑定项目目录', { sessionId, dir });
+    return await SessionManager.updateSession(sessionId, {
+      projectDir: dir,
+      claudeSessionId: null,
+      loopDepth: 0,
+      nextPhase: null
+    });
+  }
+}
+
+module.exports = new ProjectManager();
@@ -1,45 +1,28 @@
 const logger = require('../utils/logger');
 
 /**
- * 结果分析器 - 分析 iFlow CLI 输出并提取 NEXT_PHASE
+ * 结果分析器 - 基于 ClaudeAdapter 返回的结构化结果判断执行状态，并提取 NEXT_PHASE
+ *
+ * 完成/错误状态直接取自 CLI 的 is_error 与 subtype 字段，不再从输出文本中猜测；
+ * 只有显式的 NEXT_PHASE 标记仍需从最终回复中解析
  */
 class ResultAnalyzer {
   constructor() {
-    // NEXT_PHASE 模式配置
+    // NEXT_PHASE 显式标记
     this.nextPhasePatterns = [
-      // 中文模式
       /(?:下一阶段|next\s*phase|next\s*step)[:：]\s*([^\n]+)/i,
       /(?:阶段目标|phase\s*goal|step\s*goal)[:：]\s*([^\n]+)/i,
-      /(?:继续|continue)[:：]\s*([^\n]+)/i,
-      // 英文模式
       /NEXT_PHASE:\s*([^\n]+)/i,
       /NEXT_GOAL:\s*([^\n]+)/i
     ];
 
-    // 完成模式
-    this.completionPatterns = [
-      /(?:完成|completed|done|finished|success)/i,
-      /(?:任务结束|task\s+completed|task\s+done)/i,
-      /(?:没有下一阶段|no\s+next\s+phase|no\s+next\s+step)/i
-    ];
-
-    // 错误模式
-    this.errorPatterns = [
-      /(?:错误|error|failed|failure)/i,
-      /(?:异常|exception|crash)/i
-    ];
-
-    // 等待用户输入模式
-    this.inputPatterns = [
-      /(?:请输入|please\s+input|enter\s+your)/i,
-      /(?:等待|waiting|awaiting)/i,
-      /\?$/  // 以问号结尾
-    ];
+    // 以问号结尾的回复视为在等待用户输入
+    this.inputPattern = /[?？]\s*$/;
   }
 
   /**
    * 分析执行结果
-   * @param {Object} result - 执行结果
+   * @param {Object} result - ClaudeAdapter 返回的执行结果（ClaudeResult）
    * @returns {Object} 分析结果
    */
   analyze(result) {
@@ -49,33 +32,39 @@ class ResultAnalyzer {
       isComplete: false,
       hasError: false,
       needsInput: false,
+      numTurns: null,
+      costUsd: null,
+      toolCallCount: 0,
       summary: '',
       confidence: 0
     };
 
-    if (!result || !result.output) {
+    if (!result) {
       return analysis;
     }
 
-    const output = result.output;
-
-    // 检查是否完成
-    analysis.isComplete = this.checkCompletion(output);
+    const output = result.output || '';
 
-    // 检查是否有错误
-    analysis.hasError = this.checkError(output);
+    analysis.hasError = !!result.isError || result.success === false;
+    analysis.isComplete = !analysis.hasError && result.subtype === 'success';
+    analysis.numTurns = result.numTurns ?? null;
+    analysis.costUsd = result.costUsd ?? null;
+    analysis.toolCallCount = (result.toolCalls || []).length;
 
     // 检查是否需要用户输入
     analysis.needsInput = this.checkInput(output);
 
-    // 提取下一阶段
-    if (!analysis.isComplete) {
-      const nextPhase = this.extractNextPhase(output);
-      if (nextPhase) {
-        analysis.nextPhase = nextPhase.trim();
-        analysis.canContinue = true;
-        analysis.confidence = this.calculateConfidence(output, nextPhase);
-      }
+    // 达到最大轮数时可以继续执行
+    if (result.subtype === 'error_max_turns') {
+      analysis.canContinue = true;
+    }
+
+    // 提取显式的下一阶段标记
+    const nextPhase = this.extractNextPhase(output);
+    if (nextPhase) {
+      analysis.nextPhase = nextPhase.trim();
+      analysis.canContinue = true;
+      analysis.confidence = this.calculateConfidence(output, nextPhase);
     }
 
     // 生成摘要
@@ -86,42 +75,25 @@ class ResultAnalyzer {
       nextPhase: analysis.nextPhase,
       isComplete: analysis.isComplete,
       hasError: analysis.hasError,
+      subtype: result.subtype,
       confidence: analysis.confidence
     });
 
     return analysis;
   }
 
-  /**
-   * 检查是否完成
-   * @param {string} output - 输出内容
-   * @returns {boolean} 是否完成
-   */
-  checkCompletion(output) {
-    return this.completionPatterns.some(pattern => pattern.test(output));
-  }
-
-  /**
-   * 检查是否有错误
-   * @param {string} output - 输出内容
-   * @returns {boolean} 是否有错误
-   */
-  checkError(output) {
-    return this.errorPatterns.some(pattern => pattern.test(output));
-  }
-
   /**
    * 检查是否需要用户输入
-   * @param {string} output - 输出内容
+   * @param {string} output - 最终回复文本
    * @returns {boolean} 是否需要输入
    */
   checkInput(output) {
-    return this.inputPatterns.some(pattern => pattern.test(output));
+    return this.inputPattern.test(output);
   }
 
   /**
-   * 提取下一阶段
-   * @param {string} output - 输出内容
+   * 提取下一阶段（仅识别显式标记）
+   * @param {string} output - 最终回复文本
    * @returns {string|null} 下一阶段内容
    */
   extractNextPhase(output) {
@@ -132,17 +104,6 @@ class ResultAnalyzer {
       }
     }
 
-    // 如果没有找到显式标记，尝试从最后一段提取
-    const lines = output.split('\n').filter(line => line.trim());
-    if (lines.length > 0) {
-      const lastLine = lines[lines.length - 1].trim();
-      // 如果最后一行不是状态描述，可能是下一阶段的提示
-      if (!this.completionPatterns.some(p => p.test(lastLine)) &&
-          !this.errorPatterns.some(p => p.test(lastLine))) {
-        return lastLine;
-      }
-    }
-
     return null;
   }
 
@@ -155,7 +116,7 @@ class ResultAnalyzer {
   calculateConfidence(output, nextPhase) {
     let confidence = 0;
 
-    // 如果有显式标记，置信度较高
+    // 显式标记，置信度较高
     if (this.nextPhasePatterns.some(p => p.test(output))) {
       confidence += 0.6;
     }
@@ -196,6 +157,11 @@ class ResultAnalyzer {
       summary += `命令: ${result.command}\n`;
     }
 
+    // 执行统计
+    if (analysis.numTurns !== null) {
+      summary += `轮数: ${analysis.numTurns}，工具调用: ${analysis.toolCallCount} 次\n`;
+    }
+
     // 下一阶段
     if (analysis.nextPhase) {
       summary += `下一阶段: ${analysis.nextPhase}\n`;
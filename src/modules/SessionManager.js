@@ -1,15 +1,52 @@
 const fs = require('fs').promises;
 const path = require('path');
+const config = require('../../config/default');
 const logger = require('../utils/logger');
+const { resolveDataDir } = require('../utils/dataDir');
 
-const SESSION_DIR = path.join(__dirname, '../../data/sessions');
+// 会话文件末尾保存完整会话数据的 JSON 代码块，读取时以它为准，不受前面 Markdown 中用户内容的影响
+const DATA_HEADING = '## 会话数据';
+const DATA_BLOCK_PATTERN = /```json\n([\s\S]*?)\n```/;
 
-// 确保会话目录存在
-async function ensureSessionDir() {
+/**
+ * 将值转换为单行文本（仅用于 Markdown 展示）
+ * @param {*} value - 值
+ * @returns {string} 单行文本
+ */
+function inline(value) {
+  return String(value).replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * 用代码块包裹内容，围栏比内容中最长的连续反引号更长，内容中的 ``` 不会提前结束代码块
+ * @param {string} content - 内容
+ * @returns {string} Markdown 代码块
+ */
+function fence(content) {
+  const text = String(content ?? '');
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(Math.max(3, longest + 1));
+  return `${marker}\n${text}\n${marker}`;
+}
+
+/**
+ * 拆分会话文件：前面供人阅读的 Markdown 与末尾的 JSON 数据
+ * @param {string} markdown - 会话文件内容
+ * @returns {{view: string, data: Object|null}} data 没有或无法解析时为 null
+ */
+function splitDataBlock(markdown) {
+  const index = markdown.lastIndexOf(`\n${DATA_HEADING}\n`);
+  if (index === -1) {
+    return { view: markdown, data: null };
+  }
+
+  const view = markdown.substring(0, index + 1);
+  const match = markdown.substring(index).match(DATA_BLOCK_PATTERN);
   try {
-    await fs.mkdir(SESSION_DIR, { recursive: true });
+    return { view, data: match ? JSON.parse(match[1]) : null };
   } catch (error) {
-    logger.error('创建会话目录失败', { error: error.message });
+    logger.warn('会话数据解析失败', { error: error.message });
+    return { view, data: null };
   }
 }
 
@@ -19,7 +56,81 @@ async function ensureSessionDir() {
 class SessionManager {
   constructor() {
     this.sessions = new Map();
-    ensureSessionDir();
+    this.cleanupHandlers = []; // 会话删除时调用，用于清理会话相关的文件
+    this.busyCheckers = []; // 判断会话是否正在使用（执行中或有排队消息），过期清理时跳过
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * 获取会话文件目录（SESSION_DIR，默认为 <DATA_DIR>/sessions）
+   * @returns {string} 目录路径
+   */
+  getSessionDir() {
+    return resolveDataDir(config.session.dir, 'sessions');
+  }
+
+  /**
+   * 获取会话文件路径
+   * @param {string} sessionId - 会话 ID
+   * @returns {string} 文件路径
+   */
+  getSessionFile(sessionId) {
+    return path.join(this.getSessionDir(), `${sessionId}.md`);
+  }
+
+  /**
+   * 添加会话清理处理器，会话被删除（包括过期清理）时调用
+   * @param {Function} handler - async (sessionId) => void
+   */
+  addCleanupHandler(handler) {
+    if (typeof handler === 'function') {
+      this.cleanupHandlers.push(handler);
+    }
+  }
+
+  /**
+   * 添加会话占用检查，返回 true 的会话不会被过期清理
+   * @param {Function} checker - (sessionId) => boolean
+   */
+  addBusyChecker(checker) {
+    if (typeof checker === 'function') {
+      this.busyCheckers.push(checker);
+    }
+  }
+
+  /**
+   * 会话是否正在使用
+   * @param {string} sessionId - 会话 ID
+   * @returns {boolean}
+   */
+  isBusy(sessionId) {
+    return this.busyCheckers.some((checker) => checker(sessionId));
+  }
+
+  /**
+   * 启动定期清理过期会话
+   */
+  startCleanup() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupExpiredSessions().catch((error) => {
+        logger.error('定期清理会话失败', { error: error.message });
+      });
+    }, config.session.cleanupInterval * 1000);
+    this.cleanupTimer.unref();
+
+    logger.info('启动会话定期清理', { interval: config.session.cleanupInterval, maxAge: config.session.maxAge });
+  }
+
+  /**
+   * 停止定期清理
+   */
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
   }
 
   /**
@@ -40,6 +151,9 @@ class SessionManager {
       history: [],
       loopDepth: 0,
       nextPhase: null,
+      claudeSessionId: null, // 对应的 Claude CLI 会话 ID，用于 --resume 延续上下文
+      projectDir: null, // 绑定的项目目录（见 ProjectManager），为 null 时使用默认目录
+      permissionRules: [], // 始终允许的工具权限规则（见 PermissionBroker.getRuleKey）
       lastActivity: new Date().toISOString()
     };
 
@@ -62,7 +176,7 @@ class SessionManager {
 
     // 尝试从文件加载
     try {
-      const filePath = path.join(SESSION_DIR, `${sessionId}.md`);
+      const filePath = this.getSessionFile(sessionId);
       const content = await fs.readFile(filePath, 'utf-8');
       
       // 从 Markdown 中解析会话数据
@@ -76,6 +190,75 @@ class SessionManager {
     }
   }
 
+  /**
+   * 获取会话，不存在时创建
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} event - 飞书事件对象
+   * @returns {Object} 会话对象
+   */
+  async getOrCreateSession(sessionId, event) {
+    const session = await this.getSession(sessionId);
+    if (session) {
+      return session;
+    }
+    return await this.createSession(sessionId, event);
+  }
+
+  /**
+   * 重置对话：解除与 Claude CLI 会话的绑定，下一条消息将开启全新对话
+   * @param {string} sessionId - 会话 ID
+   * @returns {Object|null} 更新后的会话
+   */
+  async resetConversation(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    logger.info('重置对话', { sessionId, claudeSessionId: session.claudeSessionId });
+    return await this.updateSession(sessionId, {
+      claudeSessionId: null,
+      loopDepth: 0,
+      nextPhase: null
+    });
+  }
+
+  /**
+   * 添加始终允许的工具权限规则
+   * @param {string} sessionId - 会话 ID
+   * @param {string} rule - 规则（如 Edit、Bash(git)）
+   * @returns {Object} 更新后的会话
+   */
+  async addPermissionRule(sessionId, rule) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`会话不存在: ${sessionId}`);
+    }
+
+    const rules = session.permissionRules || [];
+    if (rules.includes(rule)) {
+      return session;
+    }
+
+    logger.info('添加工具权限规则', { sessionId, rule });
+    return await this.updateSession(sessionId, { permissionRules: [...rules, rule] });
+  }
+
+  /**
+   * 清除所有始终允许的工具权限规则
+   * @param {string} sessionId - 会话 ID
+   * @returns {Object|null} 更新后的会话
+   */
+  async clearPermissionRules(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    logger.info('清除工具权限规则', { sessionId, rules: session.permissionRules });
+    return await this.updateSession(sessionId, { permissionRules: [] });
+  }
+
   /**
    * 更新会话
    * @param {string} sessionId - 会话 ID
@@ -100,6 +283,20 @@ class SessionManager {
     return session;
   }
 
+  /**
+   * 刷新会话的最后活动时间（执行开始和结束时调用），会话不存在时忽略
+   * @param {string} sessionId - 会话 ID
+   */
+  async touchSession(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.lastActivity = new Date().toISOString();
+    await this.saveSession(sessionId);
+  }
+
   /**
    * 添加执行记录
    * @param {string} sessionId - 会话 ID
@@ -142,7 +339,8 @@ class SessionManager {
     }
 
     try {
-      const filePath = path.join(SESSION_DIR, `${sessionId}.md`);
+      await fs.mkdir(this.getSessionDir(), { recursive: true });
+      const filePath = this.getSessionFile(sessionId);
       const markdown = this.formatSessionToMarkdown(session);
       await fs.writeFile(filePath, markdown, 'utf-8');
     } catch (error) {
@@ -151,27 +349,42 @@ class SessionManager {
   }
 
   /**
-   * 将会话转换为 Markdown 格式
+   * 将会话转换为 Markdown 格式：前面供人阅读，末尾的 JSON 代码块保存完整数据
    * @param {Object} session - 会话对象
    * @returns {string} Markdown 内容
    */
   formatSessionToMarkdown(session) {
-    let md = `# 会话记录: ${session.id}\n\n`;
+    let md = `# 会话记录: ${inline(session.id)}\n\n`;
     md += `## 基本信息\n\n`;
-    md += `- **会话 ID**: ${session.id}\n`;
-    md += `- **用户 ID**: ${session.userId}\n`;
-    md += `- **群组 ID**: ${session.chatId}\n`;
-    md += `- **状态**: ${session.status}\n`;
+    md += `- **会话 ID**: ${inline(session.id)}\n`;
+    md += `- **用户 ID**: ${inline(session.userId)}\n`;
+    md += `- **群组 ID**: ${inline(session.chatId)}\n`;
+    md += `- **状态**: ${inline(session.status)}\n`;
     md += `- **创建时间**: ${session.createdAt}\n`;
     md += `- **更新时间**: ${session.updatedAt}\n`;
+    if (session.lastActivity) {
+      md += `- **最后活动**: ${session.lastActivity}\n`;
+    }
     md += `- **循环深度**: ${session.loopDepth}\n`;
     
     if (session.nextPhase) {
-      md += `- **下一阶段**: ${session.nextPhase}\n`;
+      md += `- **下一阶段**: ${inline(session.nextPhase)}\n`;
+    }
+
+    if (session.claudeSessionId) {
+      md += `- **Claude 会话 ID**: ${inline(session.claudeSessionId)}\n`;
+    }
+
+    if (session.projectDir) {
+      md += `- **项目目录**: ${inline(session.projectDir)}\n`;
+    }
+
+    if (session.permissionRules?.length > 0) {
+      md += `- **始终允许**: ${session.permissionRules.map(inline).join(', ')}\n`;
     }
 
     md += `\n## 原始消息\n\n`;
-    md += `\`\`\`\n${session.message}\n\`\`\`\n\n`;
+    md += `${fence(session.message)}\n\n`;
 
     md += `## 执行历史\n\n`;
     if (session.history.length === 0) {
@@ -180,30 +393,44 @@ class SessionManager {
       session.history.forEach((record, index) => {
         md += `### 执行 #${index + 1}\n\n`;
         md += `- **时间**: ${record.timestamp}\n`;
-        md += `- **命令**: ${record.command}\n`;
+        md += `- **命令**: ${inline(record.command)}\n`;
         md += `- **成功**: ${record.success ? '✅' : '❌'}\n`;
         if (record.nextPhase) {
-          md += `- **下一阶段**: ${record.nextPhase}\n`;
+          md += `- **下一阶段**: ${inline(record.nextPhase)}\n`;
         }
         md += `- **循环深度**: ${record.loopDepth}\n`;
         md += `\n**输出**:\n\n`;
-        md += `\`\`\`\n${record.output}\n\`\`\`\n\n`;
+        md += `${fence(record.output)}\n\n`;
       });
     }
 
+    // JSON 字符串中的换行会被转义，用户内容无法提前结束这个代码块
+    md += `${DATA_HEADING}\n\n\`\`\`json\n${JSON.stringify(session, null, 2)}\n\`\`\`\n`;
+
     return md;
   }
 
   /**
-   * 从 Markdown 解析会话
+   * 从 Markdown 解析会话：读取末尾的 JSON 数据，之前保存的没有 JSON 数据的文件按 Markdown 解析
    * @param {string} markdown - Markdown 内容
    * @returns {Object} 会话对象
    */
   parseSessionFromMarkdown(markdown) {
+    const { view, data } = splitDataBlock(markdown);
+    if (data?.id) {
+      return {
+        history: [],
+        permissionRules: [],
+        ...data,
+        lastActivity: data.lastActivity || data.updatedAt
+      };
+    }
+
     // 简化解析 - 实际项目中可以使用更完整的 Markdown 解析器
-    const lines = markdown.split('\n');
+    const lines = view.split('\n');
     const session = {
-      history: []
+      history: [],
+      permissionRules: []
     };
 
     let inHistory = false;
@@ -222,10 +449,18 @@ class SessionManager {
         session.createdAt = line.split(': ')[1].trim();
       } else if (line.startsWith('- **更新时间**:')) {
         session.updatedAt = line.split(': ')[1].trim();
+      } else if (line.startsWith('- **最后活动**:')) {
+        session.lastActivity = line.split(': ')[1].trim();
       } else if (line.startsWith('- **循环深度**:')) {
         session.loopDepth = parseInt(line.split(': ')[1].trim()) || 0;
       } else if (line.startsWith('- **下一阶段**:')) {
         session.nextPhase = line.split(': ')[1].trim();
+      } else if (line.startsWith('- **Claude 会话 ID**:')) {
+        session.claudeSessionId = line.split(': ')[1].trim();
+      } else if (line.startsWith('- **项目目录**:')) {
+        session.projectDir = line.substring(line.indexOf(': ') + 2).trim();
+      } else if (line.startsWith('- **始终允许**:')) {
+        session.permissionRules = line.substring(line.indexOf(': ') + 2).split(', ').map(rule => rule.trim()).filter(Boolean);
       } else if (line.startsWith('## 原始消息')) {
         inHistory = false;
       } else if (line.startsWith('## 执行历史')) {
@@ -260,8 +495,15 @@ class SessionManager {
       session.history.push(currentRecord);
     }
 
+    if (Array.isArray(data?.permissionRules)) {
+      session.permissionRules = data.permissionRules;
+    }
+
+    // 之前保存的会话没有最后活动时间，按更新时间计算是否过期
+    session.lastActivity = session.lastActivity || session.updatedAt;
+
     // 提取原始消息（简化处理）
-    const messageMatch = markdown.match(/## 原始消息\n\n```([^`]+)```/);
+    const messageMatch = view.match(/## 原始消息\n\n```([^`]+)```/);
     if (messageMatch) {
       session.message = messageMatch[1].trim();
     }
@@ -270,16 +512,16 @@ class SessionManager {
   }
 
   /**
-   * 清理过期会话
+   * 清理过期会话，正在执行或有排队消息的会话不清理
    * @param {number} maxAge - 最大保留时间（毫秒）
    */
-  async cleanupExpiredSessions(maxAge = 24 * 60 * 60 * 1000) {
+  async cleanupExpiredSessions(maxAge = config.session.maxAge * 1000) {
     const now = Date.now();
     const expiredSessions = [];
 
     for (const [sessionId, session] of this.sessions) {
       const lastActivity = new Date(session.lastActivity).getTime();
-      if (now - lastActivity > maxAge) {
+      if (now - lastActivity > maxAge && !this.isBusy(sessionId)) {
         expiredSessions.push(sessionId);
       }
     }
@@ -300,12 +542,20 @@ class SessionManager {
     this.sessions.delete(sessionId);
 
     try {
-      const filePath = path.join(SESSION_DIR, `${sessionId}.md`);
+      const filePath = this.getSessionFile(sessionId);
       await fs.unlink(filePath);
       logger.info('删除会话', { sessionId });
     } catch (error) {
       logger.error('删除会话文件失败', { sessionId, error: error.message });
     }
+
+    for (const handler of this.cleanupHandlers) {
+      try {
+        await handler(sessionId);
+      } catch (error) {
+        logger.error('会话清理处理器执行失败', { sessionId, error: error.message });
+      }
+    }
   }
 
   /**
@@ -0,0 +1,306 @@
+const FeishuSender = require('./FeishuSender');
+const ProgressManager = require('./ProgressManager');
+const CardActionRegistry = require('./CardActionRegistry');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// 卡片中显示的回复文本最大长度（超出时只显示末尾部分）
+const MAX_TEXT_LENGTH = 1500;
+
+// 卡片中显示的最近工具调用步骤数
+const MAX_STEPS = 8;
+
+// 各状态的卡片标题与颜色
+const STATUS_HEADERS = {
+  queued: { template: 'wathet', title: '⏸️ {backend} 排队中' },
+  running: { template: 'blue', title: '🤖 {backend} 正在思考' },
+  success: { template: 'green', title: '✅ 执行完成' },
+  failed: { template: 'red', title: '❌ 执行失败' },
+  cancelled: { template: 'grey', title: '🛑 已取消' }
+};
+
+// 工具调用步骤状态图标
+const STEP_ICONS = {
+  running: '⏳',
+  done: '✅',
+  failed: '❌'
+};
+
+/**
+ * 流式进度卡片 - 将后端的流式输出实时更新到同一张飞书卡片
+ *
+ * 每次执行创建一个实例：
+ *   start()        发送初始卡片（附带取消按钮）
+ *   setQueued()    等待运行名额时显示排队位置，setRunning() 恢复为执行中
+ *   handleEvent()  接收 stream-json 格式的流式事件，按节流间隔更新卡片
+ *   finish()       显示最终状态
+ */
+class StreamingCard {
+  /**
+   * @param {string|Object} target - 聊天 ID 或回复目标（见 FeishuSender.createMessage）
+   * @param {Object} options - 选项
+   * @param {string} options.sessionId - 会话 ID（取消按钮使用）
+   * @param {string} [options.openId] - 发起人 open_id（仅发起人可以取消）
+   * @param {string} [options.backendName] - 后端显示名称
+   */
+  constructor(target, { sessionId, openId, backendName = 'Claude' }) {
+    this.target = target;
+    this.sessionId = sessionId;
+    this.openId = openId;
+    this.backendName = backendName;
+    this.messageId = null;
+    this.status = 'running';
+    this.position = 0; // 排队位置
+    this.text = '';
+    this.partialLength = 0; // text 末尾来自增量文本、尚未被完整消息取代的长度
+    this.steps = []; // { id, name, summary, status }
+    this.startTime = Date.now();
+    this.updateInterval = config.streaming.updateInterval;
+    this.lastUpdateTime = 0;
+    this.updateTimer = null;
+    this.updating = Promise.resolve(); // 串行化卡片更新，保证顺序
+  }
+
+  /**
+   * 发送初始卡片
+   */
+  async start() {
+    const response = await FeishuSender.sendCard(this.target, this.buildCard());
+    this.messageId = response.message_id;
+    this.lastUpdateTime = Date.now();
+  }
+
+  /**
+   * 显示排队位置
+   * @param {number} position - 排队位置（从 1 开始）
+   * @returns {Promise<void>}
+   */
+  async setQueued(position) {
+    this.status = 'queued';
+    this.position = position;
+    if (this.messageId) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * 排队结束，恢复为执行中
+   * @returns {Promise<void>}
+   */
+  async setRunning() {
+    if (this.status !== 'queued') {
+      return;
+    }
+    this.status = 'running';
+    if (this.messageId) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * 处理 stream-json 格式的流式事件
+   * @param {Object} event - 流式事件
+   */
+  handleEvent(event) {
+    const blocks = event.message?.content || [];
+
+    if (event.type === 'stream_event') {
+      // 增量文本（Claude 的 --include-partial-messages，或不分段的纯文本输出，如 iFlow）
+      const delta = event.event?.delta;
+      if (delta?.type !== 'text_delta' || !delta.text) {
+        return;
+      }
+      const text = (this.partialLength === 0 && this.text ? '\n\n' : '') + delta.text;
+      this.text += text;
+      this.partialLength += text.length;
+    } else if (event.type === 'assistant') {
+      // 完整消息取代之前收到的增量文本，避免重复
+      this.text = this.text.substring(0, this.text.length - this.partialLength);
+      this.partialLength = 0;
+      for (const block of blocks) {
+        if (block.type === 'text' && block.text) {
+          this.text += (this.text ? '\n\n' : '') + block.text;
+        } else if (block.type === 'tool_use') {
+          this.steps.push({
+            id: block.id,
+            name: block.name,
+            summary: this.summarizeToolInput(block.input),
+            status: 'running'
+          });
+        }
+      }
+    } else if (event.type === 'user') {
+      for (const block of blocks) {
+        if (block.type !== 'tool_result') {
+          continue;
+        }
+        const step = this.steps.find(s => s.id === block.tool_use_id);
+        if (step) {
+          step.status = block.is_error ? 'failed' : 'done';
+        }
+      }
+    } else {
+      return;
+    }
+
+    this.scheduleUpdate();
+  }
+
+  /**
+   * 显示最终状态
+   * @param {string} status - success | failed | cancelled
+   */
+  async finish(status) {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    this.status = status;
+
+    for (const step of this.steps) {
+      if (step.status === 'running') {
+        step.status = status === 'success' ? 'done' : 'failed';
+      }
+    }
+
+    if (this.messageId) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * 按节流间隔安排一次卡片更新
+   */
+  scheduleUpdate() {
+    if (!this.messageId || this.updateTimer || this.status !== 'running') {
+      return;
+    }
+
+    const wait = Math.max(0, this.lastUpdateTime + this.updateInterval - Date.now());
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.flush();
+    }, wait);
+  }
+
+  /**
+   * 立即更新卡片（在之前的更新完成后执行）
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this.updating = this.updating.then(async () => {
+      this.lastUpdateTime = Date.now();
+      try {
+        await FeishuSender.updateCard(this.messageId, this.buildCard());
+      } catch (error) {
+        // 更新失败不影响执行，下一次更新会带上最新内容
+        logger.warn('更新流式卡片失败', { sessionId: this.sessionId, error: error.message });
+      }
+    });
+    return this.updating;
+  }
+
+  /**
+   * 生成工具调用的简短描述
+   * @param {Object} input - 工具输入参数
+   * @returns {string} 描述
+   */
+  summarizeToolInput(input = {}) {
+    const detail = input.command || input.file_path || input.path || input.pattern ||
+      input.url || input.query || input.description || '';
+    const line = String(detail).split('\n')[0];
+    return line.length > 60 ? `${line.substring(0, 60)}...` : line;
+  }
+
+  /**
+   * 构建卡片内容
+   * @returns {Object} 卡片
+   */
+  buildCard() {
+    const header = STATUS_HEADERS[this.status];
+    const elements = [];
+
+    if (this.status === 'queued') {
+      elements.push({
+        tag: 'div',
+        text: {
+          tag: 'lark_md',
+          content: `当前运行的任务较多，排在第 **${this.position}** 位，轮到后自动开始。`
+        }
+      });
+    } else if (this.status === 'running') {
+      const text = this.text.length > MAX_TEXT_LENGTH
+        ? `...${this.text.substring(this.text.length - MAX_TEXT_LENGTH)}`
+        : this.text;
+      elements.push({
+        tag: 'div',
+        text: {
+          tag: 'lark_md',
+          content: text || '请稍候，也可以发送 /cancel 取消本次执行。'
+        }
+      });
+    } else if (this.status === 'success') {
+      elements.push({
+        tag: 'div',
+        text: {
+          tag: 'lark_md',
+          content: '完整回复见下方消息。'
+        }
+      });
+    }
+
+    if (this.steps.length > 0) {
+      const recentSteps = this.steps.slice(-MAX_STEPS);
+      const lines = recentSteps.map(step => {
+        const summary = step.summary ? ` ${step.summary}` : '';
+        return `${STEP_ICONS[step.status]} **${step.name}**${summary}`;
+      });
+      if (this.steps.length > recentSteps.length) {
+        lines.unshift(`（另有 ${this.steps.length - recentSteps.length} 个较早的步骤）`);
+      }
+
+      elements.push({ tag: 'hr' });
+      elements.push({
+        tag: 'div',
+        text: {
+          tag: 'lark_md',
+          content: `**执行步骤**\n${lines.join('\n')}`
+        }
+      });
+    }
+
+    elements.push({
+      tag: 'note',
+      elements: [
+        {
+          tag: 'plain_text',
+          content: `用时 ${ProgressManager.formatDuration(Date.now() - this.startTime)}`
+        }
+      ]
+    });
+
+    if (this.status === 'queued' || this.status === 'running') {
+      elements.push({
+        tag: 'action',
+        actions: [
+          CardActionRegistry.button('cancel', '取消', { sessionId: this.sessionId, openId: this.openId }, 'danger')
+        ]
+      });
+    }
+
+    return {
+      config: {
+        wide_screen_mode: true,
+        update_multi: true
+      },
+      header: {
+        template: header.template,
+        title: {
+          content: header.title.replace('{backend}', this.backendName),
+          tag: 'plain_text'
+        }
+      },
+      elements
+    };
+  }
+}
+
+module.exports = StreamingCard;
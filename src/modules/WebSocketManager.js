@@ -11,6 +11,7 @@ class WebSocketManager {
     this.wsClient = null;
     this.isConnected = false;
     this.eventHandlers = [];
+    this.cardActionHandler = null;
   }
 
   /**
@@ -28,31 +29,7 @@ class WebSocketManager {
       });
 
       // 创建事件分发器
-      const eventDispatcher = new EventDispatcher({});
-      
-      // 注册事件处理器 - 根据飞书官方文档
-      // EventDispatcher 会根据事件类型自动分发，data 参数已经是解包后的事件对象
-      eventDispatcher.register({
-        'im.message.receive_v1': async (data) => {
-          logger.info('【飞书SDK】接收到消息事件', { 
-            hasMessage: !!data.message,
-            hasChatId: !!data.message?.chat_id,
-            hasSender: !!data.sender,
-            dataType: typeof data,
-            dataKeys: Object.keys(data),
-            fullDataPreview: JSON.stringify(data).substring(0, 500)
-          });
-          
-          // 调用所有注册的处理器
-          for (const handler of this.eventHandlers) {
-            try {
-              await handler(data);
-            } catch (error) {
-              logger.error('事件处理器执行失败', { error: error.message, stack: error.stack });
-            }
-          }
-        }
-      });
+      const eventDispatcher = this.createEventDispatcher();
 
       // 启动长连接
       logger.info('开始调用 wsClient.start()...');
@@ -68,6 +45,62 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * 创建事件分发器并注册消息和卡片回调处理
+   * 长连接收到的事件经由它分发；测试中可以直接调用 invoke() 注入事件
+   * @param {Object} [options] - EventDispatcher 选项（如 loggerLevel）
+   * @returns {EventDispatcher} 事件分发器
+   */
+  createEventDispatcher(options = {}) {
+    const eventDispatcher = new EventDispatcher(options);
+
+    // 注册事件处理器 - 根据飞书官方文档
+    // EventDispatcher 会根据事件类型自动分发，data 参数已经是解包后的事件对象
+    eventDispatcher.register({
+      'im.message.receive_v1': async (data) => {
+        logger.info('【飞书SDK】接收到消息事件', { 
+          hasMessage: !!data.message,
+          hasChatId: !!data.message?.chat_id,
+          hasSender: !!data.sender,
+          dataType: typeof data,
+          dataKeys: Object.keys(data),
+          fullDataPreview: JSON.stringify(data).substring(0, 500)
+        });
+        
+        // 调用所有注册的处理器
+        for (const handler of this.eventHandlers) {
+          try {
+            await handler(data);
+          } catch (error) {
+            logger.error('事件处理器执行失败', { error: error.message, stack: error.stack });
+          }
+        }
+      },
+
+      // 卡片按钮回调，返回值会作为回调响应（如 toast 提示）回传给飞书
+      'card.action.trigger': async (data) => {
+        logger.info('【飞书SDK】接收到卡片回调', {
+          action: data.action?.value?.action,
+          operatorId: data.operator?.open_id
+        });
+
+        if (!this.cardActionHandler) {
+          logger.warn('未设置卡片回调处理器');
+          return undefined;
+        }
+
+        try {
+          return await this.cardActionHandler(data);
+        } catch (error) {
+          logger.error('卡片回调处理失败', { error: error.message, stack: error.stack });
+          return { toast: { type: 'error', content: '操作失败，请稍后重试' } };
+        }
+      }
+    });
+
+    return eventDispatcher;
+  }
+
   /**
    * 添加事件处理器
    * @param {Function} handler - 事件处理器函数
@@ -79,6 +112,17 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * 设置卡片回调处理器
+   * @param {Function} handler - 处理器函数，返回值作为回调响应
+   */
+  setCardActionHandler(handler) {
+    if (typeof handler === 'function') {
+      this.cardActionHandler = handler;
+      logger.info('设置卡片回调处理器');
+    }
+  }
+
   /**
    * 移除事件处理器
    * @param {Function} handler - 事件处理器函数
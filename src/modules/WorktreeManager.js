@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SessionManager = require('./SessionManager');
+const ChangeTracker = require('./ChangeTracker');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+const { resolveDataDir } = require('../utils/dataDir');
+const { runGit, getRepoRoot } = require('../utils/git');
+
+// 提交时 git 未配置用户信息使用的身份
+const FALLBACK_IDENTITY = ['-c', 'user.name=Feishu Bridge', '-c', 'user.email=feishu-bridge@localhost'];
+
+/**
+ * 工作区隔离 - 每个对话在独立的 git worktree 中运行，避免多个对话同时修改同一仓库
+ *
+ * 开启 WORKSPACE_ISOLATION 后，对话绑定的项目目录位于 git 仓库中时，第一次执行会在
+ * <WORKSPACE_ROOT>/<会话ID> 创建 worktree 和分支 <WORKSPACE_BRANCH_PREFIX><会话ID>（基于仓库当前的 HEAD），
+ * 之后该对话的后端都在 worktree 中对应的子目录运行。
+ *
+ * worktree 所属的仓库从 worktree 本身读取，不依赖会话数据；会话被删除（包括过期清理）时
+ * 删除 worktree，分支在已合并时一并删除，有未合并的提交时保留。
+ */
+class WorktreeManager {
+  constructor() {
+    SessionManager.addCleanupHandler((sessionId) => this.remove(sessionId, { force: false }));
+  }
+
+  /**
+   * 获取工作区根目录
+   * @returns {string} 绝对路径
+   */
+  getRoot() {
+    return resolveDataDir(config.workspace.root, 'workspaces');
+  }
+
+  /**
+   * 获取会话的 worktree 目录
+   * @param {string} sessionId - 会话 ID
+   * @returns {string} 目录
+   */
+  getPath(sessionId) {
+    return path.join(this.getRoot(), sessionId);
+  }
+
+  /**
+   * 获取会话的分支名
+   * @param {string} sessionId - 会话 ID
+   * @returns {string} 分支名
+   */
+  getBranch(sessionId) {
+    return `${config.workspace.branchPrefix}${sessionId}`;
+  }
+
+  /**
+   * 获取会话的工作区
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<Object|null>} { path, branch, repo }，不存在时为 null
+   */
+  async get(sessionId) {
+    const dir = this.getPath(sessionId);
+    try {
+      await fs.access(path.join(dir, '.git'));
+    } catch (error) {
+      return null;
+    }
+
+    // 输出可能是相对于 dir 的路径（--path-format=absolute 需要 git 2.31 以上）
+    const { stdout, exitCode } = await runGit(['rev-parse', '--git-common-dir'], {
+      cwd: dir,
+      allowFailure: true
+    });
+    if (exitCode !== 0) {
+      return null;
+    }
+
+    const repo = await fs.realpath(path.dirname(path.resolve(dir, stdout.trim())));
+    return { path: dir, branch: this.getBranch(sessionId), repo };
+  }
+
+  /**
+   * 准备会话的工作区，返回后端应使用的工作目录
+   * 项目目录不在 git 仓库中时不隔离；对话切换到另一个仓库时重新创建工作区
+   * @param {string} sessionId - 会话 ID
+   * @param {string} projectDir - 项目目录
+   * @returns {Promise<string|null>} worktree 中与项目目录对应的目录，不隔离时为 null
+   */
+  async prepare(sessionId, projectDir) {
+    const repoRoot = await getRepoRoot(projectDir);
+    if (!repoRoot) {
+      return null;
+    }
+
+    const repo = await fs.realpath(repoRoot);
+    const subdir = path.relative(repo, await fs.realpath(projectDir));
+    let workspace = await this.get(sessionId);
+
+    if (workspace && workspace.repo !== repo) {
+      if (await this.hasChanges(sessionId)) {
+        throw new Error(`工作区中有 ${workspace.repo} 的未提交修改，请先发送 /commit 或 /discard`);
+      }
+      await this.remove(sessionId, { force: true });
+      workspace = null;
+    }
+
+    if (!workspace) {
+      workspace = await this.create(sessionId, repo);
+    }
+
+    return path.join(workspace.path, subdir);
+  }
+
+  /**
+   * 创建 worktree，分支已存在时（如之前的工作区被清理但分支保留）沿用该分支
+   * @param {string} sessionId - 会话 ID
+   * @param {string} repo - 仓库根目录
+   * @returns {Promise<Object>} { path, branch, repo }
+   */
+  async create(sessionId, repo) {
+    const dir = this.getPath(sessionId);
+    const branch = this.getBranch(sessionId);
+    await fs.mkdir(this.getRoot(), { recursive: true });
+
+    const { exitCode } = await runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], {
+      cwd: repo,
+      allowFailure: true
+    });
+    const args = exitCode === 0
+      ? ['worktree', 'add', dir, branch]
+      : ['worktree', 'add', '-b', branch, dir, 'HEAD'];
+    await runGit(args, { cwd: repo });
+
+    logger.info('创建工作区', { sessionId, repo, branch, dir });
+    return { path: dir, branch, repo };
+  }
+
+  /**
+   * 工作区是否有未提交的修改（包括未跟踪的文件）
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<boolean>}
+   */
+  async hasChanges(sessionId) {
+    const workspace = await this.get(sessionId);
+    if (!workspace) {
+      return false;
+    }
+
+    const { stdout } = await runGit(['status', '--porcelain'], { cwd: workspace.path });
+    return stdout.trim().length > 0;
+  }
+
+  /**
+   * 切换到新的项目目录是否会丢失工作区中未提交的修改（新目录属于另一个仓库时工作区会被重建）
+   * @param {string} sessionId - 会话 ID
+   * @param {string} projectDir - 新的项目目录
+   * @returns {Promise<boolean>}
+   */
+  async wouldDiscardChanges(sessionId, projectDir) {
+    const workspace = await this.get(sessionId);
+    if (!workspace || !(await this.hasChanges(sessionId))) {
+      return false;
+    }
+
+    const repoRoot = await getRepoRoot(projectDir);
+    return !repoRoot || (await fs.realpath(repoRoot)) !== workspace.repo;
+  }
+
+  /**
+   * 获取工作区中未提交的修改（包括新文件）
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<Object|null>} { branch, stat, patch }，没有工作区时为 null
+   */
+  async diff(sessionId) {
+    const workspace = await this.get(sessionId);
+    if (!workspace) {
+      return null;
+    }
+
+    // 用临时索引把工作目录写成 tree 再与 HEAD 对比，使新文件也出现在 diff 中，且不改动工作区的暂存状态
+    const snapshot = await ChangeTracker.snapshot(workspace.path);
+    if (!snapshot) {
+      throw new Error('读取工作区修改失败');
+    }
+    const { stdout: stat } = await runGit(['diff', '--stat', 'HEAD', snapshot.tree], { cwd: workspace.path });
+    const { stdout: patch } = await runGit(['diff', 'HEAD', snapshot.tree], { cwd: workspace.path });
+
+    return { branch: workspace.branch, stat: stat.trimEnd(), patch };
+  }
+
+  /**
+   * 提交工作区中的所有修改到会话分支
+   * @param {string} sessionId - 会话 ID
+   * @param {string} message - 提交说明
+   * @returns {Promise<Object|null>} { branch, hash, stat }，没有修改时为 null
+   */
+  async commit(sessionId, message) {
+    const changes = await this.diff(sessionId);
+    if (!changes || !changes.stat) {
+      return null;
+    }
+
+    const cwd = this.getPath(sessionId);
+    await runGit(['add', '-A'], { cwd });
+    const { exitCode } = await runGit(['config', 'user.email'], { cwd, allowFailure: true });
+    await runGit([...(exitCode === 0 ? [] : FALLBACK_IDENTITY), 'commit', '-q', '-m', message], { cwd });
+    const { stdout: hash } = await runGit(['rev-parse', '--short', 'HEAD'], { cwd });
+
+    logger.info('提交工作区修改', { sessionId, branch: changes.branch, hash: hash.trim() });
+    return { branch: changes.branch, hash: hash.trim(), stat: changes.stat };
+  }
+
+  /**
+   * 删除会话的工作区
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.force] - 是否强制删除分支（丢弃未合并的提交），默认只删除已合并的分支
+   * @returns {Promise<boolean>} 是否删除了工作区
+   */
+  async remove(sessionId, { force = false } = {}) {
+    const workspace = await this.get(sessionId);
+    if (!workspace) {
+      return false;
+    }
+
+    await runGit(['worktree', 'remove', '--force', workspace.path], { cwd: workspace.repo });
+    const { exitCode } = await runGit(['branch', force ? '-D' : '-d', workspace.branch], {
+      cwd: workspace.repo,
+      allowFailure: true
+    });
+
+    logger.info('删除工作区', { sessionId, branch: workspace.branch, branchDeleted: exitCode === 0 });
+    return true;
+  }
+
+  /**
+   * 清理会话已过期或已不存在的工作区（例如服务重启前留下的工作区），正在使用的会话除外
+   * @param {number} maxAge - 会话最大保留时间（毫秒）
+   * @returns {Promise<number>} 清理的工作区数
+   */
+  async cleanupStale(maxAge = config.session.maxAge * 1000) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.getRoot(), { withFileTypes: true });
+    } catch (error) {
+      return 0;
+    }
+
+    let count = 0;
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      const session = await SessionManager.getSession(entry.name);
+      const lastActivity = session ? new Date(session.lastActivity).getTime() : 0;
+      if (Date.now() - lastActivity <= maxAge || SessionManager.isBusy(entry.name)) {
+        continue;
+      }
+
+      try {
+        if (await this.remove(entry.name)) {
+          count++;
+        }
+      } catch (error) {
+        logger.error('清理工作区失败', { sessionId: entry.name, error: error.message });
+      }
+    }
+
+    if (count > 0) {
+      logger.info('清理过期工作区', { count });
+    }
+    return count;
+  }
+}
+
+module.exports = new WorktreeManager();
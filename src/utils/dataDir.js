@@ -0,0 +1,27 @@
+const path = require('path');
+const config = require('../../config/default');
+
+// 项目根目录，相对的数据目录以此为基准
+const ROOT_DIR = path.join(__dirname, '../..');
+
+/**
+ * 获取数据目录（DATA_DIR）中的路径
+ * 每次调用时读取配置，修改 config.storage.dataDir 后立即生效（测试中指向临时目录）
+ * @param {...string} segments - 数据目录下的路径
+ * @returns {string} 绝对路径
+ */
+function dataPath(...segments) {
+  return path.resolve(ROOT_DIR, config.storage.dataDir, ...segments);
+}
+
+/**
+ * 解析可单独配置的数据子目录：配置了路径时使用配置，否则位于数据目录下
+ * @param {string} configured - 配置的路径（如 SESSION_DIR），可为空
+ * @param {string} name - 数据目录下的默认子目录名
+ * @returns {string} 绝对路径
+ */
+function resolveDataDir(configured, name) {
+  return configured ? path.resolve(ROOT_DIR, configured) : dataPath(name);
+}
+
+module.exports = { dataPath, resolveDataDir };
@@ -0,0 +1,50 @@
+const { runProcess } = require('./processRunner');
+
+// git 命令超时时间（毫秒）
+const GIT_TIMEOUT = 60 * 1000;
+
+/**
+ * 执行 git 命令（不经过 shell）
+ * @param {Array<string>} args - 命令参数
+ * @param {Object} options - 选项
+ * @param {string} options.cwd - 工作目录
+ * @param {Object} [options.env] - 额外的环境变量
+ * @param {boolean} [options.allowFailure] - 退出码非 0 时不抛出异常
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} 执行结果
+ */
+async function runGit(args, { cwd, env, allowFailure = false } = {}) {
+  const { promise } = runProcess('git', args, {
+    cwd,
+    timeout: GIT_TIMEOUT,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env }
+  });
+  const result = await promise;
+
+  if (result.timedOut) {
+    throw new Error(`git ${args[0]} 超时`);
+  }
+  if (result.exitCode !== 0 && !allowFailure) {
+    throw new Error(`git ${args[0]} 失败: ${(result.stderr || result.stdout).trim()}`);
+  }
+
+  return { stdout: result.stdout, stderr: result.stderr, exitCode: result.exitCode };
+}
+
+/**
+ * 获取目录所在 git 仓库的根目录
+ * @param {string} dir - 目录
+ * @returns {Promise<string|null>} 仓库根目录，不在 git 仓库中时为 null
+ */
+async function getRepoRoot(dir) {
+  try {
+    const { stdout, exitCode } = await runGit(['rev-parse', '--show-toplevel'], { cwd: dir, allowFailure: true });
+    return exitCode === 0 ? stdout.trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  runGit,
+  getRepoRoot
+};
@@ -0,0 +1,53 @@
+/**
+ * 创建按行解析 JSON 的解析器，用于处理 CLI 的流式 JSON 输出（每行一个 JSON 对象）
+ * 数据块可能在任意位置被截断，不完整的行会缓存到下一次 push 或 flush 时再解析
+ *
+ * @param {Function} onObject - 解析出对象时的回调 (object) => void
+ * @param {Function} [onInvalid] - 遇到无法解析的行时的回调 (line, error) => void
+ * @returns {{ push: Function, flush: Function }} 解析器
+ */
+function createJsonLineParser(onObject, onInvalid = () => {}) {
+  let buffer = '';
+
+  const parseLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    let object;
+    try {
+      object = JSON.parse(trimmed);
+    } catch (error) {
+      onInvalid(trimmed, error);
+      return;
+    }
+    onObject(object);
+  };
+
+  return {
+    /**
+     * 写入一个数据块
+     * @param {Buffer|string} chunk - 数据块
+     */
+    push(chunk) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(parseLine);
+    },
+
+    /**
+     * 解析缓存中剩余的内容（输出结束时调用）
+     */
+    flush() {
+      const rest = buffer;
+      buffer = '';
+      parseLine(rest);
+    }
+  };
+}
+
+module.exports = {
+  createJsonLineParser
+};
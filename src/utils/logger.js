@@ -50,8 +50,8 @@ const logger = winston.createLogger({
   ]
 });
 
-// 在非生产环境下输出到控制台
-if (process.env.NODE_ENV !== 'production') {
+// 在非生产环境下输出到控制台（测试时不输出，避免干扰测试报告）
+if (process.env.NODE_ENV !== 'production' && process.env.NODE_ENV !== 'test') {
   logger.add(new winston.transports.Console({
     format: consoleFormat
   }));
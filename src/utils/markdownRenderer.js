@@ -0,0 +1,191 @@
+/**
+ * Markdown 转飞书卡片元素
+ *
+ * lark_md 不支持标题、表格和带语言标记的代码块，直接放进一个 div 显示效果很差。
+ * 这里按块解析 Markdown，转换为对应的卡片元素：
+ *
+ *   # 标题          -> div（加粗的 lark_md）
+ *   ```lang 代码```  -> note（语言标记）+ markdown 代码块，超长时放入折叠面板
+ *   | 表格 |        -> table
+ *   ---             -> hr
+ *   段落、列表、引用  -> markdown（相邻的合并为一个元素）
+ */
+
+// 代码块起止标记（``` 或 ~~~，允许最多 3 个空格缩进）
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*).*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// 默认选项
+const DEFAULT_OPTIONS = {
+  collapseLines: 30, // 超过该行数的代码块放入默认收起的折叠面板
+  tablePageSize: 10  // 表格每页行数
+};
+
+/**
+ * 拆分表格行中的单元格（支持 \| 转义）
+ * @param {string} line - 表格行
+ * @returns {Array<string>} 单元格
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let current = '';
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (trimmed[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += trimmed[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * 判断是否为表格的开始（表头行 + 分隔行）
+ * @param {string} line - 当前行
+ * @param {string} [next] - 下一行
+ * @returns {boolean} 是否为表格
+ */
+function isTableStart(line, next) {
+  return line.includes('|') && next !== undefined && next.includes('|') && next.includes('-') &&
+    TABLE_SEPARATOR_PATTERN.test(next);
+}
+
+/**
+ * 生成表格元素
+ * @param {Array<string>} header - 表头
+ * @param {Array<Array<string>>} rows - 数据行
+ * @param {Object} options - 渲染选项
+ * @returns {Object} table 元素
+ */
+function renderTable(header, rows, options) {
+  const columns = header.map((name, index) => ({
+    name: `col${index}`,
+    display_name: name,
+    data_type: 'lark_md',
+    width: 'auto'
+  }));
+
+  return {
+    tag: 'table',
+    page_size: Math.min(Math.max(rows.length, 1), options.tablePageSize),
+    row_height: 'low',
+    header_style: { bold: true, background_style: 'grey' },
+    columns,
+    rows: rows.map(row => Object.fromEntries(columns.map((column, index) => [column.name, row[index] || ''])))
+  };
+}
+
+/**
+ * 生成代码块元素：有语言时先显示语言标记，超长时放入折叠面板
+ * @param {string} language - 语言
+ * @param {Array<string>} lines - 代码行
+ * @param {Object} options - 渲染选项
+ * @returns {Array<Object>} 元素
+ */
+function renderCode(language, lines, options) {
+  const code = { tag: 'markdown', content: `\`\`\`${language}\n${lines.join('\n')}\n\`\`\`` };
+
+  if (lines.length > options.collapseLines) {
+    return [{
+      tag: 'collapsible_panel',
+      expanded: false,
+      header: {
+        title: { tag: 'plain_text', content: `📄 ${language || '代码'}（${lines.length} 行，点击展开）` }
+      },
+      elements: [code]
+    }];
+  }
+
+  const elements = [];
+  if (language) {
+    elements.push({ tag: 'note', elements: [{ tag: 'plain_text', content: `📄 ${language}` }] });
+  }
+  elements.push(code);
+  return elements;
+}
+
+/**
+ * 将 Markdown 转换为飞书卡片元素
+ * @param {string} markdown - Markdown 文本
+ * @param {Object} [options] - 选项 { collapseLines, tablePageSize }
+ * @returns {Array<Object>} 卡片元素（可直接放入卡片的 elements）
+ */
+function renderMarkdown(markdown, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const elements = [];
+  let paragraph = [];
+
+  // 输出累积的普通文本（段落、列表、引用）
+  const flushParagraph = () => {
+    const content = paragraph.join('\n').trim();
+    if (content) {
+      elements.push({ tag: 'markdown', content });
+    }
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // 代码块：一直读到结束标记（没有结束标记时到文本末尾）
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        const closing = lines[i].trim();
+        if (closing[0] === marker[0] && /^(`{3,}|~{3,})$/.test(closing) && closing.length >= marker.length) {
+          break;
+        }
+        code.push(lines[i]);
+      }
+      flushParagraph();
+      elements.push(...renderCode(fence[2].toLowerCase(), code, settings));
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      flushParagraph();
+      elements.push({ tag: 'div', text: { tag: 'lark_md', content: `**${heading[2]}**` } });
+      continue;
+    }
+
+    if (HR_PATTERN.test(line)) {
+      flushParagraph();
+      elements.push({ tag: 'hr' });
+      continue;
+    }
+
+    if (isTableStart(line, lines[i + 1])) {
+      const header = splitTableRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+        rows.push(splitTableRow(lines[i]));
+      }
+      i--;
+      flushParagraph();
+      elements.push(renderTable(header, rows, settings));
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  return elements;
+}
+
+module.exports = {
+  renderMarkdown
+};
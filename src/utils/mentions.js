@@ -0,0 +1,69 @@
+/**
+ * @ 提及处理
+ *
+ * 飞书消息中的 @ 在文本里以占位符出现（如 "@_user_1 帮我看看"），
+ * 占位符对应的用户在 message.mentions 中：
+ *   [{ key: '@_user_1', id: { open_id, user_id, union_id }, name: '张三' }]
+ */
+
+/**
+ * 判断提及是否指向机器人
+ * @param {Object} mention - mentions 中的一项
+ * @param {string} [botOpenId] - 机器人的 open_id
+ * @returns {boolean} 是否为机器人
+ */
+function isBotMention(mention, botOpenId) {
+  return !!botOpenId && mention?.id?.open_id === botOpenId;
+}
+
+/**
+ * 判断消息是否 @ 了机器人
+ * 未能获取机器人 open_id 时，任意 @ 都视为 @ 机器人
+ * @param {Array} mentions - 消息的 mentions 列表
+ * @param {string} [botOpenId] - 机器人的 open_id
+ * @returns {boolean} 是否 @ 了机器人
+ */
+function isBotMentioned(mentions = [], botOpenId) {
+  if (!botOpenId) {
+    return mentions.length > 0;
+  }
+  return mentions.some(mention => isBotMention(mention, botOpenId));
+}
+
+/**
+ * 将文本中的提及占位符替换为 @姓名，@ 机器人的占位符直接删除
+ * @param {string} text - 消息文本
+ * @param {Array} mentions - 消息的 mentions 列表
+ * @param {string} [botOpenId] - 机器人的 open_id
+ * @returns {string} 替换后的文本
+ */
+function resolveMentions(text, mentions = [], botOpenId) {
+  let resolved = text;
+
+  // 按占位符长度倒序替换，避免 @_user_1 误替换 @_user_10 的前缀
+  const sorted = [...mentions].filter(mention => mention.key).sort((a, b) => b.key.length - a.key.length);
+  for (const mention of sorted) {
+    if (isBotMention(mention, botOpenId)) {
+      resolved = resolved.replace(new RegExp(`${escapeRegExp(mention.key)} ?`, 'g'), '');
+    } else {
+      resolved = resolved.split(mention.key).join(mention.name ? `@${mention.name}` : '');
+    }
+  }
+
+  return resolved.trim();
+}
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} value - 字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  isBotMention,
+  isBotMentioned,
+  resolveMentions
+};
@@ -0,0 +1,127 @@
+/**
+ * 长消息拆分
+ *
+ * 将 Markdown 文本按长度上限拆分为多段，依次发送：
+ * - 优先在代码块之外的空行（段落之间）处拆分，其次在行尾拆分
+ * - 不会在 ``` 代码块中间留下未闭合的代码块：代码块本身超长时，
+ *   在片段末尾补上结束标记，并在下一段开头重新打开（保留语言标记）
+ * - 单行超长时按字符拆分到多个片段
+ */
+
+// 代码块起止标记（``` 或 ~~~，允许最多 3 个空格缩进）
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+/**
+ * 更新代码块状态
+ * @param {Object|null} fence - 当前所在代码块 { marker, opening }，不在代码块中为 null
+ * @param {string} line - 当前行
+ * @returns {Object|null} 处理该行之后的代码块状态
+ */
+function nextFence(fence, line) {
+  const match = line.match(FENCE_PATTERN);
+  if (!match) {
+    return fence;
+  }
+
+  const [, marker, info] = match;
+  if (!fence) {
+    return { marker, opening: line };
+  }
+
+  // 结束标记：字符相同、长度不短于开始标记，且后面没有语言标记
+  const closes = marker[0] === fence.marker[0] && marker.length >= fence.marker.length && !info.trim();
+  return closes ? null : fence;
+}
+
+/**
+ * 按长度上限拆分文本
+ * @param {string} text - 要拆分的文本
+ * @param {number} maxLength - 每段的最大字符数
+ * @returns {Array<string>} 拆分后的片段（文本为空时为空数组）
+ */
+function splitMessage(text, maxLength) {
+  if (!text) {
+    return [];
+  }
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const chunks = [];
+  let lines = []; // 当前片段的行 { text, inFence, opensFence, reopened }
+  let fence = null;
+
+  const lengthOf = (items) => items.reduce((sum, item) => sum + item.text.length, 0) + Math.max(items.length - 1, 0);
+  // 片段中除重新打开的代码块标记外是否还有内容
+  const hasContent = () => lines.length > (lines[0]?.reopened ? 1 : 0);
+
+  const flush = () => {
+    if (!hasContent()) {
+      return;
+    }
+
+    let carry = [];
+    const opening = lines.map(line => line.opensFence).lastIndexOf(true);
+    if (fence && opening > 0 && lines.slice(0, opening).some(line => line.text.trim())) {
+      // 代码块在本段中打开：整个代码块移到下一段开头
+      carry = lines.slice(opening);
+      lines = lines.slice(0, opening);
+    } else if (!fence) {
+      // 不在代码块中时，尽量在后半段的空行处拆分，剩余的行留给下一段
+      for (let i = lines.length - 1; i > lines.length / 2; i--) {
+        if (!lines[i].inFence && !lines[i].text.trim()) {
+          carry = lines.slice(i + 1);
+          lines = lines.slice(0, i);
+          break;
+        }
+      }
+    }
+
+    if (carry[0]?.opensFence) {
+      chunks.push(lines.map(line => line.text).join('\n').trimEnd());
+      lines = carry;
+      return;
+    }
+
+    const output = lines.map(line => line.text);
+    if (fence) {
+      output.push(fence.marker);
+    }
+    chunks.push(fence ? output.join('\n') : output.join('\n').trimEnd());
+
+    lines = fence ? [{ text: fence.opening, inFence: true, reopened: true }, ...carry] : carry;
+  };
+
+  for (const line of text.split('\n')) {
+    const inFence = !!fence;
+    // 加入该行后片段需要预留的结束标记长度（该行可能打开代码块）
+    const after = nextFence(fence, line);
+    const reserve = () => (after ? after.marker.length + 1 : 0);
+
+    if (lengthOf([...lines, { text: line }]) + reserve() > maxLength) {
+      flush();
+    }
+
+    // 单行超长：按字符拆分到多个片段
+    let remaining = line;
+    while (lengthOf([...lines, { text: remaining }]) + reserve() > maxLength) {
+      const size = Math.max(maxLength - reserve() - lengthOf([...lines, { text: '' }]), 1);
+      lines.push({ text: remaining.substring(0, size), inFence });
+      remaining = remaining.substring(size);
+      flush();
+    }
+
+    lines.push({ text: remaining, inFence, opensFence: !fence && !!after });
+    fence = after;
+  }
+
+  if (hasContent()) {
+    chunks.push(lines.map(line => line.text).join('\n'));
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  splitMessage
+};
@@ -0,0 +1,143 @@
+/**
+ * 富文本（post）消息解析
+ *
+ * 飞书 post 消息的内容结构：
+ * {
+ *   title: '标题',
+ *   content: [                       // 每个子数组是一个段落
+ *     [{ tag: 'text', text: '...' }, { tag: 'a', href: '...', text: '...' }, { tag: 'at', user_id: '@_user_1' }],
+ *     [{ tag: 'code_block', language: 'JS', text: '...' }],
+ *     [{ tag: 'img', image_key: '...' }]
+ *   ]
+ * }
+ * 部分事件中内容按语言包装为 { zh_cn: { title, content } }，两种格式都支持。
+ */
+
+const { isBotMention } = require('./mentions');
+
+/**
+ * 取出实际的 { title, content }（兼容按语言包装的格式）
+ * @param {Object} post - post 消息内容
+ * @returns {{ title: string, content: Array }} 标题与段落
+ */
+function unwrapPost(post = {}) {
+  if (Array.isArray(post.content)) {
+    return { title: post.title || '', content: post.content };
+  }
+
+  const localized = post.zh_cn || post.en_us || Object.values(post).find(value => Array.isArray(value?.content));
+  return {
+    title: localized?.title || '',
+    content: Array.isArray(localized?.content) ? localized.content : []
+  };
+}
+
+/**
+ * 格式化 @ 提及，@ 机器人时返回空字符串
+ * @param {Object} element - at 元素
+ * @param {Array} mentions - 消息的 mentions 列表 [{ key, name, id }]
+ * @param {string} [botOpenId] - 机器人的 open_id
+ * @returns {string} 文本
+ */
+function formatMention(element, mentions, botOpenId) {
+  if (element.user_id === 'all') {
+    return '@所有人';
+  }
+
+  const mention = mentions.find(item => item.key === element.user_id);
+  if (isBotMention(mention, botOpenId)) {
+    return '';
+  }
+  const name = element.user_name || mention?.name;
+  return name ? `@${name}` : '';
+}
+
+/**
+ * 格式化超链接，链接文本与地址相同时只保留地址
+ * @param {Object} element - a 元素
+ * @returns {string} 文本
+ */
+function formatLink(element) {
+  const text = (element.text || '').trim();
+  if (!element.href) {
+    return text;
+  }
+  return !text || text === element.href ? element.href : `[${text}](${element.href})`;
+}
+
+/**
+ * 将 post 消息展开为纯文本提示词，并取出其中的图片
+ *
+ * - 代码块保留为 ``` 围栏代码块（带语言标记）
+ * - 超链接保留为 [文本](地址)
+ * - @ 提及保留为 @姓名，@ 机器人会被删除
+ * - 图片在原位置替换为 [图片 N]，image_key 按顺序返回
+ *
+ * @param {Object} post - post 消息内容
+ * @param {Array} [mentions] - 消息的 mentions 列表，用于解析 @ 的姓名
+ * @param {string} [botOpenId] - 机器人的 open_id
+ * @returns {{ text: string, imageKeys: Array<string> }} 文本与图片
+ */
+function parsePostContent(post, mentions = [], botOpenId) {
+  const { title, content } = unwrapPost(post);
+  const imageKeys = [];
+  const blocks = [];
+
+  if (title.trim()) {
+    blocks.push(title.trim());
+  }
+
+  for (const paragraph of content) {
+    let line = '';
+    const flushLine = () => {
+      if (line.trim()) {
+        blocks.push(line.trim());
+      }
+      line = '';
+    };
+
+    for (const element of Array.isArray(paragraph) ? paragraph : []) {
+      switch (element.tag) {
+        case 'text':
+        case 'md':
+          line += element.text || '';
+          break;
+        case 'a':
+          line += formatLink(element);
+          break;
+        case 'at':
+          line += formatMention(element, mentions, botOpenId);
+          break;
+        case 'emotion':
+          line += element.emoji_type ? `[${element.emoji_type}]` : '';
+          break;
+        case 'img':
+        case 'media':
+          if (element.image_key) {
+            imageKeys.push(element.image_key);
+            line += `[图片 ${imageKeys.length}]`;
+          }
+          break;
+        case 'code_block':
+          // 代码块单独成段，保留原始缩进
+          flushLine();
+          blocks.push(`\`\`\`${(element.language || '').toLowerCase()}\n${(element.text || '').replace(/\n$/, '')}\n\`\`\``);
+          break;
+        case 'hr':
+          flushLine();
+          blocks.push('---');
+          break;
+        default:
+          line += element.text || '';
+      }
+    }
+
+    flushLine();
+  }
+
+  return { text: blocks.join('\n').trim(), imageKeys };
+}
+
+module.exports = {
+  parsePostContent
+};
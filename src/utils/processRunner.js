@@ -0,0 +1,205 @@
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+// 默认输出上限：10MB
+const DEFAULT_MAX_OUTPUT_SIZE = 10 * 1024 * 1024;
+
+// 正在运行的子进程。子进程在独立的进程组中运行，不会随服务一起收到终端的 SIGINT，
+// 服务退出时由 killAllProcesses() 结束
+const runningChildren = new Set();
+
+/**
+ * 向子进程所在的进程组发送信号
+ * @param {ChildProcess} child - 子进程（需以 detached 方式启动）
+ * @param {string} signal - 信号
+ */
+function signalProcessGroup(child, signal) {
+  try {
+    // 负 PID 表示向整个进程组发送信号
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    if (error.code !== 'ESRCH') {
+      child.kill(signal);
+    }
+  }
+}
+
+/**
+ * 结束子进程及其所有后代进程
+ * 先向进程组发送 SIGTERM，宽限期后向仍残留的进程发送 SIGKILL
+ * @param {ChildProcess} child - 子进程（需以 detached 方式启动）
+ * @param {number} graceMs - 宽限时间（毫秒）
+ */
+function killProcessTree(child, graceMs = 5000) {
+  if (!child.pid) {
+    return;
+  }
+
+  signalProcessGroup(child, 'SIGTERM');
+
+  // 进程组已全部退出时 SIGKILL 会得到 ESRCH，直接忽略
+  const forceKill = setTimeout(() => signalProcessGroup(child, 'SIGKILL'), graceMs);
+  forceKill.unref();
+}
+
+/**
+ * 结束所有仍在运行的子进程树（服务退出时调用）
+ * 先发送 SIGTERM 并等待进程退出，最多等待 graceMs，之后向所有进程组发送 SIGKILL，
+ * 避免服务退出后宽限期的定时器不再触发，留下后代进程
+ * @param {number} graceMs - 宽限时间（毫秒）
+ * @returns {Promise<number>} 结束的进程数
+ */
+async function killAllProcesses(graceMs = 3000) {
+  const children = Array.from(runningChildren);
+  if (children.length === 0) {
+    return 0;
+  }
+
+  logger.info('结束仍在运行的子进程', { pids: children.map(child => child.pid) });
+
+  const exited = children.map(child => new Promise((resolve) => {
+    child.once('close', resolve);
+    child.once('error', resolve);
+  }));
+  for (const child of children) {
+    signalProcessGroup(child, 'SIGTERM');
+  }
+
+  let timer = null;
+  await Promise.race([
+    Promise.all(exited),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, graceMs);
+    })
+  ]);
+  clearTimeout(timer);
+
+  for (const child of children) {
+    signalProcessGroup(child, 'SIGKILL');
+  }
+  return children.length;
+}
+
+/**
+ * 启动外部进程（不经过 shell）
+ *
+ * 所有参数通过 argv 原样传递、用户输入通过 stdin 传递，任何 shell 元字符（; | $() ` 换行等）
+ * 都不会被解释。进程在独立的进程组中运行，超时或输出超限时结束整个进程树。
+ *
+ * @param {string} command - 可执行文件路径
+ * @param {Array<string>} args - 命令参数
+ * @param {Object} options - 选项
+ * @param {string} [options.input] - 写入 stdin 的内容（写入后关闭 stdin）
+ * @param {number} [options.timeout] - 超时时间（毫秒），0 表示不限制
+ * @param {number} [options.maxOutputSize] - stdout + stderr 的最大字节数，超出后结束进程
+ * @param {Object} [options.env] - 环境变量
+ * @param {string} [options.cwd] - 工作目录
+ * @param {Function} [options.onStdout] - 标准输出回调 (chunk: string) => void
+ * @param {Function} [options.onStderr] - 错误输出回调 (chunk: string) => void
+ * @returns {{ child: ChildProcess, kill: Function, promise: Promise<Object> }}
+ *   promise 在进程退出后 resolve：{ exitCode, signal, stdout, stderr, timedOut, outputLimitExceeded, killed }，
+ *   进程无法启动时 reject
+ */
+function runProcess(command, args = [], options = {}) {
+  const maxOutputSize = options.maxOutputSize || DEFAULT_MAX_OUTPUT_SIZE;
+
+  const child = spawn(command, args, {
+    stdio: ['pipe', 'pipe', 'pipe'],
+    shell: false,
+    detached: true,
+    cwd: options.cwd,
+    env: options.env || process.env
+  });
+  if (child.pid) {
+    runningChildren.add(child);
+  }
+
+  const state = {
+    stdout: '',
+    stderr: '',
+    outputSize: 0,
+    timedOut: false,
+    outputLimitExceeded: false,
+    killed: false
+  };
+
+  const kill = () => {
+    if (!state.killed) {
+      state.killed = true;
+      killProcessTree(child);
+    }
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    let timer = null;
+    if (options.timeout > 0) {
+      timer = setTimeout(() => {
+        state.timedOut = true;
+        logger.warn('进程执行超时，结束进程树', { command, pid: child.pid, timeout: options.timeout });
+        kill();
+      }, options.timeout);
+    }
+
+    const collect = (stream, key, callback) => {
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => {
+        if (state.outputLimitExceeded) {
+          return;
+        }
+
+        state.outputSize += Buffer.byteLength(chunk);
+        if (state.outputSize > maxOutputSize) {
+          state.outputLimitExceeded = true;
+          logger.warn('进程输出超过上限，结束进程树', { command, pid: child.pid, maxOutputSize });
+          kill();
+          return;
+        }
+
+        state[key] += chunk;
+        if (callback) {
+          callback(chunk);
+        }
+      });
+    };
+
+    collect(child.stdout, 'stdout', options.onStdout);
+    collect(child.stderr, 'stderr', options.onStderr);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      runningChildren.delete(child);
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      runningChildren.delete(child);
+      resolve({
+        exitCode: code,
+        signal,
+        stdout: state.stdout,
+        stderr: state.stderr,
+        timedOut: state.timedOut,
+        outputLimitExceeded: state.outputLimitExceeded,
+        killed: state.killed
+      });
+    });
+  });
+
+  // 进程已退出或不读取 stdin 时写入会触发 EPIPE，忽略即可
+  child.stdin.on('error', () => {});
+  if (options.input !== undefined) {
+    child.stdin.end(options.input);
+  } else {
+    child.stdin.end();
+  }
+
+  return { child, kill, promise };
+}
+
+module.exports = {
+  runProcess,
+  killProcessTree,
+  killAllProcesses,
+  DEFAULT_MAX_OUTPUT_SIZE
+};
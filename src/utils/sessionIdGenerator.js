@@ -10,37 +10,63 @@ function generateSessionId() {
   return `session_${timestamp}_${random}`;
 }
 
+/**
+ * 生成 Claude CLI 会话 ID（Claude CLI 要求为 UUID 格式）
+ * @returns {string} UUID
+ */
+function generateClaudeSessionId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * 规范化发送者 ID
+ * 飞书事件中的 sender_id 是 { open_id, user_id, union_id } 对象，这里统一取一个字符串
+ * @param {Object|string} senderId - 发送者 ID
+ * @returns {string} 发送者 ID 字符串
+ */
+function resolveSenderId(senderId) {
+  if (!senderId) {
+    return 'unknown';
+  }
+  if (typeof senderId === 'string') {
+    return senderId;
+  }
+  return senderId.open_id || senderId.user_id || senderId.union_id || 'unknown';
+}
+
 /**
  * 从飞书事件中提取会话 ID（兼容旧格式）
  * @param {Object} event - 飞书事件对象
  * @returns {string} 会话 ID
  */
 function extractSessionIdFromEvent(event) {
-  // 使用用户 ID + 群组 ID + 时间戳作为会话标识
-  const userId = event?.sender?.sender_id?.user_id || event?.sender?.user_id || 'unknown';
-  const chatId = event?.chat_id || event?.message?.chat_id || 'unknown';
-  const timestamp = Date.now().toString(36);
-  const hash = crypto.createHash('md5').update(`${userId}_${chatId}`).digest('hex').substring(0, 8);
-  return `session_${hash}_${timestamp}`;
+  const senderId = event?.sender?.sender_id || event?.sender?.user_id;
+  const chatId = event?.chat_id || event?.message?.chat_id;
+  const threadId = event?.message?.thread_id;
+  return extractSessionId(chatId, senderId, threadId);
 }
 
 /**
  * 从 chatId 和 senderId 生成会话 ID
+ * 同一聊天中同一发送者（或同一话题）始终得到相同的会话 ID，用于延续对话上下文
  * @param {string} chatId - 聊天 ID
- * @param {string} senderId - 发送者 ID
+ * @param {Object|string} senderId - 发送者 ID
+ * @param {string} [threadId] - 话题 ID，存在时按话题划分会话
  * @returns {string} 会话 ID
  */
-function extractSessionId(chatId, senderId) {
-  // 使用用户 ID + 群组 ID + 时间戳作为会话标识
-  const userId = senderId || 'unknown';
+function extractSessionId(chatId, senderId, threadId) {
   const chatIdStr = chatId || 'unknown';
-  const timestamp = Date.now().toString(36);
-  const hash = crypto.createHash('md5').update(`${userId}_${chatIdStr}`).digest('hex').substring(0, 8);
-  return `session_${hash}_${timestamp}`;
+  const key = threadId
+    ? `thread_${chatIdStr}_${threadId}`
+    : `${resolveSenderId(senderId)}_${chatIdStr}`;
+  const hash = crypto.createHash('md5').update(key).digest('hex').substring(0, 16);
+  return `session_${hash}`;
 }
 
 module.exports = {
   generateSessionId,
+  generateClaudeSessionId,
+  resolveSenderId,
   extractSessionId,
   extractSessionIdFromEvent
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClaudeAdapter = require('../src/modules/ClaudeAdapter');
+
+const STUB_CLI = path.join(__dirname, 'fixtures/stub-cli.js');
+
+describe('ClaudeAdapter', () => {
+  let workDir;
+  let marker;
+
+  beforeAll(() => {
+    ClaudeAdapter.cliPath = STUB_CLI;
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-adapter-'));
+    marker = path.join(workDir, 'pwned');
+    delete process.env.STUB_CLI_MODE;
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('hostile prompts', () => {
+    const hostilePrompts = [
+      (m) => `hello; touch ${m}`,
+      (m) => `$(touch ${m})`,
+      (m) => `\`touch ${m}\``,
+      (m) => `hello\ntouch ${m}`,
+      (m) => `hello && touch ${m}`,
+      (m) => `hello | touch ${m}`,
+      (m) => `"'; touch ${m}; echo '"`,
+      (m) => `> ${m}`
+    ];
+
+    test.each(hostilePrompts.map(build => [build('<marker>'), build]))('%j is passed verbatim without a shell', async (_, build) => {
+      const prompt = build(marker);
+      const result = await ClaudeAdapter.executePrompt(prompt, 'session_test');
+      const received = JSON.parse(result.output);
+
+      expect(result.success).toBe(true);
+      expect(received.stdin).toBe(prompt);
+      expect(received.argv).not.toContain(prompt);
+      expect(fs.existsSync(marker)).toBe(false);
+    });
+
+    test('prompts that look like CLI options are not parsed as options', async () => {
+      const result = await ClaudeAdapter.executePrompt('--dangerously-skip-permissions', 'session_test');
+      const received = JSON.parse(result.output);
+
+      expect(received.argv).toEqual(['--print', '--output-format', 'stream-json', '--verbose']);
+      expect(received.stdin).toBe('--dangerously-skip-permissions');
+    });
+  });
+
+  test('passes the Claude session id as a separate argument', async () => {
+    const result = await ClaudeAdapter.executePrompt('hi', 'session_test', {
+      claudeSessionId: 'abc; touch x',
+      resume: true
+    });
+    const received = JSON.parse(result.output);
+
+    expect(received.argv.slice(-2)).toEqual(['--resume', 'abc; touch x']);
+  });
+
+  test('asks for partial messages only when streaming', async () => {
+    const events = [];
+    const result = await ClaudeAdapter.executePrompt('hi', 'session_test', { onEvent: event => events.push(event) });
+
+    expect(JSON.parse(result.output).argv).toContain('--include-partial-messages');
+    expect(events.map(event => event.type)).toContain('result');
+  });
+
+  test('cancel() kills a running process and resolves as cancelled', async () => {
+    process.env.STUB_CLI_MODE = 'hang';
+    const pending = ClaudeAdapter.executePrompt('wait', 'session_cancel');
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(ClaudeAdapter.isRunning('session_cancel')).toBe(true);
+    expect(ClaudeAdapter.cancel('session_cancel')).toBe(true);
+
+    const result = await pending;
+    expect(result.cancelled).toBe(true);
+    expect(result.success).toBe(false);
+    expect(ClaudeAdapter.isRunning('session_cancel')).toBe(false);
+  });
+
+  test('getVersion() runs without a shell', async () => {
+    await expect(ClaudeAdapter.getVersion()).resolves.toBe('stub-cli 1.0.0');
+    await expect(ClaudeAdapter.isAvailable()).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+const path = require('path');
+const IFlowAdapter = require('../src/modules/IFlowAdapter');
+
+const STUB_CLI = path.join(__dirname, 'fixtures/stub-cli.js');
+
+/**
+ * 桩程序以 stream-json 格式回显，iFlow 适配器把它当作纯文本输出
+ */
+function readEcho(result) {
+  return JSON.parse(JSON.parse(result.output).result);
+}
+
+describe('IFlowAdapter', () => {
+  beforeAll(() => {
+    IFlowAdapter.cliPath = STUB_CLI;
+    IFlowAdapter.yoloMode = true;
+  });
+
+  beforeEach(() => {
+    delete process.env.STUB_CLI_MODE;
+  });
+
+  test('execute() passes the prompt through stdin and returns an AgentResult', async () => {
+    const prompt = 'hello; touch /tmp/pwned';
+    const result = await IFlowAdapter.execute(prompt, 'session_iflow');
+    const received = readEcho(result);
+
+    expect(result.success).toBe(true);
+    expect(result.isError).toBe(false);
+    expect(result.toolCalls).toEqual([]);
+    expect(result.conversationId).toBeNull();
+    expect(received.stdin).toBe(prompt);
+    expect(received.argv).toEqual(['--yolo']);
+  });
+
+  test('stream() reports output as text deltas', async () => {
+    const events = [];
+    const result = await IFlowAdapter.stream('hi', 'session_iflow', (event) => events.push(event));
+    const streamed = events.map(event => event.event.delta.text).join('');
+
+    expect(events.every(event => event.type === 'stream_event')).toBe(true);
+    expect(streamed.trim()).toBe(result.output);
+  });
+
+  test('cancel() kills a running process and resolves as cancelled', async () => {
+    process.env.STUB_CLI_MODE = 'hang';
+    const pending = IFlowAdapter.execute('wait', 'session_iflow_cancel');
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(IFlowAdapter.isRunning('session_iflow_cancel')).toBe(true);
+    expect(IFlowAdapter.cancel('session_iflow_cancel')).toBe(true);
+
+    const result = await pending;
+    expect(result.cancelled).toBe(true);
+    expect(result.success).toBe(false);
+    expect(IFlowAdapter.isRunning('session_iflow_cancel')).toBe(false);
+  });
+
+  test('getVersion() comes from the shared adapter implementation', async () => {
+    await expect(IFlowAdapter.getVersion()).resolves.toBe('stub-cli 1.0.0');
+    await expect(IFlowAdapter.isAvailable()).resolves.toBe(true);
+  });
+});
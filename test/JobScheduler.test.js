@@ -0,0 +1,117 @@
+const JobScheduler = require('../src/modules/JobScheduler');
+const config = require('../config/default');
+
+describe('JobScheduler', () => {
+  const originalLimits = { ...config.scheduler };
+  let scheduler;
+  let started;
+
+  /**
+   * 申请名额，开始运行时记录会话 ID
+   */
+  function submit(sessionId, chatId, userId = `ou_${sessionId}`, options = {}) {
+    return scheduler.acquire({ sessionId, chatId, userId }, options).then((job) => {
+      if (job) {
+        started.push(sessionId);
+      }
+      return job;
+    });
+  }
+
+  /**
+   * 等待已开始的任务的回调执行
+   */
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    scheduler = new JobScheduler.constructor();
+    started = [];
+    Object.assign(config.scheduler, { maxConcurrent: 1, maxPerUser: 0, maxPerChat: 0 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.scheduler, originalLimits);
+  });
+
+  test('queue jobs beyond the global limit and start them as slots are released', async () => {
+    config.scheduler.maxConcurrent = 2;
+    const first = submit('s1', 'oc_1');
+    submit('s2', 'oc_2');
+    submit('s3', 'oc_3');
+    await flush();
+
+    expect(started).toEqual(['s1', 's2']);
+    expect(scheduler.getState()).toMatchObject({ running: 2, waiting: 1 });
+    expect(scheduler.getPosition('s3')).toBe(1);
+
+    // 重复归还不会多出名额
+    scheduler.release(await first);
+    scheduler.release(await first);
+    await flush();
+
+    expect(started).toEqual(['s1', 's2', 's3']);
+    expect(scheduler.getState()).toMatchObject({ running: 2, waiting: 0 });
+  });
+
+  test('rotate between chats so one busy chat cannot take every slot', async () => {
+    const running = submit('x1', 'oc_x');
+    for (const sessionId of ['a1', 'a2', 'a3']) {
+      submit(sessionId, 'oc_a');
+    }
+    submit('b1', 'oc_b');
+    submit('c1', 'oc_c');
+    await flush();
+
+    expect(['a1', 'b1', 'c1', 'a2', 'a3'].map(sessionId => scheduler.getPosition(sessionId))).toEqual([1, 2, 3, 4, 5]);
+
+    await running;
+    for (let i = 0; i < 5; i++) {
+      scheduler.release(Array.from(scheduler.running.values())[0]);
+    }
+    await flush();
+
+    expect(started).toEqual(['x1', 'a1', 'b1', 'c1', 'a2', 'a3']);
+  });
+
+  test('apply per-chat and per-user caps without blocking other chats', async () => {
+    Object.assign(config.scheduler, { maxConcurrent: 4, maxPerChat: 2, maxPerUser: 1 });
+    submit('a1', 'oc_a', 'ou_1');
+    submit('a2', 'oc_a', 'ou_1');
+    submit('a3', 'oc_a', 'ou_2');
+    submit('a4', 'oc_a', 'ou_3');
+    submit('b1', 'oc_b', 'ou_4');
+    await flush();
+
+    // ou_1 已有任务在运行，同一聊天中 ou_2 的任务先运行；聊天 oc_a 达到 2 个上限后不影响 oc_b
+    expect(started).toEqual(['a1', 'a3', 'b1']);
+    expect(scheduler.getPosition('a2')).toBe(1);
+    expect(scheduler.getPosition('a4')).toBe(2);
+  });
+
+  test('treat a limit of 0 as unlimited', async () => {
+    config.scheduler.maxConcurrent = 0;
+    for (let i = 0; i < 10; i++) {
+      submit(`s${i}`, 'oc_1');
+    }
+    await flush();
+
+    expect(started).toHaveLength(10);
+  });
+
+  test('report position changes and cancel waiting jobs', async () => {
+    const running = submit('s1', 'oc_1');
+    const positions = { s2: [], s3: [] };
+    const cancelled = submit('s2', 'oc_2', 'ou_2', { onPosition: position => positions.s2.push(position) });
+    submit('s3', 'oc_3', 'ou_3', { onPosition: position => positions.s3.push(position) });
+
+    expect(scheduler.cancel('s2')).toBe(true);
+    expect(await cancelled).toBeNull();
+    expect(scheduler.cancel('s2')).toBe(false);
+
+    scheduler.release(await running);
+    await flush();
+
+    expect(positions).toEqual({ s2: [1], s3: [2, 1] });
+    expect(started).toEqual(['s1', 's3']);
+  });
+});
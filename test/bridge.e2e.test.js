@@ -0,0 +1,1555 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Readable } = require('stream');
+const EventHandler = require('../src/modules/EventHandler');
+const AdapterRegistry = require('../src/modules/AdapterRegistry');
+const AccessControl = require('../src/modules/AccessControl');
+const AttachmentManager = require('../src/modules/AttachmentManager');
+const ChangeTracker = require('../src/modules/ChangeTracker');
+const ChatSettings = require('../src/modules/ChatSettings');
+const DedupStore = require('../src/modules/DedupStore');
+const Metrics = require('../src/modules/Metrics');
+const PermissionBroker = require('../src/modules/PermissionBroker');
+const SessionManager = require('../src/modules/SessionManager');
+const StreamingCard = require('../src/modules/StreamingCard');
+const WorktreeManager = require('../src/modules/WorktreeManager');
+const JobScheduler = require('../src/modules/JobScheduler');
+const config = require('../config/default');
+const { createHarness } = require('./harness');
+
+/**
+ * 取出发送的卡片消息标题
+ */
+function cardTitles(feishu) {
+  return feishu.sentMessages()
+    .filter(message => message.msgType === 'interactive')
+    .map(message => message.content.header.title.content);
+}
+
+/**
+ * 取出发送的卡片消息正文
+ */
+function cardBodies(feishu) {
+  return feishu.sentMessages()
+    .filter(message => message.msgType === 'interactive')
+    .map(message => message.content.elements.map(element => element.text?.content || element.content || '').join('\n'));
+}
+
+/**
+ * 取出桩 CLI（echo 模式）在结果卡片中回显的 { argv, stdin, cwd }
+ */
+function echoedInput(message) {
+  const text = message.content.elements.map(element => element.text?.content || element.content || '').join('\n');
+  return JSON.parse(text.match(/\{"argv".*\}/)[0]);
+}
+
+/**
+ * 查找卡片消息中触发指定动作的按钮
+ */
+function findButton(message, action) {
+  return message.content.elements
+    .filter(element => element.tag === 'action')
+    .flatMap(element => element.actions)
+    .find(button => button.value.action === action);
+}
+
+/**
+ * 取出结果卡片（执行成功）
+ */
+function resultCards(feishu) {
+  return feishu.sentMessages().filter(message => message.content.header?.title.content === '✅ 执行成功');
+}
+
+describe('bridge end-to-end', () => {
+  let harness;
+
+  beforeEach(() => {
+    harness = createHarness();
+  });
+
+  afterEach(async () => {
+    await harness.cleanup();
+  });
+
+  test('text message runs the CLI and replies with the result', async () => {
+    harness.script({
+      events: [
+        { type: 'assistant', message: { content: [{ type: 'text', text: '思考中' }] } },
+        harness.resultEvent('你好，我是测试回复')
+      ]
+    });
+
+    await harness.sendText('你好', { chatId: 'oc_text', messageId: 'om_text' });
+
+    const { feishu } = harness;
+    expect(cardTitles(feishu)).toEqual(['🤖 Claude 正在思考', '✅ 执行成功']);
+    expect(cardBodies(feishu)[1]).toContain('你好，我是测试回复');
+
+    const finalCard = JSON.parse(feishu.callsTo('im.message.patch').pop().data.content);
+    expect(finalCard.header.title.content).toBe('✅ 执行完成');
+    expect(feishu.sentMessages().every(message => message.replyTo === 'om_text' && !message.replyInThread)).toBe(true);
+  });
+
+  test('partial messages stream into the progress card without repeating the text', async () => {
+    const delta = text => ({ type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text } } });
+    harness.script({
+      events: [
+        delta('先看'), delta('代码'),
+        { type: 'assistant', message: { content: [{ type: 'text', text: '先看代码' }] } },
+        delta('改好了'),
+        { type: 'assistant', message: { content: [{ type: 'text', text: '改好了' }] } },
+        harness.resultEvent('改好了')
+      ]
+    });
+    const handleEvent = StreamingCard.prototype.handleEvent;
+    const texts = [];
+    const spy = jest.spyOn(StreamingCard.prototype, 'handleEvent').mockImplementation(function (event) {
+      handleEvent.call(this, event);
+      texts.push(this.text);
+    });
+
+    try {
+      await harness.sendText('改一下', { chatId: 'oc_partial' });
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(texts).toEqual(['先看', '先看代码', '先看代码', '先看代码\n\n改好了', '先看代码\n\n改好了', '先看代码\n\n改好了']);
+  });
+
+  test('markdown answers are rendered as card elements', async () => {
+    harness.script({ events: [harness.resultEvent('## 结论\n\n| 项 | 值 |\n|---|---|\n| a | 1 |\n\n```js\nrun();\n```')] });
+
+    await harness.sendText('给个总结', { chatId: 'oc_markdown' });
+
+    const resultCard = harness.feishu.sentMessages().find(message => message.content.header?.title.content === '✅ 执行成功');
+    expect(resultCard.content.header.template).toBe('green');
+    expect(resultCard.content.elements.map(element => element.tag)).toEqual(['div', 'hr', 'div', 'table', 'note', 'markdown', 'action']);
+  });
+
+  test('long prompts are shortened on the result card', async () => {
+    const prompt = `请按以下要求修改：${'第一步改代码，'.repeat(40)}`;
+    harness.script({ events: [harness.resultEvent('改好了')] });
+
+    await harness.sendText(prompt, { chatId: 'oc_long_prompt' });
+
+    const text = cardBodies(harness.feishu)[1];
+    expect(text).toContain(`${prompt.substring(0, 100)}...`);
+    expect(text).not.toContain(prompt);
+  });
+
+  describe('long answers', () => {
+    const outputConfig = { ...config.output };
+    const answer = Array.from({ length: 12 }, (_, i) => `第 ${i + 1} 段 ${'内容'.repeat(20)}`).join('\n\n');
+
+    beforeEach(() => {
+      config.output.chunkSize = 120;
+      harness.script({ events: [harness.resultEvent(answer)] });
+    });
+
+    afterEach(() => {
+      Object.assign(config.output, outputConfig);
+    });
+
+    test('are sent in full as an ordered series of messages', async () => {
+      config.output.maxChunks = 20;
+
+      await harness.sendText('写一篇长文', { chatId: 'oc_long' });
+
+      const bodies = cardBodies(harness.feishu);
+      const titles = cardTitles(harness.feishu);
+      const parts = titles.filter(title => title.startsWith('📄 回复'));
+      expect(parts[0]).toBe(`📄 回复（2/${parts.length + 1}）`);
+      expect(parts[parts.length - 1]).toBe(`📄 回复（${parts.length + 1}/${parts.length + 1}）`);
+
+      const text = bodies.slice(titles.indexOf('✅ 执行成功')).join('\n');
+      for (let i = 1; i <= 12; i++) {
+        expect(text).toContain(`第 ${i} 段 ${'内容'.repeat(20)}`);
+      }
+      expect(harness.feishu.callsTo('im.file.create')).toEqual([]);
+    });
+
+    test('beyond the chunk limit are uploaded as a markdown file', async () => {
+      config.output.maxChunks = 2;
+
+      await harness.sendText('写一篇更长的文章', { chatId: 'oc_huge' });
+
+      const [upload] = harness.feishu.callsTo('im.file.create');
+      expect(upload.data.file_name).toMatch(/^reply-\d+\.md$/);
+      expect(upload.data.file.toString('utf-8')).toBe(answer);
+      expect(cardTitles(harness.feishu).some(title => title.startsWith('📄 回复'))).toBe(false);
+      expect(harness.feishu.sentMessages().pop().msgType).toBe('file');
+    });
+  });
+
+  describe('card buttons', () => {
+    test('are attached to the result card', async () => {
+      harness.script({ events: [harness.resultEvent('完成')] });
+
+      await harness.sendText('你好', { chatId: 'oc_buttons' });
+
+      const [card] = resultCards(harness.feishu);
+      for (const action of ['continue', 'regenerate', 'new', 'send_file']) {
+        expect(findButton(card, action).value).toMatchObject({ chatId: 'oc_buttons', openId: 'ou_tester', record: 0 });
+      }
+    });
+
+    test('continue the conversation as the initiator', async () => {
+      await harness.sendText('第一个问题', { chatId: 'oc_continue' });
+
+      const response = await harness.clickButton(findButton(resultCards(harness.feishu)[0], 'continue'), { chatId: 'oc_continue' });
+      expect(response.toast.type).toBe('success');
+      await harness.waitForIdle();
+
+      const [, second] = resultCards(harness.feishu).map(echoedInput);
+      expect(second.argv).toContain('--resume');
+      expect(second.stdin).toBe('继续');
+    });
+
+    test('regenerate the answer with the original question', async () => {
+      await harness.sendText('原来的问题', { chatId: 'oc_regenerate' });
+
+      await harness.clickButton(findButton(resultCards(harness.feishu)[0], 'regenerate'), { chatId: 'oc_regenerate' });
+      await harness.waitForIdle();
+
+      const [, second] = resultCards(harness.feishu).map(echoedInput);
+      expect(second.stdin).toBe('原来的问题');
+    });
+
+    test('start a new conversation', async () => {
+      await harness.sendText('你好', { chatId: 'oc_new' });
+
+      const response = await harness.clickButton(findButton(resultCards(harness.feishu)[0], 'new'), { chatId: 'oc_new' });
+      expect(response.toast.content).toContain('新对话');
+
+      await harness.sendText('再问一次', { chatId: 'oc_new' });
+      const [, second] = resultCards(harness.feishu).map(echoedInput);
+      expect(second.argv).toContain('--session-id');
+    });
+
+    test('reject clicks from anyone but the initiator', async () => {
+      await harness.sendText('你好', { chatId: 'oc_initiator' });
+
+      const response = await harness.clickButton(findButton(resultCards(harness.feishu)[0], 'continue'), {
+        chatId: 'oc_initiator',
+        openId: 'ou_someone_else'
+      });
+
+      expect(response.toast).toEqual({ type: 'warning', content: '只有发起人可以执行此操作' });
+      await harness.waitForIdle();
+      expect(resultCards(harness.feishu)).toHaveLength(1);
+    });
+
+    test('reject initiator-only clicks when the button has no initiator', async () => {
+      await harness.sendText('你好', { chatId: 'oc_no_initiator' });
+
+      const button = findButton(resultCards(harness.feishu)[0], 'continue');
+      const { openId, ...value } = button.value;
+      const response = await harness.clickButton({ ...button, value }, { chatId: 'oc_no_initiator', openId });
+
+      expect(response.toast).toEqual({ type: 'warning', content: '只有发起人可以执行此操作' });
+      await harness.waitForIdle();
+      expect(resultCards(harness.feishu)).toHaveLength(1);
+    });
+
+    test('send the answer as a markdown file', async () => {
+      harness.script({ events: [harness.resultEvent('# 报告\n\n内容')] });
+      await harness.sendText('写报告', { chatId: 'oc_send_file' });
+
+      await harness.clickButton(findButton(resultCards(harness.feishu)[0], 'send_file'), { chatId: 'oc_send_file' });
+      await harness.waitFor(() => harness.feishu.sentMessages().some(message => message.msgType === 'file'));
+
+      expect(harness.feishu.callsTo('im.file.create')[0].data.file_name).toMatch(/\.md$/);
+    });
+
+    test('cancel a running task from the progress card', async () => {
+      process.env.STUB_CLI_MODE = 'hang';
+      const sending = harness.sendText('很慢的任务', { chatId: 'oc_cancel' });
+      await harness.waitFor(() => harness.feishu.sentMessages().some(message => findButton(message, 'cancel')));
+
+      const progress = harness.feishu.sentMessages().find(message => findButton(message, 'cancel'));
+      const response = await harness.clickButton(findButton(progress, 'cancel'), { chatId: 'oc_cancel' });
+      await sending;
+
+      expect(response.toast).toEqual({ type: 'success', content: '已取消任务' });
+      expect(EventHandler.processingSessions.size).toBe(0);
+      expect(resultCards(harness.feishu)).toHaveLength(0);
+    });
+
+    test('start queued messages only after the cancelled CLI has exited', async () => {
+      process.env.STUB_CLI_MODE = 'hang';
+      const sending = harness.sendText('很慢的任务', { chatId: 'oc_cancel_queue' });
+      const claude = AdapterRegistry.get('claude');
+      await harness.waitFor(() => claude.runningProcesses.size > 0);
+      const [[sessionId, running]] = claude.runningProcesses;
+      await harness.sendText('排队的消息', { chatId: 'oc_cancel_queue' });
+
+      process.env.STUB_CLI_MODE = 'echo';
+      expect(EventHandler.cancelTask(sessionId)).toBe(true);
+
+      // 进程退出前仍占用会话，排队的消息不会开始执行
+      expect(EventHandler.processingSessions.get(sessionId).cancelled).toBe(true);
+      expect(EventHandler.getQueueLength(sessionId)).toBe(1);
+
+      const exited = new Promise(resolve => running.child.once('close', () => resolve(EventHandler.getQueueLength(sessionId))));
+      expect(await exited).toBe(1);
+      await sending;
+      await harness.waitForIdle();
+
+      expect(echoedInput(resultCards(harness.feishu)[0]).stdin).toBe('排队的消息');
+    });
+
+    test('are answered with an error toast when the action is unknown', async () => {
+      const response = await harness.clickButton({ value: { action: 'missing' } });
+      expect(response.toast).toEqual({ type: 'error', content: '未知操作' });
+    });
+  });
+
+  describe('tool permission approval', () => {
+    const originalTimeout = config.permission.timeout;
+
+    /**
+     * 让桩 CLI 请求审批一次工具调用，返回等待消息处理完成的 Promise
+     */
+    function requestTool(request, options = {}) {
+      process.env.STUB_CLI_MODE = 'permission';
+      process.env.STUB_CLI_PERMISSION = JSON.stringify(request);
+      return harness.sendText('清理构建目录', { chatId: 'oc_permission', ...options });
+    }
+
+    /**
+     * 等待审批卡片发出
+     */
+    async function approvalCard() {
+      await harness.waitFor(() => harness.feishu.sentMessages().some(message => findButton(message, 'permission')));
+      return harness.feishu.sentMessages().find(message => findButton(message, 'permission'));
+    }
+
+    /**
+     * 取出审批卡片上指定决定的按钮
+     */
+    function decisionButton(card, decision) {
+      return card.content.elements
+        .filter(element => element.tag === 'action')
+        .flatMap(element => element.actions)
+        .find(button => button.value.decision === decision);
+    }
+
+    /**
+     * 取出审批卡片更新后的标题（进度卡片的更新不计在内）
+     */
+    function approvalUpdates(command) {
+      return harness.feishu.callsTo('im.message.patch')
+        .map(call => JSON.parse(call.data.content))
+        .filter(card => card.elements[0].content?.includes(command))
+        .map(card => card.header.title.content);
+    }
+
+    /**
+     * 取出桩 CLI 输出的审批结果
+     */
+    function decisions() {
+      return resultCards(harness.feishu).map(message => {
+        const text = message.content.elements.map(element => element.text?.content || element.content || '').join('\n');
+        return JSON.parse(text.match(/\{"behavior".*\}/)[0]);
+      });
+    }
+
+    beforeEach(async () => {
+      await PermissionBroker.start();
+    });
+
+    afterEach(async () => {
+      config.permission.timeout = originalTimeout;
+      delete process.env.STUB_CLI_PERMISSION;
+      await harness.waitForIdle();
+      await PermissionBroker.stop();
+    });
+
+    test('passes the approval MCP server to the Claude CLI', async () => {
+      await harness.sendText('你好', { chatId: 'oc_permission' });
+
+      const { argv } = echoedInput(resultCards(harness.feishu)[0]);
+      expect(argv[argv.indexOf('--permission-prompt-tool') + 1]).toBe('mcp__feishu__approve');
+      expect(JSON.parse(argv[argv.indexOf('--mcp-config') + 1]).mcpServers.feishu.args[0]).toMatch(/permissionServer\.js$/);
+    });
+
+    test('asks the requester and returns an approval', async () => {
+      const sending = requestTool({ tool_name: 'Bash', input: { command: 'rm -rf build' } });
+
+      const card = await approvalCard();
+      expect(card.content.header.title.content).toBe('🔐 Claude 请求使用 Bash');
+      expect(card.content.elements[0].content).toContain('rm -rf build');
+
+      const response = await harness.clickButton(decisionButton(card, 'allow'), { chatId: 'oc_permission' });
+      await sending;
+
+      expect(response.toast.type).toBe('success');
+      expect(decisions()).toEqual([{ behavior: 'allow', updatedInput: { command: 'rm -rf build' } }]);
+      expect(approvalUpdates('rm -rf build')).toEqual(['✅ 已允许']);
+      expect(Metrics.get('permission.allow')).toBeGreaterThan(0);
+    });
+
+    test('returns a denial', async () => {
+      const sending = requestTool({ tool_name: 'Write', input: { file_path: '/etc/hosts', content: '' } });
+
+      await harness.clickButton(decisionButton(await approvalCard(), 'deny'), { chatId: 'oc_permission' });
+      await sending;
+
+      expect(decisions()).toEqual([{ behavior: 'deny', message: '用户在飞书中拒绝了该操作' }]);
+    });
+
+    test('denies when nobody answers in time', async () => {
+      config.permission.timeout = 0.2;
+
+      await requestTool({ tool_name: 'Edit', input: { file_path: 'src/index.js' } });
+
+      expect(decisions()[0]).toMatchObject({ behavior: 'deny', message: expect.stringContaining('超时') });
+    });
+
+    test('cannot be answered by anyone but the requester', async () => {
+      config.permission.timeout = 1;
+      const sending = requestTool({ tool_name: 'Bash', input: { command: 'ls' } });
+
+      const response = await harness.clickButton(decisionButton(await approvalCard(), 'allow'), {
+        chatId: 'oc_permission',
+        openId: 'ou_someone_else'
+      });
+      await sending;
+
+      expect(response.toast.content).toBe('只有发起人可以执行此操作');
+      expect(decisions()[0].behavior).toBe('deny');
+    });
+
+    test('remember "always allow" in the session until cleared', async () => {
+      const request = { tool_name: 'Bash', input: { command: 'git status' } };
+      const sending = requestTool(request);
+      await harness.clickButton(decisionButton(await approvalCard(), 'always'), { chatId: 'oc_permission' });
+      await sending;
+
+      // 同一对话中再次请求时直接允许，不再发送审批卡片
+      await requestTool({ tool_name: 'Bash', input: { command: 'git log' } });
+      const cards = harness.feishu.sentMessages().filter(message => findButton(message, 'permission'));
+      expect(cards).toHaveLength(1);
+      expect(decisions()[1]).toEqual({ behavior: 'allow', updatedInput: { command: 'git log' } });
+
+      const [session] = Array.from(SessionManager.sessions.values()).filter(item => item.chatId === 'oc_permission');
+      expect(session.permissionRules).toEqual(['Bash(git)']);
+
+      await harness.sendText('/permissions', { chatId: 'oc_permission' });
+      expect(harness.feishu.sentTexts().pop()).toContain('Bash(git)');
+      await harness.sendText('/permissions clear', { chatId: 'oc_permission' });
+      expect(session.permissionRules).toEqual([]);
+    });
+
+    test('still ask for chained shell commands covered by an "always allow" rule', async () => {
+      const sending = requestTool({ tool_name: 'Bash', input: { command: 'git status' } });
+      await harness.clickButton(decisionButton(await approvalCard(), 'always'), { chatId: 'oc_permission' });
+      await sending;
+
+      const chained = requestTool({ tool_name: 'Bash', input: { command: 'git status && rm -rf ~' } });
+      const permissionCards = () => harness.feishu.sentMessages().filter(message => findButton(message, 'permission'));
+      await harness.waitFor(() => permissionCards().length === 2);
+
+      // 含 shell 运算符的命令只能单次允许
+      const card = permissionCards()[1];
+      expect(card.content.elements[0].content).toContain('git status && rm -rf ~');
+      expect(decisionButton(card, 'always')).toBeUndefined();
+
+      await harness.clickButton(decisionButton(card, 'deny'), { chatId: 'oc_permission' });
+      await chained;
+
+      expect(decisions()[1].behavior).toBe('deny');
+      const [session] = Array.from(SessionManager.sessions.values()).filter(item => item.chatId === 'oc_permission');
+      expect(session.permissionRules).toEqual(['Bash(git)']);
+    });
+
+    test('cannot always allow wrappers, interpreters or variable expansion', () => {
+      for (const command of [
+        'bash -c "rm -rf ~"', 'sh script.sh', 'env rm -rf ~', 'xargs rm', 'find . -exec rm {} +',
+        'python3 -c "import os"', '/usr/bin/python3.11 -c 1', 'node -e 1', 'sudo ls',
+        'git -c core.pager=sh log', 'FOO=1 git status', 'echo ${HOME}', 'rm -rf $HOME'
+      ]) {
+        expect(PermissionBroker.getRuleKey('Bash', { command })).toBeNull();
+      }
+      expect(PermissionBroker.getRuleKey('Bash', { command: 'git status --short' })).toBe('Bash(git)');
+    });
+
+    test('scope "always allow" for file edits to the working directory', () => {
+      const workDir = path.join(harness.workDir, 'repo');
+
+      expect(PermissionBroker.getRuleKey('Edit', { file_path: path.join(workDir, 'src/index.js') }, workDir)).toBe(`Edit(${workDir})`);
+      expect(PermissionBroker.getRuleKey('Write', { file_path: 'notes.md' }, workDir)).toBe(`Write(${workDir})`);
+      expect(PermissionBroker.getRuleKey('Edit', { file_path: '/etc/hosts' }, workDir)).toBeNull();
+      expect(PermissionBroker.getRuleKey('MultiEdit', { file_path: path.join(workDir, '../other/a.js') }, workDir)).toBeNull();
+      expect(PermissionBroker.getRuleKey('Edit', { file_path: 'src/index.js' }, null)).toBeNull();
+    });
+
+    test('do not let an "always allow" for edits in the project cover files outside it', async () => {
+      const root = fs.realpathSync(harness.workDir);
+      const originalProject = { ...config.project };
+      config.project.defaultDir = root;
+
+      try {
+        const sending = requestTool({ tool_name: 'Edit', input: { file_path: path.join(root, 'a.js') } });
+        await harness.clickButton(decisionButton(await approvalCard(), 'always'), { chatId: 'oc_permission' });
+        await sending;
+
+        await requestTool({ tool_name: 'Edit', input: { file_path: path.join(root, 'b.js') } });
+        const outside = requestTool({ tool_name: 'Edit', input: { file_path: '/etc/hosts' } });
+        const permissionCards = () => harness.feishu.sentMessages().filter(message => findButton(message, 'permission'));
+        await harness.waitFor(() => permissionCards().length === 2);
+
+        const card = permissionCards()[1];
+        expect(card.content.elements[0].content).toContain('/etc/hosts');
+        expect(decisionButton(card, 'always')).toBeUndefined();
+        await harness.clickButton(decisionButton(card, 'deny'), { chatId: 'oc_permission' });
+        await outside;
+
+        expect(decisions().map(decision => decision.behavior)).toEqual(['allow', 'allow', 'deny']);
+        const [session] = Array.from(SessionManager.sessions.values()).filter(item => item.chatId === 'oc_permission');
+        expect(session.permissionRules).toEqual([`Edit(${root})`]);
+      } finally {
+        Object.assign(config.project, originalProject);
+      }
+    });
+
+    test('pending approvals are withdrawn when the task is cancelled', async () => {
+      const sending = requestTool({ tool_name: 'Bash', input: { command: 'make deploy' } });
+      await approvalCard();
+
+      await harness.sendText('/cancel', { chatId: 'oc_permission' });
+      await sending;
+
+      expect(approvalUpdates('make deploy')).toEqual(['🛑 任务已结束']);
+      expect(PermissionBroker.pending.size).toBe(0);
+    });
+  });
+
+  describe('project directories', () => {
+    const originalProject = { ...config.project };
+    let root;
+
+    beforeEach(() => {
+      root = fs.realpathSync(harness.workDir);
+      fs.mkdirSync(path.join(root, 'repo/src'), { recursive: true });
+      config.project.roots = [root];
+    });
+
+    afterEach(() => {
+      Object.assign(config.project, originalProject);
+    });
+
+    test('run the CLI in the directory chosen with /cd and show it on the result card', async () => {
+      await harness.sendText('/cd repo', { chatId: 'oc_project' });
+      expect(harness.feishu.sentTexts().pop()).toContain(`项目目录已切换到 ${path.join(root, 'repo')}`);
+
+      await harness.sendText('看看代码', { chatId: 'oc_project' });
+
+      const [card] = resultCards(harness.feishu);
+      expect(echoedInput(card).cwd).toBe(path.join(root, 'repo'));
+      expect(card.content.elements[0].text.content).toContain(`📁 ${path.join(root, 'repo')}`);
+    });
+
+    test('resolve relative paths against the current directory and start a new conversation', async () => {
+      await harness.sendText('/cd repo', { chatId: 'oc_project' });
+      await harness.sendText('第一个问题', { chatId: 'oc_project' });
+      await harness.sendText('/cd src', { chatId: 'oc_project' });
+      await harness.sendText('第二个问题', { chatId: 'oc_project' });
+
+      const [, second] = resultCards(harness.feishu).map(echoedInput);
+      expect(second.cwd).toBe(path.join(root, 'repo/src'));
+      expect(second.argv).toContain('--session-id');
+    });
+
+    test('reject directories outside the allowed roots', async () => {
+      fs.symlinkSync('/', path.join(root, 'escape'));
+
+      for (const target of ['/etc', '../..', 'escape', 'missing']) {
+        await harness.sendText(`/cd ${target}`, { chatId: 'oc_project' });
+        expect(harness.feishu.sentTexts().pop()).toMatch(/^⚠️/);
+      }
+
+      await harness.sendText('你好', { chatId: 'oc_project' });
+      expect(echoedInput(resultCards(harness.feishu)[0]).cwd).toBe(process.cwd());
+    });
+
+    test('cannot be changed when no roots are configured', async () => {
+      config.project.roots = [];
+
+      await harness.sendText('/cd repo', { chatId: 'oc_project' });
+
+      expect(harness.feishu.sentTexts().pop()).toContain('PROJECT_ROOTS');
+    });
+
+    test('are persisted with the session and can be reset to the default', async () => {
+      config.project.defaultDir = root;
+      await harness.sendText('/cd repo', { chatId: 'oc_project' });
+
+      const [session] = Array.from(SessionManager.sessions.values()).filter(item => item.chatId === 'oc_project');
+      const restored = SessionManager.parseSessionFromMarkdown(SessionManager.formatSessionToMarkdown(session));
+      expect(restored.projectDir).toBe(path.join(root, 'repo'));
+
+      await harness.sendText('/cd default', { chatId: 'oc_project' });
+      expect(harness.feishu.sentTexts().pop()).toContain(`已恢复默认项目目录: ${root}`);
+      await harness.sendText('你好', { chatId: 'oc_project' });
+      expect(echoedInput(resultCards(harness.feishu)[0]).cwd).toBe(root);
+    });
+  });
+
+  describe('isolated workspaces', () => {
+    const originalProject = { ...config.project };
+    const originalWorkspace = { ...config.workspace };
+    let repo;
+
+    /**
+     * 在测试仓库中执行 git 命令
+     */
+    function git(...args) {
+      return execFileSync('git', ['-c', 'user.name=tester', '-c', 'user.email=tester@example.com', ...args], {
+        cwd: repo,
+        encoding: 'utf8'
+      }).trim();
+    }
+
+    /**
+     * 在对话中执行一次任务，返回对话的会话 ID 和工作区目录
+     */
+    async function run(chatId = 'oc_workspace') {
+      await harness.sendText('改一下代码', { chatId });
+      const session = Array.from(SessionManager.sessions.values()).find(item => item.chatId === chatId);
+      return { sessionId: session.id, cwd: echoedInput(resultCards(harness.feishu).pop()).cwd };
+    }
+
+    beforeEach(() => {
+      const root = fs.realpathSync(harness.workDir);
+      repo = path.join(root, 'repo');
+      fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(repo, 'src/index.js'), 'console.log(1);\n');
+      git('init', '-q', '-b', 'main');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'init');
+
+      Object.assign(config.workspace, { enabled: true, root: path.join(root, 'workspaces') });
+      Object.assign(config.project, { roots: [root], defaultDir: repo });
+    });
+
+    afterEach(() => {
+      Object.assign(config.project, originalProject);
+      Object.assign(config.workspace, originalWorkspace);
+    });
+
+    test('run each conversation in its own worktree and branch', async () => {
+      const first = await run('oc_workspace_a');
+      const second = await run('oc_workspace_b');
+
+      expect(first.cwd).toBe(WorktreeManager.getPath(first.sessionId));
+      expect(second.cwd).toBe(WorktreeManager.getPath(second.sessionId));
+      expect(first.cwd).not.toBe(second.cwd);
+      expect(git('branch', '--list', 'feishu/*').split('\n')).toHaveLength(2);
+
+      // 同一对话的后续消息继续使用同一个工作区
+      expect((await run('oc_workspace_a')).cwd).toBe(first.cwd);
+    });
+
+    test('map the project subdirectory into the worktree', async () => {
+      await harness.sendText('/cd src', { chatId: 'oc_workspace' });
+
+      const { sessionId, cwd } = await run();
+
+      expect(cwd).toBe(path.join(WorktreeManager.getPath(sessionId), 'src'));
+    });
+
+    test('show, commit and discard changes', async () => {
+      const { sessionId, cwd } = await run();
+      fs.writeFileSync(path.join(cwd, 'src/index.js'), 'console.log(2);\n');
+      fs.writeFileSync(path.join(cwd, 'NOTES.md'), '# notes\n');
+
+      await harness.sendText('/diff', { chatId: 'oc_workspace' });
+      const diffCard = harness.feishu.sentMessages().pop();
+      expect(diffCard.content.header.title.content).toBe('📝 工作区修改');
+      const diffText = diffCard.content.elements.map(element => element.content || element.text?.content || '').join('\n');
+      expect(diffText).toContain('NOTES.md');
+      expect(diffText).toContain('+console.log(2);');
+      // 查看修改不会暂存文件
+      expect(git('-C', cwd, 'diff', '--cached', '--name-only')).toBe('');
+
+      await harness.sendText('/commit 更新输出', { chatId: 'oc_workspace' });
+      expect(harness.feishu.sentTexts().pop()).toContain(`到分支 feishu/${sessionId}`);
+      expect(git('log', '-1', '--format=%s', `feishu/${sessionId}`)).toBe('更新输出');
+      expect(git('log', '-1', '--format=%s', 'main')).toBe('init');
+
+      await harness.sendText('/diff', { chatId: 'oc_workspace' });
+      expect(harness.feishu.sentTexts().pop()).toContain('没有未提交的修改');
+
+      await harness.sendText('/discard', { chatId: 'oc_workspace' });
+      const confirm = findButton(harness.feishu.sentMessages().pop(), 'workspace_discard');
+      const response = await harness.clickButton(confirm, { chatId: 'oc_workspace' });
+
+      expect(response.toast.type).toBe('success');
+      expect(fs.existsSync(cwd)).toBe(false);
+      expect(git('branch', '--list', `feishu/${sessionId}`)).toBe('');
+    });
+
+    test('keep uncommitted changes when switching to another repository', async () => {
+      const other = path.join(path.dirname(repo), 'other');
+      fs.mkdirSync(other);
+      const { cwd } = await run();
+      fs.writeFileSync(path.join(cwd, 'draft.txt'), 'draft');
+
+      await harness.sendText('/cd ../other', { chatId: 'oc_workspace' });
+      expect(harness.feishu.sentTexts().pop()).toContain('未提交的修改');
+
+      await harness.sendText('/cd src', { chatId: 'oc_workspace' });
+      expect(harness.feishu.sentTexts().pop()).toContain('项目目录已切换到');
+    });
+
+    test('are removed with expired sessions, keeping branches with unmerged commits', async () => {
+      const idle = await run('oc_workspace_idle');
+      const busy = await run('oc_workspace_busy');
+      git('-C', busy.cwd, 'commit', '-q', '--allow-empty', '-m', 'wip');
+
+      for (const session of SessionManager.sessions.values()) {
+        session.lastActivity = new Date(0).toISOString();
+      }
+      await SessionManager.cleanupExpiredSessions();
+
+      expect(fs.existsSync(idle.cwd)).toBe(false);
+      expect(fs.existsSync(busy.cwd)).toBe(false);
+      expect(git('branch', '--list', `feishu/${idle.sessionId}`)).toBe('');
+      expect(git('branch', '--list', `feishu/${busy.sessionId}`)).toContain(busy.sessionId);
+      expect(git('worktree', 'list').split('\n')).toHaveLength(1);
+    });
+
+    test('are not created without a project directory', async () => {
+      config.project.defaultDir = '';
+
+      const { sessionId, cwd } = await run();
+
+      expect(cwd).toBe(process.cwd());
+      expect(await WorktreeManager.get(sessionId)).toBeNull();
+    });
+
+    test('are not used outside git repositories', async () => {
+      const plain = path.join(path.dirname(repo), 'plain');
+      fs.mkdirSync(plain);
+      config.project.defaultDir = plain;
+
+      expect((await run()).cwd).toBe(plain);
+    });
+  });
+
+  describe('file changes', () => {
+    const originalProject = { ...config.project };
+    const originalChanges = { ...config.changes };
+    let repo;
+
+    /**
+     * 在测试仓库中执行 git 命令
+     */
+    function git(...args) {
+      return execFileSync('git', ['-c', 'user.name=tester', '-c', 'user.email=tester@example.com', ...args], {
+        cwd: repo,
+        encoding: 'utf8'
+      });
+    }
+
+    /**
+     * 结果卡片的摘要文本
+     */
+    function summaryOf(message) {
+      return message.content.elements[0].text.content;
+    }
+
+    beforeEach(() => {
+      repo = path.join(fs.realpathSync(harness.workDir), 'repo');
+      fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(repo, 'src/index.js'), 'console.log(1);\n');
+      fs.writeFileSync(path.join(repo, 'old.txt'), 'old\n');
+      git('init', '-q', '-b', 'main');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'init');
+      config.project.defaultDir = repo;
+    });
+
+    afterEach(() => {
+      Object.assign(config.project, originalProject);
+      Object.assign(config.changes, originalChanges);
+    });
+
+    test('summarize changed files on the result card and upload the diff', async () => {
+      harness.script({
+        files: { 'src/index.js': 'console.log(2);\n', '新文件.md': '# notes\n', 'old.txt': null },
+        events: [harness.resultEvent('改好了')]
+      });
+
+      await harness.sendText('改一下代码');
+
+      const summary = summaryOf(resultCards(harness.feishu).pop());
+      expect(summary).toContain('**修改的文件:** 3 个（+2 -2）');
+      expect(summary).toContain('✏️ src/index.js（+1 -1）');
+      expect(summary).toContain('🆕 新文件.md（+1 -0）');
+      expect(summary).toContain('🗑️ old.txt（+0 -1）');
+
+      const [upload] = harness.feishu.callsTo('im.file.create');
+      expect(upload.data.file_name).toMatch(/^changes-\d+\.diff$/);
+      const patch = upload.data.file.toString();
+      expect(patch).toContain('-console.log(1);\n+console.log(2);');
+      expect(patch).toContain('+++ b/新文件.md');
+      expect(harness.feishu.sentMessages().pop().msgType).toBe('file');
+
+      // 快照不影响仓库的索引
+      expect(git('-c', 'core.quotePath=false', 'status', '--porcelain').split('\n').filter(Boolean).sort()).toEqual([
+        ' D old.txt',
+        ' M src/index.js',
+        '?? 新文件.md'
+      ]);
+    });
+
+    test('leave out changes made before the run', async () => {
+      fs.writeFileSync(path.join(repo, 'draft.txt'), 'draft\n');
+      harness.script({ files: { 'src/index.js': 'console.log(2);\n' }, events: [harness.resultEvent('改好了')] });
+
+      await harness.sendText('改一下代码');
+
+      const summary = summaryOf(resultCards(harness.feishu).pop());
+      expect(summary).toContain('**修改的文件:** 1 个');
+      expect(summary).not.toContain('draft.txt');
+    });
+
+    test('list at most CHANGE_SUMMARY_MAX_FILES files', async () => {
+      config.changes.maxFiles = 2;
+      harness.script({
+        files: { 'a.txt': 'a\n', 'b.txt': 'b\n', 'c.txt': 'c\n', 'd.txt': 'd\n' },
+        events: [harness.resultEvent('改好了')]
+      });
+
+      await harness.sendText('改一下代码');
+
+      const summary = summaryOf(resultCards(harness.feishu).pop());
+      expect(summary).toContain('🆕 b.txt');
+      expect(summary).not.toContain('c.txt');
+      expect(summary).toContain('…另有 2 个文件');
+    });
+
+    test('send nothing extra when no file changed', async () => {
+      harness.script({ events: [harness.resultEvent('看过了')] });
+
+      await harness.sendText('看一下代码');
+
+      expect(summaryOf(resultCards(harness.feishu).pop())).not.toContain('修改的文件');
+      expect(harness.feishu.callsTo('im.file.create')).toEqual([]);
+    });
+
+    test('skip tracking when the conversation has no project directory', async () => {
+      const snapshot = jest.spyOn(ChangeTracker, 'snapshot');
+      config.project.defaultDir = '';
+      harness.script({ events: [harness.resultEvent('看过了')] });
+
+      try {
+        await harness.sendText('看一下代码');
+        expect(snapshot).not.toHaveBeenCalled();
+      } finally {
+        snapshot.mockRestore();
+      }
+    });
+
+    test('skip tracking when disabled or outside git repositories', async () => {
+      const plain = path.join(path.dirname(repo), 'plain');
+      fs.mkdirSync(plain);
+      config.project.defaultDir = plain;
+      harness.script({ files: { 'a.txt': 'a\n' }, events: [harness.resultEvent('改好了')] });
+      await harness.sendText('改一下代码');
+
+      config.project.defaultDir = repo;
+      config.changes.enabled = false;
+      await harness.sendText('再改一下');
+
+      for (const card of resultCards(harness.feishu)) {
+        expect(summaryOf(card)).not.toContain('修改的文件');
+      }
+      expect(harness.feishu.callsTo('im.file.create')).toEqual([]);
+    });
+  });
+
+  describe('job scheduler', () => {
+    const originalLimits = { ...config.scheduler };
+
+    /**
+     * 取出排队中的进度卡片（卡片更新后的内容）
+     */
+    function queuedCards(feishu) {
+      return feishu.callsTo('im.message.patch')
+        .map(call => JSON.parse(call.data.content))
+        .filter(card => card.header.title.content === '⏸️ Claude 排队中');
+    }
+
+    beforeEach(() => {
+      Object.assign(config.scheduler, { maxConcurrent: 1, maxPerUser: 0, maxPerChat: 0 });
+    });
+
+    afterEach(() => {
+      Object.assign(config.scheduler, originalLimits);
+    });
+
+    test('queue runs beyond the limit with a visible wait position', async () => {
+      harness.script({ events: [harness.resultEvent('完成')], delay: 500 });
+      const first = harness.sendText('第一个任务', { chatId: 'oc_sched_a' });
+      await harness.waitFor(() => JobScheduler.getState().running === 1);
+      const second = harness.sendText('第二个任务', { chatId: 'oc_sched_b' });
+      await harness.waitFor(() => queuedCards(harness.feishu).length > 0);
+
+      const queued = queuedCards(harness.feishu).pop();
+      expect(queued.elements[0].text.content).toContain('排在第 **1** 位');
+      expect(findButton({ content: queued }, 'cancel')).toBeDefined();
+
+      await harness.sendText('/status', { chatId: 'oc_sched_b' });
+      const status = harness.feishu.sentTexts().pop();
+      expect(status).toContain('⏸️ 等待运行名额（第 1 位）: 第二个任务');
+      expect(status).toContain('全局: 运行中 1/1，排队 1（每个用户 不限、每个聊天 不限）');
+
+      await Promise.all([first, second]);
+      expect(resultCards(harness.feishu)).toHaveLength(2);
+
+      await harness.sendText('/status', { chatId: 'oc_sched_b' });
+      expect(harness.feishu.sentTexts().pop()).toBe('💤 当前没有正在执行的任务\n全局: 运行中 0/1，排队 0（每个用户 不限、每个聊天 不限）');
+    });
+
+    test('cancel a queued run before it starts', async () => {
+      process.env.STUB_CLI_MODE = 'hang';
+      const first = harness.sendText('很慢的任务', { chatId: 'oc_sched_a' });
+      await harness.waitFor(() => JobScheduler.getState().running === 1);
+      const second = harness.sendText('排队的任务', { chatId: 'oc_sched_b' });
+      await harness.waitFor(() => queuedCards(harness.feishu).length > 0);
+
+      const cancel = findButton({ content: queuedCards(harness.feishu).pop() }, 'cancel');
+      const response = await harness.clickButton(cancel, { chatId: 'oc_sched_b' });
+      await second;
+
+      expect(response.toast).toEqual({ type: 'success', content: '已取消任务' });
+      expect(JobScheduler.getState()).toMatchObject({ running: 1, waiting: 0 });
+
+      await harness.sendText('/cancel', { chatId: 'oc_sched_a' });
+      await first;
+      expect(JobScheduler.getState()).toMatchObject({ running: 0, waiting: 0 });
+      expect(resultCards(harness.feishu)).toHaveLength(0);
+    });
+  });
+
+  describe('replies', () => {
+    const replyConfig = { ...config.reply };
+
+    afterEach(() => {
+      Object.assign(config.reply, replyConfig);
+    });
+
+    test('stay in the thread of a topic message', async () => {
+      await harness.sendText('话题里的问题', { chatId: 'oc_topic', messageId: 'om_topic_2', threadId: 'omt_1' });
+
+      const messages = harness.feishu.sentMessages();
+      expect(messages.length).toBeGreaterThan(0);
+      expect(messages.every(message => message.replyTo === 'om_topic_2' && message.replyInThread)).toBe(true);
+    });
+
+    test('open a thread per question in thread mode and continue the conversation inside it', async () => {
+      config.reply.inThread = true;
+
+      await harness.sendText('第一个问题', { chatId: 'oc_threads', messageId: 'om_root' });
+      expect(harness.feishu.sentMessages().every(message => message.replyTo === 'om_root' && message.replyInThread)).toBe(true);
+
+      // 话题中的后续消息 root_id 为话题的第一条消息
+      const followUp = harness.buildMessageEvent('text', { text: '追问' }, { chatId: 'oc_threads', messageId: 'om_follow', threadId: 'omt_2' });
+      followUp.event.message.root_id = 'om_root';
+      await harness.deliver(followUp);
+
+      const argvs = harness.feishu.sentMessages()
+        .filter(message => message.content.header?.title.content === '✅ 执行成功')
+        .map(message => echoedInput(message).argv);
+      expect(argvs).toHaveLength(2);
+      expect(argvs[1]).toContain('--resume');
+
+      await harness.sendText('新的问题', { chatId: 'oc_threads', messageId: 'om_root_2' });
+      const last = echoedInput(resultCards(harness.feishu).pop());
+      expect(last.argv).toContain('--session-id');
+    });
+
+    test('fall back to a new message when the original cannot be replied to', async () => {
+      harness.feishu.fail('im.message.reply', new Error('message recalled'));
+
+      await harness.sendText('/status', { chatId: 'oc_recalled' });
+
+      expect(harness.feishu.sentMessages().pop()).toMatchObject({ receiveId: 'oc_recalled', msgType: 'text' });
+    });
+
+    test('can be turned off', async () => {
+      config.reply.enabled = false;
+
+      await harness.sendText('/status', { chatId: 'oc_no_reply' });
+
+      expect(harness.feishu.callsTo('im.message.reply')).toEqual([]);
+      expect(harness.feishu.sentMessages()).toEqual([expect.objectContaining({ receiveId: 'oc_no_reply' })]);
+    });
+  });
+
+  describe('image messages', () => {
+    const png = Buffer.from('89504e470d0a1a0a', 'hex');
+
+    beforeEach(() => {
+      harness.feishu.respond('im.messageResource.get', () => ({
+        headers: { 'content-type': 'image/png', 'content-length': String(png.length) },
+        getReadableStream: () => Readable.from([png])
+      }));
+    });
+
+    test('are downloaded and passed to the CLI with --add-dir', async () => {
+      await harness.sendMessage('image', { image_key: 'img_v3_abc' }, { chatId: 'oc_image', messageId: 'om_image' });
+
+      const [download] = harness.feishu.callsTo('im.messageResource.get');
+      expect(download).toMatchObject({
+        path: { message_id: 'om_image', file_key: 'img_v3_abc' },
+        params: { type: 'image' }
+      });
+
+      // 默认 echo 模式：结果为桩 CLI 收到的 argv 和 stdin
+      const resultCard = harness.feishu.sentMessages().find(message => message.content.header?.title.content === '✅ 执行成功');
+      const received = echoedInput(resultCard);
+      const sessionDir = received.argv[received.argv.indexOf('--add-dir') + 1];
+      const imagePath = path.join(sessionDir, 'img_v3_abc.png');
+
+      expect(received.stdin).toContain(imagePath);
+      expect(fs.readFileSync(imagePath)).toEqual(png);
+
+      const sessionId = path.basename(sessionDir);
+      await AttachmentManager.cleanupSession(sessionId);
+      expect(fs.existsSync(sessionDir)).toBe(false);
+    });
+
+    test('embedded in rich-text posts are downloaded with the post text', async () => {
+      const post = {
+        title: '',
+        content: [
+          [{ tag: 'text', text: '按钮错位了' }, { tag: 'img', image_key: 'img_in_post' }],
+          [{ tag: 'code_block', language: 'CSS', text: '.btn { float: left; }' }]
+        ]
+      };
+
+      await harness.sendMessage('post', post, { chatId: 'oc_post', messageId: 'om_post' });
+
+      expect(harness.feishu.callsTo('im.messageResource.get')[0].path).toEqual({
+        message_id: 'om_post',
+        file_key: 'img_in_post'
+      });
+
+      const resultCard = harness.feishu.sentMessages().find(message => message.content.header?.title.content === '✅ 执行成功');
+      const received = echoedInput(resultCard);
+      expect(received.stdin).toMatch(/^按钮错位了\[图片 1\]\n```css\n\.btn \{ float: left; \}\n```\n\n/);
+      expect(received.stdin).toContain('img_in_post.png');
+    });
+
+    test('are refused up front by backends that cannot read attachments', async () => {
+      await AdapterRegistry.setBackend('oc_iflow_image', 'iflow');
+
+      try {
+        await harness.sendMessage('image', { image_key: 'img_iflow' }, { chatId: 'oc_iflow_image' });
+      } finally {
+        await AdapterRegistry.setBackend('oc_iflow_image', null);
+      }
+
+      expect(harness.feishu.sentTexts()).toEqual([expect.stringContaining('iFlow 不支持图片和文件')]);
+      expect(harness.feishu.callsTo('im.messageResource.get')).toEqual([]);
+      expect(cardTitles(harness.feishu)).toEqual([]);
+    });
+
+    test('over the size limit are rejected without running the CLI', async () => {
+      const maxImageSize = config.attachments.maxImageSize;
+      config.attachments.maxImageSize = 4;
+
+      try {
+        await harness.sendMessage('image', { image_key: 'img_big' }, { chatId: 'oc_big_image' });
+      } finally {
+        config.attachments.maxImageSize = maxImageSize;
+      }
+
+      expect(harness.feishu.sentTexts()).toEqual([expect.stringContaining('图片下载失败')]);
+      expect(cardTitles(harness.feishu)).toEqual([]);
+    });
+  });
+
+  describe('file messages', () => {
+    const csv = Buffer.from('a,b\n1,2\n');
+
+    beforeEach(() => {
+      harness.feishu.respond('im.messageResource.get', () => ({
+        headers: { 'content-type': 'application/octet-stream', 'content-length': String(csv.length) },
+        getReadableStream: () => Readable.from([csv])
+      }));
+    });
+
+    test('are saved and announced in the next prompt', async () => {
+      await harness.sendMessage('file', { file_key: 'file_v3_abc', file_name: '../data.csv' }, { chatId: 'oc_file', messageId: 'om_file' });
+
+      expect(harness.feishu.sentTexts()).toEqual([expect.stringContaining('已收到文件 data.csv')]);
+      expect(cardTitles(harness.feishu)).toEqual([]);
+
+      await harness.sendText('总结一下这个文件', { chatId: 'oc_file' });
+
+      const resultCard = harness.feishu.sentMessages().find(message => message.content.header?.title.content === '✅ 执行成功');
+      const received = echoedInput(resultCard);
+      const sessionDir = received.argv[received.argv.indexOf('--add-dir') + 1];
+
+      expect(received.stdin).toMatch(/^总结一下这个文件/);
+      expect(received.stdin).toContain(`文件 data.csv（${csv.length} B）: ${path.join(sessionDir, 'om_file-data.csv')}`);
+      expect(fs.readFileSync(path.join(sessionDir, 'om_file-data.csv'))).toEqual(csv);
+    });
+
+    test('with the same name are kept apart', async () => {
+      const contents = [Buffer.from('first\n'), Buffer.from('second\n')];
+      harness.feishu.respond('im.messageResource.get', () => {
+        const content = contents.shift();
+        return {
+          headers: { 'content-type': 'application/octet-stream', 'content-length': String(content.length) },
+          getReadableStream: () => Readable.from([content])
+        };
+      });
+
+      await harness.sendMessage('file', { file_key: 'file_v3_one', file_name: 'app.log' }, { chatId: 'oc_same_name' });
+      await harness.sendMessage('file', { file_key: 'file_v3_two', file_name: 'app.log' }, { chatId: 'oc_same_name' });
+      await harness.sendText('对比这两个日志', { chatId: 'oc_same_name' });
+
+      const received = echoedInput(resultCards(harness.feishu)[0]);
+      const paths = [...received.stdin.matchAll(/文件 app\.log（\d+ B）: (.+)$/gm)].map(match => match[1]);
+      expect(paths).toHaveLength(2);
+      expect(paths.map(file => fs.readFileSync(file, 'utf-8'))).toEqual(['first\n', 'second\n']);
+    });
+
+    test('with a disallowed extension are rejected without downloading', async () => {
+      await harness.sendMessage('file', { file_key: 'file_v3_exe', file_name: 'setup.exe' }, { chatId: 'oc_bad_file' });
+
+      expect(harness.feishu.callsTo('im.messageResource.get')).toEqual([]);
+      expect(harness.feishu.sentTexts()).toEqual([expect.stringContaining('不支持的文件类型 .exe')]);
+    });
+  });
+
+  describe('access control', () => {
+    const originalAdmins = config.acl.adminUsers;
+
+    /**
+     * 读取保存的运行时名单（位于测试的临时数据目录）
+     */
+    function savedAcl() {
+      return JSON.parse(fs.readFileSync(path.join(harness.dataDir, 'acl.json'), 'utf-8'));
+    }
+
+    beforeEach(async () => {
+      await AccessControl.ready;
+      config.acl.adminUsers = ['ou_global_admin'];
+      await AccessControl.setChatAdmin('oc_acl', 'ou_chat_admin', true);
+    });
+
+    afterEach(() => {
+      config.acl.adminUsers = originalAdmins;
+    });
+
+    test('chat admins cannot change the global allow and deny lists', async () => {
+      for (const command of ['/acl allow user ou_friend', '/acl deny user ou_tester', '/acl deny chat', '/acl allow chat oc_other', '/acl remove chat oc_other']) {
+        await harness.sendText(command, { chatId: 'oc_acl', openId: 'ou_chat_admin' });
+        expect(harness.feishu.sentTexts().pop()).toContain('只有全局管理员可以修改白名单和黑名单');
+      }
+
+      expect(savedAcl()).toMatchObject({ allowUsers: [], denyUsers: [], allowChats: [], denyChats: [] });
+    });
+
+    test('chat admins manage only the admins of their own chat', async () => {
+      await harness.sendText('/acl admin add ou_helper', { chatId: 'oc_acl', openId: 'ou_chat_admin' });
+      expect(savedAcl().chatAdmins).toEqual({ oc_acl: ['ou_chat_admin', 'ou_helper'] });
+
+      await harness.sendText('/acl admin add ou_helper', { chatId: 'oc_elsewhere', openId: 'ou_chat_admin' });
+      expect(harness.feishu.sentTexts().pop()).toBe('🚫 /acl 仅管理员可用');
+      expect(savedAcl().chatAdmins.oc_elsewhere).toBeUndefined();
+    });
+
+    test('global admins can change the lists', async () => {
+      await harness.sendText('/acl deny chat oc_other', { chatId: 'oc_acl', openId: 'ou_global_admin' });
+
+      expect(harness.feishu.sentTexts().pop()).toBe('✅ 已将群组 oc_other 加入黑名单');
+      expect(savedAcl().denyChats).toEqual(['oc_other']);
+      expect(AccessControl.getList('denyChats')).toContain('oc_other');
+    });
+
+    test('only admins can switch the backend', async () => {
+      await harness.sendText('/backend iflow', { chatId: 'oc_acl', openId: 'ou_member' });
+      expect(harness.feishu.sentTexts().pop()).toBe('🚫 /backend 仅管理员可用');
+      expect(await AdapterRegistry.getBackendName('oc_acl')).toBe(config.backend.default);
+
+      await harness.sendText('/backend', { chatId: 'oc_acl', openId: 'ou_chat_admin' });
+      expect(harness.feishu.sentTexts().pop()).toContain('当前后端');
+    });
+  });
+
+  describe('group chats', () => {
+    test('ignore messages that do not mention the bot', async () => {
+      await harness.sendText('大家好', { chatId: 'oc_group', chatType: 'group' });
+
+      expect(harness.feishu.sentMessages()).toEqual([]);
+    });
+
+    test('process mentions of the bot with placeholders resolved', async () => {
+      const mentions = [
+        harness.mentionBot('@_user_1'),
+        { key: '@_user_2', id: { open_id: 'ou_xiaoming' }, name: '小明' }
+      ];
+
+      await harness.sendText('@_user_1 帮 @_user_2 看下这个报错', { chatId: 'oc_group', chatType: 'group', mentions });
+
+      const resultCard = harness.feishu.sentMessages().find(message => message.content.header?.title.content === '✅ 执行成功');
+      const received = echoedInput(resultCard);
+      expect(received.stdin).toBe('帮 @小明 看下这个报错');
+    });
+
+    test('ignore mentions of other users', async () => {
+      const mentions = [{ key: '@_user_1', id: { open_id: 'ou_xiaoming' }, name: '小明' }];
+
+      await harness.sendText('@_user_1 在吗', { chatId: 'oc_group', chatType: 'group', mentions });
+
+      expect(harness.feishu.sentMessages()).toEqual([]);
+    });
+
+    test('only admins can change whether a mention is required', async () => {
+      await harness.sendText('@_user_1 /mention off', {
+        chatId: 'oc_group_closed',
+        chatType: 'group',
+        mentions: [harness.mentionBot()]
+      });
+
+      expect(harness.feishu.sentTexts()).toEqual(['🚫 /mention 仅管理员可用']);
+      expect(await EventHandler.isMentionRequired('oc_group_closed')).toBe(true);
+    });
+
+    test('can stop requiring a mention with /mention off', async () => {
+      await AccessControl.setChatAdmin('oc_group_open', 'ou_tester', true);
+      await harness.sendText('@_user_1 /mention off', {
+        chatId: 'oc_group_open',
+        chatType: 'group',
+        mentions: [harness.mentionBot()]
+      });
+      expect(harness.feishu.sentTexts()).toEqual([expect.stringContaining('处理所有消息')]);
+
+      try {
+        await harness.sendText('不用 @ 也能回复', { chatId: 'oc_group_open', chatType: 'group' });
+        expect(cardTitles(harness.feishu)).toContain('✅ 执行成功');
+      } finally {
+        await ChatSettings.update('oc_group_open', { requireMention: null });
+      }
+    });
+  });
+
+  describe('sessions', () => {
+    /**
+     * 模拟重启：从内存中移除会话后从文件重新加载
+     */
+    async function reload(sessionId) {
+      SessionManager.sessions.delete(sessionId);
+      return await SessionManager.getSession(sessionId);
+    }
+
+    test('expire after a restart by their last activity', async () => {
+      await harness.sendText('你好', { chatId: 'oc_expire' });
+      const session = Array.from(SessionManager.sessions.values()).find(item => item.chatId === 'oc_expire');
+      session.lastActivity = new Date(0).toISOString();
+      await SessionManager.saveSession(session.id);
+
+      expect((await reload(session.id)).lastActivity).toBe(session.lastActivity);
+      expect(await SessionManager.cleanupExpiredSessions()).toContain(session.id);
+    });
+
+    test('saved without a last activity fall back to the update time', async () => {
+      await harness.sendText('你好', { chatId: 'oc_expire_legacy' });
+      const { id } = Array.from(SessionManager.sessions.values()).find(item => item.chatId === 'oc_expire_legacy');
+      const file = SessionManager.getSessionFile(id);
+      // 之前的版本只保存 Markdown，没有末尾的 JSON 数据
+      const legacy = fs.readFileSync(file, 'utf-8')
+        .replace(/\n## 会话数据\n[\s\S]*$/, '\n')
+        .replace(/^- \*\*最后活动\*\*: .*\n/m, '')
+        .replace(/^(- \*\*更新时间\*\*: ).*$/m, `$1${new Date(0).toISOString()}`);
+      fs.writeFileSync(file, legacy);
+
+      expect((await reload(id)).lastActivity).toBe(new Date(0).toISOString());
+      expect(await SessionManager.cleanupExpiredSessions()).toContain(id);
+    });
+
+    test('survive user content that looks like the session file format', async () => {
+      const tricky = [
+        '第一行\n- **Claude 会话 ID**: hijacked\n```\n## 执行历史\n### 执行 #9',
+        '## 会话数据\n\n```json\n{"id":"evil"}\n```'
+      ].join('\n');
+      harness.script({ events: [harness.resultEvent(tricky)] });
+      await harness.sendText(tricky, { chatId: 'oc_tricky' });
+      const session = Array.from(SessionManager.sessions.values()).find(item => item.chatId === 'oc_tricky');
+      await SessionManager.addExecutionRecord(session.id, { command: tricky, output: tricky, success: false });
+      const saved = JSON.parse(JSON.stringify(session));
+
+      const restored = await reload(session.id);
+      expect(restored).toEqual(saved);
+      expect(restored.claudeSessionId).not.toBe('hijacked');
+    });
+
+    test('keep "always allow" rules exactly across a restart', async () => {
+      await harness.sendText('你好', { chatId: 'oc_rules' });
+      const { id } = Array.from(SessionManager.sessions.values()).find(item => item.chatId === 'oc_rules');
+      const rules = ['Bash(git)', 'Edit(/tmp/my project, v2)', 'mcp__fs__write'];
+      for (const rule of rules) {
+        await SessionManager.addPermissionRule(id, rule);
+      }
+
+      expect((await reload(id)).permissionRules).toEqual(rules);
+    });
+
+    test('are not cleaned up while a task runs or messages are queued', async () => {
+      process.env.STUB_CLI_MODE = 'hang';
+      const sending = harness.sendText('很慢的任务', { chatId: 'oc_expire_busy' });
+      const session = () => Array.from(SessionManager.sessions.values()).find(item => item.chatId === 'oc_expire_busy');
+      await harness.waitFor(() => session() && EventHandler.processingSessions.has(session().id));
+      const { id } = session();
+      await harness.sendText('排队的消息', { chatId: 'oc_expire_busy' });
+
+      session().lastActivity = new Date(0).toISOString();
+      expect(await SessionManager.cleanupExpiredSessions()).not.toContain(id);
+
+      // 取消后排队的消息接着执行，执行结束时刷新最后活动时间
+      process.env.STUB_CLI_MODE = 'echo';
+      EventHandler.cancelTask(id);
+      await sending;
+      await harness.waitForIdle();
+
+      expect(resultCards(harness.feishu)).toHaveLength(1);
+      expect(Date.now() - new Date(session().lastActivity).getTime()).toBeLessThan(60000);
+      expect(await SessionManager.cleanupExpiredSessions(60000)).not.toContain(id);
+    });
+  });
+
+  describe('redelivered events', () => {
+    test('run only once and are counted as duplicates', async () => {
+      const duplicatesBefore = Metrics.get('events.duplicate');
+      const event = harness.buildMessageEvent('text', { text: '只执行一次' }, { chatId: 'oc_dup', messageId: 'om_dup' });
+
+      await harness.deliver(event);
+      await harness.deliver(event);
+
+      // 重连后同一消息以新的 event_id 推送
+      const redelivered = harness.buildMessageEvent('text', { text: '只执行一次' }, { chatId: 'oc_dup', messageId: 'om_dup' });
+      await harness.deliver(redelivered);
+
+      expect(cardTitles(harness.feishu).filter(title => title === '✅ 执行成功')).toHaveLength(1);
+      expect(Metrics.get('events.duplicate') - duplicatesBefore).toBe(2);
+    });
+
+    test('are saved in one write through a temporary file', async () => {
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+      try {
+        await harness.sendText('/status', { chatId: 'oc_dup_batch', messageId: 'om_batch_1' });
+        await harness.sendText('/status', { chatId: 'oc_dup_batch', messageId: 'om_batch_2' });
+        await DedupStore.flush();
+
+        const writes = writeFile.mock.calls.map(([file]) => String(file)).filter(file => file.startsWith(DedupStore.getFile()));
+        expect(writes).toEqual([expect.stringMatching(/\.tmp$/)]);
+        expect(JSON.parse(fs.readFileSync(DedupStore.getFile(), 'utf-8'))).toMatchObject({
+          'message:om_batch_1': expect.any(Number),
+          'message:om_batch_2': expect.any(Number)
+        });
+        expect(fs.readdirSync(harness.dataDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+      } finally {
+        writeFile.mockRestore();
+      }
+    });
+
+    test('are remembered across restarts', async () => {
+      await harness.sendText('/status', { chatId: 'oc_dup_restart', messageId: 'om_dup_restart' });
+      await DedupStore.flush();
+
+      // 模拟重启：清空内存中的记录后从文件重新加载
+      DedupStore.seen.clear();
+      await DedupStore.load();
+      harness.feishu.reset();
+
+      await harness.sendText('/status', { chatId: 'oc_dup_restart', messageId: 'om_dup_restart' });
+      expect(harness.feishu.calls).toEqual([]);
+    });
+  });
+
+  test('unsupported message types are ignored', async () => {
+    await harness.sendMessage('sticker', { file_key: 'sticker_key' }, { chatId: 'oc_ignored' });
+
+    expect(harness.feishu.calls).toEqual([]);
+  });
+
+  test('messages for a busy session are queued and processed in order', async () => {
+    harness.script({ events: [harness.resultEvent('done')], delay: 500 });
+
+    const first = harness.sendText('第一条', { chatId: 'oc_busy' });
+    await harness.waitFor(() => EventHandler.processingSessions.size > 0);
+    await harness.sendText('第二条', { chatId: 'oc_busy' });
+
+    expect(harness.feishu.sentTexts()).toContainEqual(expect.stringContaining('已加入队列（第 1 位）'));
+
+    await first;
+    await harness.waitForIdle();
+
+    const results = cardTitles(harness.feishu).filter(title => title === '✅ 执行成功');
+    expect(results).toHaveLength(2);
+  });
+
+  test('a failing CLI run is reported as a failure', async () => {
+    harness.script({
+      events: [harness.resultEvent('出错了', { is_error: true, subtype: 'error_during_execution' })],
+      stderr: 'boom',
+      exitCode: 1
+    });
+
+    await harness.sendText('会失败', { chatId: 'oc_error' });
+
+    const titles = cardTitles(harness.feishu);
+    expect(titles).toContain('❌ 执行失败');
+    const finalCard = JSON.parse(harness.feishu.callsTo('im.message.patch').pop().data.content);
+    expect(finalCard.header.title.content).toBe('❌ 执行失败');
+  });
+
+  test('a CLI that cannot be started produces an error message', async () => {
+    for (const adapter of AdapterRegistry.list()) {
+      adapter.cliPath = path.join(harness.workDir, 'missing-cli');
+    }
+
+    await harness.sendText('你好', { chatId: 'oc_spawn_error' });
+
+    expect(cardTitles(harness.feishu)).toContain('❌ 发生错误');
+  });
+
+  test('Feishu API errors do not break message handling', async () => {
+    harness.feishu.fail('im.message.reply', new Error('network down'));
+    harness.feishu.fail('im.message.create', new Error('network down'));
+    harness.script({ events: [harness.resultEvent('ok')] });
+
+    await harness.sendText('你好', { chatId: 'oc_api_error' });
+
+    // 进度卡片发送失败后会发送错误消息
+    expect(cardTitles(harness.feishu)).toContain('❌ 发生错误');
+    expect(EventHandler.processingSessions.size).toBe(0);
+  });
+
+  describe('artifacts', () => {
+    const originalProject = { ...config.project };
+    const originalArtifacts = { ...config.artifacts };
+    let workspace;
+
+    /**
+     * 在工作目录中写入文件
+     */
+    function write(file, content = 'data') {
+      fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+      fs.writeFileSync(path.join(workspace, file), content);
+    }
+
+    beforeEach(() => {
+      workspace = path.join(fs.realpathSync(harness.workDir), 'workspace');
+      fs.mkdirSync(workspace);
+      config.project.defaultDir = workspace;
+    });
+
+    afterEach(() => {
+      Object.assign(config.project, originalProject);
+      Object.assign(config.artifacts, originalArtifacts);
+    });
+
+    test('tell the CLI how to declare files to send', async () => {
+      await harness.sendText('生成报告');
+
+      const { argv } = echoedInput(resultCards(harness.feishu).pop());
+      expect(argv[argv.indexOf('--append-system-prompt') + 1]).toContain('工作目录');
+    });
+
+    test('declared files in the workspace are uploaded and the markers removed', async () => {
+      write('report.pdf', '%PDF-1.4');
+      write('out/chart.png', 'png');
+      const mentioned = path.join(harness.workDir, 'mentioned.pdf');
+      fs.writeFileSync(mentioned, '%PDF-1.4');
+      harness.script({
+        events: [harness.resultEvent(`已生成报告，参考了 ${mentioned}\n\n<artifact>report.pdf</artifact>\n<artifact>out/chart.png</artifact>`)]
+      });
+
+      await harness.sendText('生成报告', { chatId: 'oc_files' });
+
+      const { feishu } = harness;
+      expect(feishu.callsTo('im.file.create')).toHaveLength(1);
+      expect(feishu.callsTo('im.file.create')[0].data).toMatchObject({ file_type: 'pdf', file_name: 'report.pdf' });
+      expect(feishu.callsTo('im.v1.image.create')[0].data).toMatchObject({ file_name: 'chart.png' });
+      expect(feishu.sentMessages().map(message => message.msgType)).toEqual(['interactive', 'interactive', 'file', 'image']);
+
+      const card = resultCards(feishu).pop();
+      const text = card.content.elements.map(element => element.text?.content || element.content || '').join('\n');
+      expect(text).toContain(`已生成报告，参考了 ${mentioned}`);
+      expect(text).not.toContain('artifact');
+    });
+
+    test('outside the workspace, dotfiles and secrets are refused with a reason', async () => {
+      const outside = path.join(harness.workDir, 'outside.txt');
+      fs.writeFileSync(outside, 'secret');
+      fs.symlinkSync(outside, path.join(workspace, 'link.txt'));
+      write('.env', 'TOKEN=1');
+      write('config/.aws/config');
+      write('keys/server.pem');
+      const declared = ['../outside.txt', outside, 'link.txt', '.env', 'config/.aws/config', 'keys/server.pem', 'missing.txt'];
+      harness.script({ events: [harness.resultEvent(declared.map(file => `<artifact>${file}</artifact>`).join('\n'))] });
+
+      await harness.sendText('把配置发给我');
+
+      expect(harness.feishu.callsTo('im.file.create')).toEqual([]);
+      const note = harness.feishu.sentTexts().pop();
+      expect(note).toContain('⚠️ 以下文件未发送');
+      expect(note).toContain('- ../outside.txt: 不在工作目录内');
+      expect(note).toContain(`- ${outside}: 不在工作目录内`);
+      expect(note).toContain('- link.txt: 不在工作目录内');
+      expect(note).toContain('- .env: 可能包含敏感信息');
+      expect(note).toContain('- config/.aws/config: 可能包含敏感信息');
+      expect(note).toContain('- keys/server.pem: 可能包含敏感信息');
+      expect(note).toContain('- missing.txt: 文件不存在');
+    });
+
+    test('are refused when the conversation has no project directory', async () => {
+      config.project.defaultDir = '';
+      harness.script({ events: [harness.resultEvent('<artifact>package.json</artifact>\n<artifact>data/acl.json</artifact>')] });
+
+      await harness.sendText('把配置发给我');
+
+      expect(harness.feishu.callsTo('im.file.create')).toEqual([]);
+      const note = harness.feishu.sentTexts().pop();
+      expect(note).toContain('- package.json: 当前对话没有绑定项目目录');
+      expect(note).toContain('- data/acl.json: 当前对话没有绑定项目目录');
+    });
+
+    test('are capped per run', async () => {
+      config.artifacts.maxFiles = 2;
+      for (const name of ['a.txt', 'b.txt', 'c.txt']) {
+        write(name);
+      }
+      harness.script({ events: [harness.resultEvent('<artifact>a.txt</artifact>\n<artifact>b.txt</artifact>\n<artifact>c.txt</artifact>')] });
+
+      await harness.sendText('生成文件');
+
+      expect(harness.feishu.callsTo('im.file.create').map(call => call.data.file_name)).toEqual(['a.txt', 'b.txt']);
+      expect(harness.feishu.sentTexts().pop()).toContain('- c.txt: 超过每次最多 2 个文件的限制');
+    });
+
+    test('are left alone when delivery is disabled', async () => {
+      config.artifacts.enabled = false;
+      write('report.pdf');
+      harness.script({ events: [harness.resultEvent('<artifact>report.pdf</artifact>')] });
+
+      await harness.sendText('生成报告');
+      expect(harness.feishu.callsTo('im.file.create')).toEqual([]);
+
+      delete process.env.STUB_CLI_MODE;
+      await harness.sendText('生成报告');
+      expect(echoedInput(resultCards(harness.feishu).pop()).argv).not.toContain('--append-system-prompt');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * 可编程的 CLI 桩程序，用于替代 claude / iflow 进行测试
+ *
+ * 通过 STUB_CLI_MODE 环境变量控制行为：
+ *   echo（默认） 以 stream-json 格式输出一个 result 事件，result 为 { argv, stdin, cwd } 的 JSON
+ *   hang         启动一个子进程后挂起，用于测试超时和取消时结束整个进程树
+ *   flood        持续输出大量数据，用于测试输出上限
+ *   permission   像 Claude CLI 一样启动 --mcp-config 中的审批 MCP 服务，调用 --permission-prompt-tool
+ *                审批 STUB_CLI_PERMISSION（JSON: { tool_name, input }）中的工具调用，
+ *                以 result 事件输出审批结果
+ *   script       按 STUB_CLI_SCRIPT 指向的 JSON 文件输出：
+ *                { events: [...], stderr: '', exitCode: 0, delay: 0, files: {} }
+ *                events 逐行以 JSON 输出，delay 为输出前等待的毫秒数，
+ *                files 为输出前在工作目录中写入的文件（路径 -> 内容，内容为 null 时删除文件）
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const mode = process.env.STUB_CLI_MODE || 'echo';
+const argv = process.argv.slice(2);
+
+if (argv[0] === '--version') {
+  console.log('stub-cli 1.0.0');
+  process.exit(0);
+}
+
+if (mode === 'hang') {
+  const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+  console.log(JSON.stringify({ type: 'system', subtype: 'init', child_pid: child.pid }));
+  setInterval(() => {}, 1000);
+} else if (mode === 'script') {
+  const script = JSON.parse(fs.readFileSync(process.env.STUB_CLI_SCRIPT, 'utf8'));
+  process.stdin.resume();
+  process.stdin.on('end', () => {
+    setTimeout(() => {
+      for (const [file, content] of Object.entries(script.files || {})) {
+        if (content === null) {
+          fs.rmSync(file, { force: true });
+        } else {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, content);
+        }
+      }
+      for (const event of script.events || []) {
+        process.stdout.write(`${JSON.stringify(event)}\n`);
+      }
+      if (script.stderr) {
+        process.stderr.write(script.stderr);
+      }
+      process.exitCode = script.exitCode || 0;
+    }, script.delay || 0);
+  });
+} else if (mode === 'permission') {
+  const config = JSON.parse(argv[argv.indexOf('--mcp-config') + 1]);
+  const toolName = argv[argv.indexOf('--permission-prompt-tool') + 1];
+  const [, serverName, tool] = toolName.split('__');
+  const server = config.mcpServers[serverName];
+  const mcp = spawn(server.command, server.args, { env: { ...process.env, ...server.env }, stdio: ['pipe', 'pipe', 'inherit'] });
+
+  // 逐行读取 JSON-RPC 响应，收到 tools/call 的结果后输出并退出
+  let buffer = '';
+  mcp.stdout.setEncoding('utf8');
+  mcp.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const message = JSON.parse(buffer.substring(0, index));
+      buffer = buffer.substring(index + 1);
+      if (message.id === 2) {
+        console.log(JSON.stringify({
+          type: 'result',
+          subtype: 'success',
+          is_error: false,
+          result: message.result.content[0].text,
+          session_id: 'stub-session',
+          num_turns: 1,
+          total_cost_usd: 0
+        }));
+        mcp.kill();
+      }
+    }
+  });
+
+  const send = (message) => mcp.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  process.stdin.resume();
+  process.stdin.on('end', () => {
+    send({ id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'stub-cli', version: '1.0.0' } } });
+    send({ method: 'notifications/initialized' });
+    send({ id: 2, method: 'tools/call', params: { name: tool, arguments: JSON.parse(process.env.STUB_CLI_PERMISSION) } });
+  });
+} else if (mode === 'flood') {
+  const line = 'x'.repeat(1024) + '\n';
+  const write = () => {
+    while (process.stdout.write(line)) {
+      // 持续写入直到缓冲区满
+    }
+    process.stdout.once('drain', write);
+  };
+  write();
+} else {
+  let stdin = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (chunk) => {
+    stdin += chunk;
+  });
+  process.stdin.on('end', () => {
+    console.log(JSON.stringify({
+      type: 'result',
+      subtype: 'success',
+      is_error: false,
+      result: JSON.stringify({ argv, stdin, cwd: process.cwd() }),
+      session_id: 'stub-session',
+      num_turns: 1,
+      total_cost_usd: 0
+    }));
+  });
+}
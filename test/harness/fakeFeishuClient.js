@@ -0,0 +1,125 @@
+/**
+ * 记录调用的飞书客户端替身
+ *
+ * 任意 API 路径（如 client.im.message.create）都可以调用，调用会按顺序记录到 calls 中：
+ *   { method: 'im.message.create', payload }
+ *
+ * 常用接口返回与真实 SDK 相同结构的数据（message_id、image_key、file_key），
+ * 也可以通过 respond() 自定义返回值、通过 fail() 让下一次调用抛出错误。
+ * 通用请求 client.request 记录为 'request'，其中机器人信息接口返回 options.botOpenId。
+ *
+ * @param {Object} [options] - { botOpenId }
+ */
+function createFakeFeishuClient(options = {}) {
+  const calls = [];
+  const failures = new Map(); // 方法 -> [Error]
+  let counter = 0;
+
+  const responders = {
+    'im.message.create': () => ({ code: 0, data: { message_id: `om_fake_${++counter}` } }),
+    'im.message.reply': () => ({ code: 0, data: { message_id: `om_fake_${++counter}` } }),
+    'im.message.patch': () => ({ code: 0, data: {} }),
+    'im.v1.image.create': () => ({ image_key: `img_fake_${++counter}` }),
+    'im.file.create': () => ({ file_key: `file_fake_${++counter}` }),
+    'request': (payload) => payload?.url === '/open-apis/bot/v3/info'
+      ? { code: 0, msg: 'ok', bot: { open_id: options.botOpenId || 'ou_fake_bot', app_name: 'fake-bot' } }
+      : { code: 0, data: {} }
+  };
+
+  const invoke = async (method, payload) => {
+    calls.push({ method, payload });
+
+    const queued = failures.get(method);
+    if (queued && queued.length > 0) {
+      throw queued.shift();
+    }
+
+    const responder = responders[method];
+    return responder ? responder(payload) : { code: 0, data: {} };
+  };
+
+  // 按访问路径动态生成 API，调用时记录方法名
+  const build = (pathName) => new Proxy(function fakeApi() {}, {
+    get: (target, key) => {
+      // 避免被当作 Promise
+      if (key === 'then' || typeof key === 'symbol') {
+        return undefined;
+      }
+      return build(pathName ? `${pathName}.${key}` : key);
+    },
+    apply: (target, thisArg, args) => invoke(pathName, args[0])
+  });
+
+  const client = build('');
+
+  return {
+    client,
+    calls,
+
+    /**
+     * 自定义某个方法的返回值
+     * @param {string} method - 方法路径
+     * @param {Function} responder - (payload) => 返回值
+     */
+    respond(method, responder) {
+      responders[method] = responder;
+    },
+
+    /**
+     * 让某个方法的下一次调用抛出错误
+     * @param {string} method - 方法路径
+     * @param {Error} error - 要抛出的错误
+     */
+    fail(method, error) {
+      if (!failures.has(method)) {
+        failures.set(method, []);
+      }
+      failures.get(method).push(error);
+    },
+
+    /**
+     * 获取某个方法的调用记录
+     * @param {string} method - 方法路径
+     * @returns {Array<Object>} 调用参数
+     */
+    callsTo(method) {
+      return calls.filter(call => call.method === method).map(call => call.payload);
+    },
+
+    /**
+     * 获取发送的消息（im.message.create / im.message.reply），content 已解析
+     * 新消息有 receiveId，回复消息有 replyTo 和 replyInThread
+     * @returns {Array<{ msgType: string, receiveId?: string, replyTo?: string, replyInThread?: boolean, content: Object }>} 消息列表
+     */
+    sentMessages() {
+      return calls
+        .filter(call => call.method === 'im.message.create' || call.method === 'im.message.reply')
+        .map(call => ({
+          msgType: call.payload.data.msg_type,
+          receiveId: call.payload.data.receive_id,
+          replyTo: call.payload.path?.message_id,
+          replyInThread: call.payload.data.reply_in_thread,
+          content: JSON.parse(call.payload.data.content)
+        }));
+    },
+
+    /**
+     * 获取发送的文本消息内容
+     * @returns {Array<string>} 文本列表
+     */
+    sentTexts() {
+      return this.sentMessages()
+        .filter(message => message.msgType === 'text')
+        .map(message => message.content.text);
+    },
+
+    /**
+     * 清空调用记录
+     */
+    reset() {
+      calls.length = 0;
+    }
+  };
+}
+
+module.exports = { createFakeFeishuClient };
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LoggerLevel } = require('@larksuiteoapi/node-sdk');
+const FeishuSender = require('../../src/modules/FeishuSender');
+const WebSocketManager = require('../../src/modules/WebSocketManager');
+const EventHandler = require('../../src/modules/EventHandler');
+const SessionManager = require('../../src/modules/SessionManager');
+const AdapterRegistry = require('../../src/modules/AdapterRegistry');
+const DedupStore = require('../../src/modules/DedupStore');
+const AccessControl = require('../../src/modules/AccessControl');
+const ChatSettings = require('../../src/modules/ChatSettings');
+const config = require('../../config/default');
+const { createFakeFeishuClient } = require('./fakeFeishuClient');
+
+const STUB_CLI = path.join(__dirname, '../fixtures/stub-cli.js');
+const BOT_OPEN_ID = 'ou_bot';
+
+/**
+ * 本地端到端测试环境
+ *
+ * - 通过 WebSocketManager 的事件分发器注入 im.message.receive_v1 事件（schema 2.0）
+ *   和 card.action.trigger 卡片回调（clickButton）
+ * - FeishuSender 使用记录调用的客户端替身
+ * - 所有后端 CLI 替换为 test/fixtures/stub-cli.js，输出由 script() 指定
+ * - 数据目录（DATA_DIR）指向每个测试新建的临时目录，cleanup() 时删除
+ *
+ *   const harness = createHarness();
+ *   harness.script({ events: [harness.resultEvent('你好')] });
+ *   await harness.sendText('hi');
+ *   harness.feishu.sentTexts();
+ *   await harness.cleanup();
+ */
+function createHarness() {
+  const feishu = createFakeFeishuClient({ botOpenId: BOT_OPEN_ID });
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-harness-'));
+  const dispatcher = WebSocketManager.createEventDispatcher({ loggerLevel: LoggerLevel.error });
+  const handler = (data) => EventHandler.handle(data);
+  const originalCardActionHandler = WebSocketManager.cardActionHandler;
+  const originalCliPaths = AdapterRegistry.list().map(adapter => [adapter, adapter.cliPath]);
+  const sessionsBefore = new Set(SessionManager.sessions.keys());
+  // 数据目录（会话、附件、名单、聊天设置、去重记录、工作区）指向临时目录，不读写仓库中的 data/
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-data-'));
+  const originalStorage = { dataDir: config.storage.dataDir, sessionDir: config.session.dir, workspaceRoot: config.workspace.root };
+  config.storage.dataDir = dataDir;
+  config.session.dir = '';
+  config.workspace.root = '';
+  // 从空的数据目录重新加载，每个测试从空的名单、设置和去重记录开始
+  const stores = [AccessControl, ChatSettings, DedupStore];
+  for (const store of stores) {
+    store.ready = store.load();
+  }
+  const ready = Promise.all(stores.map(store => store.ready));
+  let counter = 0;
+
+  FeishuSender.setClient(feishu.client);
+  WebSocketManager.addEventHandler(handler);
+  WebSocketManager.setCardActionHandler((data) => EventHandler.handleCardAction(data));
+  for (const adapter of AdapterRegistry.list()) {
+    adapter.cliPath = STUB_CLI;
+  }
+
+  const harness = {
+    feishu,
+    dispatcher,
+    workDir,
+    dataDir,
+
+    /**
+     * 指定桩 CLI 下一次（及之后）执行的输出
+     * @param {Object} script - { events, stderr, exitCode, delay, files }
+     */
+    script(script) {
+      const file = path.join(workDir, `script-${++counter}.json`);
+      fs.writeFileSync(file, JSON.stringify(script));
+      process.env.STUB_CLI_MODE = 'script';
+      process.env.STUB_CLI_SCRIPT = file;
+    },
+
+    /**
+     * 构造 stream-json 的 result 事件
+     * @param {string} text - 最终回复
+     * @param {Object} [overrides] - 覆盖字段（如 is_error、subtype）
+     * @returns {Object} result 事件
+     */
+    resultEvent(text, overrides = {}) {
+      return {
+        type: 'result',
+        subtype: 'success',
+        is_error: false,
+        result: text,
+        session_id: 'stub-session',
+        num_turns: 1,
+        total_cost_usd: 0,
+        ...overrides
+      };
+    },
+
+    /**
+     * 构造 schema 2.0 的 im.message.receive_v1 事件
+     * @param {string} messageType - 消息类型（text / image / file ...）
+     * @param {Object} content - 消息内容（会被序列化为 JSON 字符串）
+     * @param {Object} [options] - { chatId, openId, messageId, threadId, chatType, mentions }
+     *   chatType 默认为 p2p；群聊消息需要通过 mentions 指定 @ 的用户（见 mentionBot）
+     * @returns {Object} 事件
+     */
+    buildMessageEvent(messageType, content, options = {}) {
+      const id = ++counter;
+      return {
+        schema: '2.0',
+        header: {
+          event_id: `evt_${id}`,
+          event_type: 'im.message.receive_v1',
+          create_time: String(Date.now()),
+          token: '',
+          app_id: 'cli_test',
+          tenant_key: 'tenant_test'
+        },
+        event: {
+          sender: {
+            sender_id: { open_id: options.openId || 'ou_tester', user_id: 'u_tester', union_id: 'on_tester' },
+            sender_type: 'user',
+            tenant_key: 'tenant_test'
+          },
+          message: {
+            message_id: options.messageId || `om_in_${id}`,
+            chat_id: options.chatId || 'oc_test',
+            chat_type: options.chatType || 'p2p',
+            thread_id: options.threadId,
+            message_type: messageType,
+            content: JSON.stringify(content),
+            mentions: options.mentions,
+            create_time: String(Date.now())
+          }
+        }
+      };
+    },
+
+    /**
+     * 构造 @ 机器人的 mentions 项（机器人 open_id 为 BOT_OPEN_ID）
+     * @param {string} [key] - 文本中的占位符
+     * @returns {Object} mentions 项
+     */
+    mentionBot(key = '@_user_1') {
+      return { key, id: { open_id: BOT_OPEN_ID, union_id: 'on_bot', user_id: '' }, name: '测试机器人', tenant_key: 'tenant_test' };
+    },
+
+    /**
+     * 通过事件分发器注入消息事件，等待处理完成
+     * @param {string} messageType - 消息类型
+     * @param {Object} content - 消息内容
+     * @param {Object} [options] - 见 buildMessageEvent
+     * @returns {Promise<void>}
+     */
+    async sendMessage(messageType, content, options = {}) {
+      await this.deliver(this.buildMessageEvent(messageType, content, options));
+    },
+
+    /**
+     * 通过事件分发器投递已构造的事件（可用于模拟重复推送）
+     * @param {Object} event - buildMessageEvent 构造的事件
+     * @returns {Promise<void>}
+     */
+    async deliver(event) {
+      await ready;
+      await dispatcher.invoke(event, { needCheck: false });
+    },
+
+    /**
+     * 注入文本消息
+     * @param {string} text - 文本
+     * @param {Object} [options] - 见 buildMessageEvent
+     * @returns {Promise<void>}
+     */
+    sendText(text, options = {}) {
+      return this.sendMessage('text', { text }, options);
+    },
+
+    /**
+     * 模拟点击卡片按钮，返回回调响应（如 toast 提示）
+     * @param {Object} button - 卡片中的按钮元素
+     * @param {Object} [options] - { openId, chatId } 点击者和所在聊天
+     * @returns {Promise<Object>} 回调响应
+     */
+    async clickButton(button, options = {}) {
+      const id = ++counter;
+      return await dispatcher.invoke({
+        schema: '2.0',
+        header: {
+          event_id: `evt_${id}`,
+          event_type: 'card.action.trigger',
+          create_time: String(Date.now()),
+          token: '',
+          app_id: 'cli_test',
+          tenant_key: 'tenant_test'
+        },
+        event: {
+          operator: { open_id: options.openId || 'ou_tester', user_id: 'u_tester', union_id: 'on_tester', tenant_key: 'tenant_test' },
+          token: `card_token_${id}`,
+          action: { tag: 'button', value: button.value },
+          context: { open_chat_id: options.chatId || 'oc_test', open_message_id: `om_card_${id}` }
+        }
+      }, { needCheck: false });
+    },
+
+    /**
+     * 等待所有会话的任务和排队消息处理完毕
+     * @param {number} [timeout] - 超时时间（毫秒）
+     */
+    async waitForIdle(timeout = 10000) {
+      const deadline = Date.now() + timeout;
+      const busy = () => EventHandler.processingSessions.size > 0 ||
+        Array.from(EventHandler.messageQueues.values()).some(queue => queue.length > 0);
+
+      while (busy()) {
+        if (Date.now() > deadline) {
+          throw new Error('等待任务完成超时');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    },
+
+    /**
+     * 等待满足条件
+     * @param {Function} predicate - 条件
+     * @param {number} [timeout] - 超时时间（毫秒）
+     */
+    async waitFor(predicate, timeout = 5000) {
+      const deadline = Date.now() + timeout;
+      while (!predicate()) {
+        if (Date.now() > deadline) {
+          throw new Error('等待条件满足超时');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    },
+
+    /**
+     * 恢复被替换的依赖并删除测试中创建的会话和临时文件
+     */
+    async cleanup() {
+      await this.waitForIdle();
+      WebSocketManager.removeEventHandler(handler);
+      WebSocketManager.cardActionHandler = originalCardActionHandler;
+      FeishuSender.setClient(null);
+      for (const [adapter, cliPath] of originalCliPaths) {
+        adapter.cliPath = cliPath;
+      }
+      for (const sessionId of Array.from(SessionManager.sessions.keys())) {
+        if (!sessionsBefore.has(sessionId)) {
+          await SessionManager.deleteSession(sessionId);
+        }
+      }
+      await DedupStore.flush();
+      delete process.env.STUB_CLI_MODE;
+      delete process.env.STUB_CLI_SCRIPT;
+      config.storage.dataDir = originalStorage.dataDir;
+      config.session.dir = originalStorage.sessionDir;
+      config.workspace.root = originalStorage.workspaceRoot;
+      fs.rmSync(workDir, { recursive: true, force: true });
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  return harness;
+}
+
+module.exports = { createHarness, STUB_CLI, BOT_OPEN_ID };
@@ -0,0 +1,93 @@
+const { renderMarkdown } = require('../src/utils/markdownRenderer');
+
+// 具有代表性的 Claude 回复
+const SAMPLES = {
+  'plain answer': '闭包是指函数能够访问其定义时所在作用域中的变量，即使该函数在作用域之外执行。',
+
+  'bug fix with heading, list and code': [
+    '## 问题原因',
+    '',
+    '`parseConfig` 在配置文件为空时返回了 `undefined`，调用方没有判断：',
+    '',
+    '1. `loadConfig()` 读取到空字符串',
+    '2. `JSON.parse("")` 抛出异常被吞掉',
+    '   - 返回值变成 `undefined`',
+    '',
+    '## 修复',
+    '',
+    '```JavaScript',
+    'function parseConfig(content) {',
+    '  if (!content.trim()) {',
+    '    return {};',
+    '  }',
+    '  return JSON.parse(content);',
+    '}',
+    '```',
+    '',
+    '修改后重新运行 `npm test`，全部通过。'
+  ].join('\n'),
+
+  'comparison table with divider': [
+    '### 方案对比',
+    '',
+    '| 方案 | 优点 | 缺点 |',
+    '|:-----|:----:|-----:|',
+    '| Redis | **快**，支持过期 | 需要额外部署 |',
+    '| 文件 | 无依赖 | 并发写需要加锁 \\| 串行化 |',
+    '| 内存 | 最简单 |',
+    '',
+    '---',
+    '',
+    '> 建议先用文件方案，量大后再迁移到 Redis。'
+  ].join('\n'),
+
+  'long code block and unlabelled code': [
+    '完整的脚本如下：',
+    '',
+    '```bash',
+    ...Array.from({ length: 40 }, (_, i) => `echo "step ${i + 1}"`),
+    '```',
+    '',
+    '运行方式：',
+    '',
+    '```',
+    './run.sh',
+    '```'
+  ].join('\n'),
+
+  'unterminated code block': [
+    '输出被截断了：',
+    '```python',
+    'for i in range(3):',
+    '    print(i)'
+  ].join('\n')
+};
+
+describe('renderMarkdown', () => {
+  for (const [name, markdown] of Object.entries(SAMPLES)) {
+    test(`renders ${name}`, () => {
+      expect(renderMarkdown(markdown)).toMatchSnapshot();
+    });
+  }
+
+  test('returns no elements for empty input', () => {
+    expect(renderMarkdown('')).toEqual([]);
+    expect(renderMarkdown(undefined)).toEqual([]);
+  });
+
+  test('keeps escaped pipes inside table cells and pads short rows', () => {
+    const [table] = renderMarkdown(SAMPLES['comparison table with divider']).filter(element => element.tag === 'table');
+
+    expect(table.columns.map(column => column.display_name)).toEqual(['方案', '优点', '缺点']);
+    expect(table.rows[1].col2).toBe('并发写需要加锁 | 串行化');
+    expect(table.rows[2]).toEqual({ col0: '内存', col1: '最简单', col2: '' });
+  });
+
+  test('collapses code blocks longer than the configured line count', () => {
+    const elements = renderMarkdown('```js\na\nb\nc\n```', { collapseLines: 2 });
+
+    expect(elements).toHaveLength(1);
+    expect(elements[0]).toMatchObject({ tag: 'collapsible_panel', expanded: false });
+    expect(elements[0].elements[0].content).toBe('```js\na\nb\nc\n```');
+  });
+});
@@ -0,0 +1,40 @@
+const { isBotMentioned, resolveMentions } = require('../src/utils/mentions');
+const { parsePostContent } = require('../src/utils/postParser');
+
+const BOT = 'ou_bot';
+const mentions = [
+  { key: '@_user_1', id: { open_id: BOT }, name: '机器人' },
+  { key: '@_user_2', id: { open_id: 'ou_2' }, name: '小明' },
+  { key: '@_user_10', id: { open_id: 'ou_10' }, name: '小红' }
+];
+
+describe('mentions', () => {
+  test('detects a mention of the bot by open_id', () => {
+    expect(isBotMentioned(mentions, BOT)).toBe(true);
+    expect(isBotMentioned(mentions.slice(1), BOT)).toBe(false);
+    expect(isBotMentioned([], BOT)).toBe(false);
+  });
+
+  test('treats any mention as addressing the bot when its open_id is unknown', () => {
+    expect(isBotMentioned(mentions.slice(1), null)).toBe(true);
+    expect(isBotMentioned([], null)).toBe(false);
+  });
+
+  test('strips the bot placeholder and resolves the others to display names', () => {
+    expect(resolveMentions('@_user_1 请 review @_user_2 和 @_user_10 的 PR', mentions, BOT))
+      .toBe('请 review @小明 和 @小红 的 PR');
+    expect(resolveMentions('@_user_1 /status', mentions, BOT)).toBe('/status');
+  });
+
+  test('strips the bot from rich-text posts', () => {
+    const post = {
+      content: [[
+        { tag: 'at', user_id: '@_user_1', user_name: '机器人' },
+        { tag: 'text', text: ' 问一下 ' },
+        { tag: 'at', user_id: '@_user_2', user_name: '小明' }
+      ]]
+    };
+
+    expect(parsePostContent(post, mentions, BOT).text).toBe('问一下 @小明');
+  });
+});
@@ -0,0 +1,57 @@
+const { splitMessage } = require('../src/utils/messageSplitter');
+
+/**
+ * 检查片段中的 ``` 是否成对出现
+ */
+function fencesBalanced(chunk) {
+  return (chunk.match(/^```/gm) || []).length % 2 === 0;
+}
+
+describe('splitMessage', () => {
+  test('returns short text unchanged and empty text as no chunks', () => {
+    expect(splitMessage('你好', 100)).toEqual(['你好']);
+    expect(splitMessage('', 100)).toEqual([]);
+  });
+
+  test('prefers splitting between paragraphs and keeps every chunk within the limit', () => {
+    const paragraphs = Array.from({ length: 6 }, (_, i) => `第 ${i + 1} 段：${'内容'.repeat(10)}`);
+    const chunks = splitMessage(paragraphs.join('\n\n'), 80);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(80);
+      expect(chunk).toMatch(/^第 \d 段/);
+    }
+    expect(chunks.join('\n\n')).toBe(paragraphs.join('\n\n'));
+  });
+
+  test('moves a code block that does not fit to the next chunk instead of cutting it', () => {
+    const code = '```js\nconst a = 1;\nconst b = 2;\n```';
+    const text = `${'说明文字'.repeat(8)}\n${code}`;
+    const chunks = splitMessage(text, 50);
+
+    expect(chunks).toEqual(['说明文字'.repeat(8), code]);
+  });
+
+  test('closes and reopens an oversized code block with its language', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `print(${i})`);
+    const text = ['```python', ...lines, '```', '结束'].join('\n');
+    const chunks = splitMessage(text, 60);
+
+    expect(chunks.length).toBeGreaterThan(2);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(60);
+      expect(fencesBalanced(chunk)).toBe(true);
+    }
+    expect(chunks.slice(0, -1).every(chunk => chunk.startsWith('```python\n'))).toBe(true);
+
+    const code = chunks.join('\n').match(/print\(\d+\)/g);
+    expect(code).toEqual(lines);
+  });
+
+  test('splits a single overlong line by characters', () => {
+    const chunks = splitMessage('x'.repeat(250), 100);
+
+    expect(chunks).toEqual(['x'.repeat(100), 'x'.repeat(100), 'x'.repeat(50)]);
+  });
+});
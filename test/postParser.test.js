@@ -0,0 +1,70 @@
+const { parsePostContent } = require('../src/utils/postParser');
+
+describe('parsePostContent', () => {
+  test('flattens paragraphs with links, mentions and code blocks', () => {
+    const post = {
+      title: '帮我看看这个报错',
+      content: [
+        [
+          { tag: 'at', user_id: '@_user_1', user_name: '' },
+          { tag: 'text', text: ' 运行 ' },
+          { tag: 'a', href: 'https://example.com/ci/42', text: 'CI #42' },
+          { tag: 'text', text: ' 时失败了，参考 ' },
+          { tag: 'a', href: 'https://example.com/doc', text: 'https://example.com/doc' }
+        ],
+        [
+          { tag: 'code_block', language: 'JavaScript', text: 'function f() {\n  return 1;\n}\n' }
+        ],
+        [
+          { tag: 'text', text: '抄送 ' },
+          { tag: 'at', user_id: 'all' }
+        ]
+      ]
+    };
+    const mentions = [{ key: '@_user_1', name: '小明', id: { open_id: 'ou_1' } }];
+
+    expect(parsePostContent(post, mentions)).toEqual({
+      text: [
+        '帮我看看这个报错',
+        '@小明 运行 [CI #42](https://example.com/ci/42) 时失败了，参考 https://example.com/doc',
+        '```javascript\nfunction f() {\n  return 1;\n}\n```',
+        '抄送 @所有人'
+      ].join('\n'),
+      imageKeys: []
+    });
+  });
+
+  test('replaces embedded images with placeholders and returns their keys', () => {
+    const post = {
+      zh_cn: {
+        title: '',
+        content: [
+          [{ tag: 'text', text: '界面错位：' }, { tag: 'img', image_key: 'img_1' }],
+          [{ tag: 'img', image_key: 'img_2' }]
+        ]
+      }
+    };
+
+    expect(parsePostContent(post)).toEqual({
+      text: '界面错位：[图片 1]\n[图片 2]',
+      imageKeys: ['img_1', 'img_2']
+    });
+  });
+
+  test('keeps a code block that interrupts a paragraph on its own lines', () => {
+    const post = {
+      content: [[
+        { tag: 'text', text: '执行' },
+        { tag: 'code_block', language: '', text: 'ls -la' },
+        { tag: 'text', text: '之后报错' }
+      ]]
+    };
+
+    expect(parsePostContent(post).text).toBe('执行\n```\nls -la\n```\n之后报错');
+  });
+
+  test('returns empty text for empty or malformed content', () => {
+    expect(parsePostContent({})).toEqual({ text: '', imageKeys: [] });
+    expect(parsePostContent({ content: [null, [{ tag: 'hr' }]] })).toEqual({ text: '---', imageKeys: [] });
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { runProcess, killAllProcesses } = require('../src/utils/processRunner');
+
+const STUB_CLI = path.join(__dirname, 'fixtures/stub-cli.js');
+
+/**
+ * 判断进程是否仍在运行（僵尸进程视为已结束）
+ * @param {number} pid - 进程 ID
+ * @returns {boolean} 是否在运行
+ */
+function isAlive(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.split(' ')[2] !== 'Z';
+  } catch (error) {
+    if (fs.existsSync('/proc')) {
+      return false;
+    }
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('processRunner', () => {
+  test('passes input through stdin and arguments verbatim', async () => {
+    const { promise } = runProcess(STUB_CLI, ['--print', 'a b', '$(id)'], { input: 'hello; world' });
+    const result = await promise;
+
+    expect(result.exitCode).toBe(0);
+    const event = JSON.parse(result.stdout);
+    expect(JSON.parse(event.result)).toEqual({ argv: ['--print', 'a b', '$(id)'], stdin: 'hello; world', cwd: process.cwd() });
+  });
+
+  test('kills the whole process tree on timeout', async () => {
+    let childPid = null;
+    const { promise } = runProcess(STUB_CLI, [], {
+      timeout: 500,
+      env: { ...process.env, STUB_CLI_MODE: 'hang' },
+      onStdout: (chunk) => {
+        childPid = JSON.parse(chunk).child_pid;
+      }
+    });
+    const result = await promise;
+
+    expect(result.timedOut).toBe(true);
+    expect(result.killed).toBe(true);
+    expect(childPid).toEqual(expect.any(Number));
+
+    // 孙进程与 CLI 同属一个进程组，应一并被结束
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(isAlive(childPid)).toBe(false);
+  });
+
+  test('stops the process when output exceeds the limit', async () => {
+    const { promise } = runProcess(STUB_CLI, [], {
+      maxOutputSize: 64 * 1024,
+      env: { ...process.env, STUB_CLI_MODE: 'flood' }
+    });
+    const result = await promise;
+
+    expect(result.outputLimitExceeded).toBe(true);
+    expect(result.stdout.length).toBeLessThanOrEqual(64 * 1024);
+  });
+
+  test('kills every running process tree on shutdown', async () => {
+    const childPids = [];
+    const runs = [1, 2].map(() => runProcess(STUB_CLI, [], {
+      env: { ...process.env, STUB_CLI_MODE: 'hang' },
+      onStdout: (chunk) => {
+        childPids.push(JSON.parse(chunk).child_pid);
+      }
+    }));
+    while (childPids.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    expect(await killAllProcesses(1000)).toBe(2);
+
+    const results = await Promise.all(runs.map(run => run.promise));
+    expect(results.map(result => result.signal)).toEqual(['SIGTERM', 'SIGTERM']);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(childPids.filter(isAlive)).toEqual([]);
+    expect(await killAllProcesses(1000)).toBe(0);
+  });
+
+  test('rejects when the executable does not exist', async () => {
+    const { promise } = runProcess(path.join(__dirname, 'fixtures/missing-cli'), []);
+    await expect(promise).rejects.toThrow(/ENOENT/);
+  });
+});